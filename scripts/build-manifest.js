@@ -0,0 +1,112 @@
+/**
+ * Build content/manifest.json - walks content/ and records every file
+ *
+ * Usage: node scripts/build-manifest.js
+ */
+import { open, readdir, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getFileType, isTextType } from '../src/filetypes.js';
+import { ENCRYPTED_HEADER } from '../src/encryption.js';
+
+export const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const CONTENT_DIR = 'content';
+export const MANIFEST_PATH = `${CONTENT_DIR}/manifest.json`;
+
+// Config files that live in content/ but are not content themselves
+const IGNORED_FILES = new Set(['manifest.json', 'file-layout.yaml', 'tours.yaml']);
+
+/**
+ * Walk content/ and return the manifest object
+ */
+export async function buildManifest(projectRoot = PROJECT_ROOT) {
+    const files = [];
+    const folders = [];
+
+    await walk(projectRoot, CONTENT_DIR, files, folders);
+
+    files.sort((a, b) => a.path.localeCompare(b.path));
+    folders.sort((a, b) => a.path.localeCompare(b.path));
+
+    // Roll file counts and sizes up into every ancestor folder
+    folders.forEach(folder => {
+        const inside = files.filter(file => file.path.startsWith(folder.path + '/'));
+        folder.files = inside.length;
+        folder.bytes = inside.reduce((total, file) => total + file.bytes, 0);
+    });
+
+    return {
+        root: CONTENT_DIR,
+        folders,
+        files
+    };
+}
+
+/**
+ * Build the manifest and write it to content/manifest.json
+ */
+export async function writeManifest(projectRoot = PROJECT_ROOT) {
+    const manifest = await buildManifest(projectRoot);
+    await writeFile(path.join(projectRoot, MANIFEST_PATH), JSON.stringify(manifest, null, 2) + '\n');
+    return manifest;
+}
+
+/**
+ * Recursively collect files and folders below a content-relative directory
+ */
+async function walk(projectRoot, dir, files, folders) {
+    const entries = await readdir(path.join(projectRoot, dir), { withFileTypes: true });
+
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+
+        const entryPath = `${dir}/${entry.name}`;
+
+        if (entry.isDirectory()) {
+            folders.push({ path: entryPath, name: entry.name, parent: dir });
+            await walk(projectRoot, entryPath, files, folders);
+        } else if (entry.isFile()) {
+            if (dir === CONTENT_DIR && IGNORED_FILES.has(entry.name)) continue;
+
+            const stats = await stat(path.join(projectRoot, entryPath));
+            const type = getFileType(entry.name);
+            const record = {
+                path: entryPath,
+                name: entry.name,
+                folder: dir,
+                type,
+                bytes: stats.size,
+                modified: stats.mtime.toISOString()
+            };
+            if (isTextType(type) && await isEncryptedFile(path.join(projectRoot, entryPath))) {
+                record.encrypted = true;
+            }
+            files.push(record);
+        }
+    }
+}
+
+/**
+ * Whether a file starts with the header of an encrypted private file
+ */
+async function isEncryptedFile(filePath) {
+    const file = await open(filePath);
+    try {
+        const buffer = Buffer.alloc(ENCRYPTED_HEADER.length);
+        const { bytesRead } = await file.read(buffer, 0, buffer.length, 0);
+        return buffer.toString('utf8', 0, bytesRead) === ENCRYPTED_HEADER;
+    } finally {
+        await file.close();
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    writeManifest()
+        .then(manifest => {
+            console.log(`Wrote ${MANIFEST_PATH}: ${manifest.files.length} files in ${manifest.folders.length} folders`);
+        })
+        .catch(error => {
+            console.error('Failed to build manifest:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,477 @@
+/**
+ * Local dev server - serves the project and lets the tank save files back to content/
+ *
+ * Usage: node scripts/dev-server.js [port]
+ *
+ * The server only listens on 127.0.0.1. Static files are sent with an ETag
+ * (hash of the contents). PUT /api/file writes a file and needs an If-Match
+ * header: 428 without one, 409 when the ETag no longer matches the file on
+ * disk, i.e. it was changed since it was opened (* overwrites regardless).
+ * The manifest and the layout are never written through /api/file.
+ *
+ * POST /api/file creates a file and POST /api/move renames/moves a file or
+ * changes the area of a file or folder. Both keep file-layout.yaml and the
+ * manifest in step and answer with { file, manifest }.
+ *
+ * PUT /api/layout/positions replaces the positions section of file-layout.yaml.
+ *
+ * Every /api request must come from the tank itself: the Host has to be this
+ * machine and the Origin (when sent) this server, so other web pages can't
+ * change content/. POST and positions bodies must be application/json, which
+ * a page can't send cross-site without a preflight.
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { load as parseYaml } from 'js-yaml';
+import { CONTENT_DIR, MANIFEST_PATH, PROJECT_ROOT, writeManifest } from './build-manifest.js';
+import { findUnsealedFiles } from './seal-private.js';
+import { renameLayoutPath, setLayoutFileArea, setLayoutFolderArea, setLayoutPositions } from '../src/layoutedit.js';
+import { LAYOUT_PATH, TOURS_PATH, validateLayout } from '../src/layout.js';
+
+const DEFAULT_PORT = 8000;
+const HOST = '127.0.0.1';
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '[::1]']);
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.yaml': 'text/yaml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.pdf': 'application/pdf',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json'
+};
+
+/**
+ * ETag for a file's contents
+ */
+export function createETag(buffer) {
+    return `"${createHash('sha1').update(buffer).digest('hex')}"`;
+}
+
+/**
+ * Resolve a project-relative path, or null if it escapes the allowed root
+ */
+function resolveInside(projectRoot, relativePath, root = '') {
+    const base = path.resolve(projectRoot, root);
+    const resolved = path.resolve(projectRoot, relativePath);
+    return resolved === base || resolved.startsWith(base + path.sep) ? resolved : null;
+}
+
+/**
+ * Resolve a path that must name a content file inside content/ - null if it
+ * doesn't, or if it names the manifest, the layout or the tours
+ */
+function resolveContentFile(projectRoot, relativePath) {
+    const filePath = resolveInside(projectRoot, relativePath || '', CONTENT_DIR);
+    const protectedPaths = [CONTENT_DIR, MANIFEST_PATH, LAYOUT_PATH, TOURS_PATH].map(name => path.resolve(projectRoot, name));
+    return filePath && !protectedPaths.includes(filePath) ? filePath : null;
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Whether a request comes from a page served by this server - checks Host
+ * (against DNS rebinding) and Origin (against other sites)
+ */
+function isSameOrigin(request) {
+    const host = request.headers.host;
+    if (!host) return false;
+
+    let hostname;
+    try {
+        hostname = new URL(`http://${host}`).hostname;
+    } catch {
+        return false;
+    }
+    if (!LOCAL_HOSTNAMES.has(hostname)) return false;
+
+    const origin = request.headers.origin;
+    return !origin || origin === `http://${host}`;
+}
+
+/**
+ * Read a JSON object body - throws a 415 unless it is sent as application/json
+ */
+async function readJsonBody(request) {
+    const type = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+        const error = new Error('Expected Content-Type: application/json');
+        error.status = 415;
+        throw error;
+    }
+
+    let body;
+    try {
+        body = JSON.parse((await readBody(request)).toString('utf8'));
+    } catch {
+        body = null;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        const error = new Error('Expected a JSON object body');
+        error.status = 400;
+        throw error;
+    }
+    return body;
+}
+
+/**
+ * Read a request body up to MAX_BODY_BYTES
+ */
+async function readBody(request) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new Error('Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Serve a file from the project directory
+ */
+async function serveStatic(projectRoot, request, response, pathname) {
+    let relativePath;
+    try {
+        relativePath = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+    } catch {
+        response.writeHead(400);
+        response.end('Bad request');
+        return;
+    }
+    const filePath = resolveInside(projectRoot, relativePath);
+
+    if (!filePath) {
+        response.writeHead(403);
+        response.end('Forbidden');
+        return;
+    }
+
+    let target = filePath;
+    try {
+        if ((await stat(target)).isDirectory()) {
+            target = path.join(target, 'index.html');
+        }
+        const body = await readFile(target);
+        const etag = createETag(body);
+
+        if (request.headers['if-none-match'] === etag) {
+            response.writeHead(304, { ETag: etag });
+            response.end();
+            return;
+        }
+
+        response.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(target).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache',
+            ETag: etag
+        });
+        response.end(request.method === 'HEAD' ? undefined : body);
+    } catch (error) {
+        response.writeHead(error.code === 'ENOENT' ? 404 : 500);
+        response.end(error.code === 'ENOENT' ? 'Not found' : 'Server error');
+    }
+}
+
+/**
+ * PUT /api/file?path=content/... - save a file, checking If-Match for conflicts
+ * (If-Match: * to overwrite whatever is there)
+ */
+async function saveFile(projectRoot, request, response, url) {
+    const relativePath = url.searchParams.get('path');
+    const filePath = resolveContentFile(projectRoot, relativePath);
+
+    if (!filePath) {
+        sendJson(response, 400, { error: `Not a writable file in ${CONTENT_DIR}/: ${relativePath}` });
+        return;
+    }
+
+    let current;
+    try {
+        current = await readFile(filePath);
+    } catch (error) {
+        sendJson(response, 404, { error: `File not found: ${relativePath}` });
+        return;
+    }
+
+    const currentETag = createETag(current);
+    const expected = request.headers['if-match'];
+
+    if (!expected) {
+        sendJson(response, 428, { error: 'Saving needs an If-Match header (the ETag the file was opened with, or *)' });
+        return;
+    }
+    if (expected !== '*' && expected !== currentETag) {
+        const { mtime } = await stat(filePath);
+        sendJson(response, 409, {
+            error: `${relativePath} changed on disk since it was opened`,
+            etag: currentETag,
+            modified: mtime.toISOString()
+        });
+        return;
+    }
+
+    const body = await readBody(request);
+    await writeFile(filePath, body);
+    const { mtime } = await stat(filePath);
+
+    // Keep sizes and dates in the manifest in step with the edit
+    await writeManifest(projectRoot);
+
+    console.log(`Saved ${relativePath} (${body.length} bytes)`);
+    sendJson(response, 200, {
+        path: relativePath,
+        etag: createETag(body),
+        bytes: body.length,
+        modified: mtime.toISOString()
+    });
+}
+
+/**
+ * Whether a file or directory exists
+ */
+async function exists(filePath) {
+    try {
+        await stat(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Apply an edit to file-layout.yaml - returns the new text, or throws if the
+ * result would no longer load
+ */
+async function editLayout(projectRoot, edit) {
+    const layoutPath = path.join(projectRoot, LAYOUT_PATH);
+    const text = await readFile(layoutPath, 'utf8');
+    const updated = edit(text);
+
+    const errors = validateLayout(parseYaml(updated));
+    if (errors.length > 0) {
+        const error = new Error(`${LAYOUT_PATH} would become invalid: ${errors[0]}`);
+        error.status = 409;
+        throw error;
+    }
+
+    return { layoutPath, changed: updated !== text, text: updated };
+}
+
+/**
+ * Write the layout edit (if any), rebuild the manifest and answer with the file's record
+ */
+async function finishChange(projectRoot, response, layout, relativePath) {
+    if (layout && layout.changed) {
+        await writeFile(layout.layoutPath, layout.text);
+    }
+
+    const manifest = await writeManifest(projectRoot);
+    sendJson(response, 200, {
+        file: manifest.files.find(file => file.path === relativePath) || null,
+        manifest
+    });
+}
+
+/**
+ * POST /api/file?path=content/...&area=... - create a new file (optionally placed
+ * in an area) from a { text } body
+ */
+async function createFile(projectRoot, request, response, url) {
+    const relativePath = url.searchParams.get('path');
+    const area = url.searchParams.get('area');
+    const filePath = resolveContentFile(projectRoot, relativePath);
+
+    if (!filePath) {
+        sendJson(response, 400, { error: `Not a writable file in ${CONTENT_DIR}/: ${relativePath}` });
+        return;
+    }
+    if (await exists(filePath)) {
+        sendJson(response, 409, { error: `${relativePath} already exists` });
+        return;
+    }
+
+    const { text = '' } = await readJsonBody(request);
+    if (typeof text !== 'string') {
+        sendJson(response, 400, { error: 'text must be a string' });
+        return;
+    }
+
+    const layout = area ? await editLayout(projectRoot, layoutText => setLayoutFileArea(layoutText, relativePath, area)) : null;
+
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, text, { flag: 'wx' });
+    console.log(`Created ${relativePath}`);
+
+    await finishChange(projectRoot, response, layout, relativePath);
+}
+
+/**
+ * POST /api/move - { from, to, area } moves/renames a file (and/or changes its area),
+ * { folder, area } moves a top-level folder object to another area
+ */
+async function moveFile(projectRoot, request, response) {
+    const body = await readJsonBody(request);
+
+    const { from, folder, area } = body;
+
+    if (folder) {
+        if (!area) {
+            sendJson(response, 400, { error: 'Moving a folder needs an area' });
+            return;
+        }
+        const layout = await editLayout(projectRoot, text => setLayoutFolderArea(text, folder, area));
+        console.log(`Moved folder ${folder} to ${area}`);
+        await finishChange(projectRoot, response, layout, null);
+        return;
+    }
+
+    const to = body.to || from;
+    const fromPath = resolveContentFile(projectRoot, from);
+    const toPath = resolveContentFile(projectRoot, to);
+
+    if (!fromPath || !toPath) {
+        sendJson(response, 400, { error: `Both paths must be writable files in ${CONTENT_DIR}/` });
+        return;
+    }
+    if (!await exists(fromPath)) {
+        sendJson(response, 404, { error: `File not found: ${from}` });
+        return;
+    }
+    if (to !== from && await exists(toPath)) {
+        sendJson(response, 409, { error: `${to} already exists` });
+        return;
+    }
+
+    const layout = await editLayout(projectRoot, text => {
+        let updated = to !== from ? renameLayoutPath(text, from, to) : text;
+        if (area) updated = setLayoutFileArea(updated, to, area);
+        return updated;
+    });
+
+    if (to !== from) {
+        await mkdir(path.dirname(toPath), { recursive: true });
+        await rename(fromPath, toPath);
+    }
+    console.log(`Moved ${from} -> ${to}${area ? ` (${area})` : ''}`);
+
+    await finishChange(projectRoot, response, layout, to);
+}
+
+/**
+ * PUT /api/layout/positions - { positions: { path: { x, y, z } } } into file-layout.yaml
+ */
+async function savePositions(projectRoot, request, response) {
+    const { positions } = await readJsonBody(request);
+
+    if (!positions || typeof positions !== 'object' || Array.isArray(positions)) {
+        sendJson(response, 400, { error: 'positions must map paths to { x, y, z }' });
+        return;
+    }
+
+    const layout = await editLayout(projectRoot, text => setLayoutPositions(text, positions));
+    if (layout.changed) {
+        await writeFile(layout.layoutPath, layout.text);
+    }
+
+    console.log(`Saved ${Object.keys(positions).length} positions to ${LAYOUT_PATH}`);
+    sendJson(response, 200, { saved: Object.keys(positions).length });
+}
+
+/**
+ * Create the dev server (not yet listening)
+ */
+export function createDevServer(projectRoot = PROJECT_ROOT) {
+    return createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        try {
+            if (url.pathname.startsWith('/api/') && !isSameOrigin(request)) {
+                sendJson(response, 403, { error: 'Requests to /api must come from the tank' });
+            } else if (url.pathname === '/api/file') {
+                if (request.method === 'PUT') {
+                    await saveFile(projectRoot, request, response, url);
+                } else if (request.method === 'POST') {
+                    await createFile(projectRoot, request, response, url);
+                } else {
+                    sendJson(response, 405, { error: `${request.method} not supported` });
+                }
+            } else if (url.pathname === '/api/layout/positions') {
+                if (request.method === 'PUT') {
+                    await savePositions(projectRoot, request, response);
+                } else {
+                    sendJson(response, 405, { error: `${request.method} not supported` });
+                }
+            } else if (url.pathname === '/api/move') {
+                if (request.method === 'POST') {
+                    await moveFile(projectRoot, request, response);
+                } else {
+                    sendJson(response, 405, { error: `${request.method} not supported` });
+                }
+            } else if (request.method === 'GET' || request.method === 'HEAD') {
+                await serveStatic(projectRoot, request, response, url.pathname);
+            } else {
+                response.writeHead(405);
+                response.end('Method not allowed');
+            }
+        } catch (error) {
+            if (!error.status) {
+                console.error(`${request.method} ${url.pathname} failed:`, error);
+            }
+            if (!response.headersSent) {
+                sendJson(response, error.status || 500, { error: error.message });
+            } else {
+                response.end();
+            }
+        }
+    });
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+
+    writeManifest()
+        .then(async manifest => {
+            console.log(`Wrote manifest: ${manifest.files.length} files in ${manifest.folders.length} folders`);
+            const { unsealed } = await findUnsealedFiles();
+            if (unsealed.length > 0) {
+                console.warn(`${unsealed.length} private file(s) are still plain text - run "npm run seal" to encrypt them`);
+            }
+            createDevServer().listen(port, HOST, () => {
+                console.log(`Swimming Tank running at http://localhost:${port}/`);
+            });
+        })
+        .catch(error => {
+            console.error('Failed to start dev server:', error);
+            process.exit(1);
+        });
+}
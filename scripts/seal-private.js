@@ -0,0 +1,130 @@
+/**
+ * Encrypt private files - every file file-layout.yaml marks private: true that
+ * is still plain text on disk is sealed with the passphrase, then the manifest
+ * is rebuilt. The first run chooses the passphrase; later runs must use the
+ * same one (it is checked against a file that's already encrypted).
+ *
+ * Usage: node scripts/seal-private.js
+ *        SWIMMING_TANK_PASSPHRASE=... node scripts/seal-private.js
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createInterface } from 'node:readline';
+import { Writable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+import { load as parseYaml } from 'js-yaml';
+import { PROJECT_ROOT, buildManifest, writeManifest } from './build-manifest.js';
+import { LAYOUT_PATH } from '../src/layout.js';
+import { unlockSession, lockSession, openText, sealText, isEncryptedText } from '../src/encryption.js';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+const PASSPHRASE_VARIABLE = 'SWIMMING_TANK_PASSPHRASE';
+
+/**
+ * Paths the layout marks private that are still plain text on disk, and the
+ * files that are already encrypted
+ */
+export async function findUnsealedFiles(projectRoot = PROJECT_ROOT) {
+    const layout = parseYaml(await readFile(path.join(projectRoot, LAYOUT_PATH), 'utf8')) || {};
+    const manifest = await buildManifest(projectRoot);
+    const records = new Map(manifest.files.map(file => [file.path, file]));
+
+    const unsealed = Object.values(layout.groups || {})
+        .flatMap(group => group.files || [])
+        .filter(file => file.private === true && records.has(file.path) && !records.get(file.path).encrypted)
+        .map(file => file.path);
+
+    return { unsealed, encrypted: manifest.files.filter(file => file.encrypted).map(file => file.path) };
+}
+
+/**
+ * Encrypt the unsealed private files - resolves to the paths it encrypted
+ */
+export async function sealPrivateFiles(projectRoot, passphrase) {
+    const { unsealed, encrypted } = await findUnsealedFiles(projectRoot);
+    if (unsealed.length === 0) return [];
+
+    unlockSession(passphrase);
+    try {
+        // Every private file has to open with the same passphrase
+        if (encrypted.length > 0) {
+            await openText(await readFile(path.join(projectRoot, encrypted[0]), 'utf8'));
+        }
+
+        for (const relativePath of unsealed) {
+            const filePath = path.join(projectRoot, relativePath);
+            const text = await readFile(filePath, 'utf8');
+            if (isEncryptedText(text)) continue;
+            await writeFile(filePath, await sealText(text));
+        }
+    } finally {
+        lockSession();
+    }
+
+    await writeManifest(projectRoot);
+    return unsealed;
+}
+
+/**
+ * Read a line from the terminal without echoing it
+ */
+function askHidden(prompt) {
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            if (!output.muted) process.stdout.write(chunk);
+            callback();
+        }
+    });
+    const reader = createInterface({ input: process.stdin, output, terminal: true });
+
+    return new Promise(resolve => {
+        process.stdout.write(prompt);
+        output.muted = true;
+        reader.question('', answer => {
+            reader.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * The passphrase from the environment, or typed in - twice when it's being chosen
+ */
+async function getPassphrase(choosing) {
+    if (process.env[PASSPHRASE_VARIABLE]) return process.env[PASSPHRASE_VARIABLE];
+    if (!process.stdin.isTTY) {
+        throw new Error(`Set ${PASSPHRASE_VARIABLE} or run this in a terminal`);
+    }
+
+    const passphrase = await askHidden(choosing ? 'Choose a passphrase for private files: ' : 'Passphrase: ');
+    if (choosing && await askHidden('Repeat it: ') !== passphrase) {
+        throw new Error('The passphrases don\'t match');
+    }
+    return passphrase;
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    (async () => {
+        const { unsealed, encrypted } = await findUnsealedFiles();
+        if (unsealed.length === 0) {
+            console.log('Every private file is already encrypted');
+            return;
+        }
+
+        const choosing = encrypted.length === 0;
+        if (choosing) {
+            console.log('No file is encrypted yet - the passphrase you choose now can\'t be recovered.');
+        }
+        const passphrase = await getPassphrase(choosing);
+        if (choosing && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+
+        const sealed = await sealPrivateFiles(PROJECT_ROOT, passphrase);
+        sealed.forEach(relativePath => console.log(`Encrypted ${relativePath}`));
+    })().catch(error => {
+        console.error('Failed to encrypt private files:', error.message);
+        process.exit(1);
+    });
+}
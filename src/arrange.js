@@ -0,0 +1,172 @@
+/**
+ * Arranging objects - drag them with the mouse or grab one (G) and carry it around
+ */
+import * as THREE from 'three';
+import { savePosition } from './positions.js';
+import { selectObject } from './ui.js';
+import { getKeyLabel } from './keybindings.js';
+
+const CARRY_DISTANCE = 3;  // Beyond collisionDistance, within selectionDistance
+
+/**
+ * Drag objects with the mouse: click and drag to move one across the screen,
+ * scroll while dragging to push it away or pull it closer
+ */
+export function setupObjectDragging(tank) {
+    const canvas = tank.renderer.domElement;
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+
+    const updatePointer = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        raycaster.setFromCamera(pointer, tank.camera);
+    };
+
+    canvas.addEventListener('mousedown', (event) => {
+        // In pointer lock the cursor is hidden and the mouse only looks around
+        if (event.button !== 0 || tank.sideScrollerMode || document.pointerLockElement) return;
+
+        updatePointer(event);
+        const object = pickObject(tank, raycaster);
+        if (!object) return;
+
+        // Drag on a plane facing the camera, through the object
+        const normal = new THREE.Vector3();
+        tank.camera.getWorldDirection(normal);
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, object.position);
+
+        const hit = new THREE.Vector3();
+        raycaster.ray.intersectPlane(plane, hit);
+
+        tank.dragging = {
+            object,
+            plane,
+            offset: object.position.clone().sub(hit || object.position)
+        };
+        stopSwimming(tank, object);
+        selectObject(tank, object);
+        canvas.style.cursor = 'grabbing';
+    });
+
+    document.addEventListener('mousemove', (event) => {
+        if (!tank.dragging) return;
+
+        updatePointer(event);
+        const hit = new THREE.Vector3();
+        if (raycaster.ray.intersectPlane(tank.dragging.plane, hit)) {
+            moveObject(tank, tank.dragging.object, hit.add(tank.dragging.offset));
+        }
+    });
+
+    document.addEventListener('mouseup', () => {
+        if (!tank.dragging) return;
+
+        savePosition(tank, tank.dragging.object);
+        console.log(`Placed ${tank.dragging.object.userData.name}`);
+        tank.dragging = null;
+        canvas.style.cursor = '';
+    });
+
+    canvas.addEventListener('wheel', (event) => {
+        if (!tank.dragging) return;
+        event.preventDefault();
+
+        // Slide the drag plane along the view direction
+        const step = event.deltaY > 0 ? 0.5 : -0.5;
+        const { object, plane } = tank.dragging;
+        const shift = plane.normal.clone().multiplyScalar(step);
+        plane.constant -= step;
+        moveObject(tank, object, object.position.clone().add(shift));
+    }, { passive: false });
+}
+
+/**
+ * Grab the selected object, or drop the one being carried
+ */
+export function toggleGrab(tank) {
+    if (tank.grabbedObject) {
+        const object = tank.grabbedObject;
+        tank.grabbedObject = null;
+        savePosition(tank, object);
+        console.log(`Dropped ${object.userData.name}`);
+        return;
+    }
+
+    if (!tank.selectedObject) return;
+
+    tank.grabbedObject = tank.selectedObject;
+    stopSwimming(tank, tank.grabbedObject);
+    selectObject(tank, tank.grabbedObject);
+    const dropKey = getKeyLabel(tank, 'swim', 'grab');
+    console.log(`Grabbed ${tank.grabbedObject.userData.name} - swim to carry it${dropKey ? `, ${dropKey} to drop` : ''}`);
+}
+
+/**
+ * Keep a grabbed object floating just in front of the frog
+ */
+export function updateGrabbedObject(tank, delta) {
+    const object = tank.grabbedObject;
+    if (!object || !tank.frog) return;
+
+    if (!tank.allObjects.includes(object)) {
+        tank.grabbedObject = null;
+        return;
+    }
+
+    const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(tank.frog.quaternion);
+    forward.y = 0;
+    forward.normalize();
+
+    const target = tank.frog.position.clone()
+        .add(forward.multiplyScalar(CARRY_DISTANCE))
+        .add(new THREE.Vector3(0, 0.5, 0));
+
+    moveObject(tank, object, object.position.clone().lerp(target, Math.min(1, 8 * delta)));
+}
+
+/**
+ * Top-level file or folder object under the pointer
+ */
+export function pickObject(tank, raycaster) {
+    const hits = raycaster.intersectObjects(tank.allObjects, true);
+
+    for (const hit of hits) {
+        let node = hit.object;
+        while (node && !tank.allObjects.includes(node)) {
+            node = node.parent;
+        }
+        if (node) return node;
+    }
+
+    return null;
+}
+
+/**
+ * Move an object inside the tank bounds, taking its collision sphere along
+ */
+function moveObject(tank, object, position) {
+    const { width, floorY, ceilingY } = tank.config.tank;
+
+    object.position.set(
+        THREE.MathUtils.clamp(position.x, -width, width),
+        THREE.MathUtils.clamp(position.y, floorY, ceilingY),
+        THREE.MathUtils.clamp(position.z, -width, width)
+    );
+
+    tank.collisionSpheres.forEach(sphere => {
+        if (sphere.userData.owner === object) {
+            sphere.position.copy(object.position);
+        }
+    });
+}
+
+/**
+ * Cancel a move animation so it doesn't fight the user
+ */
+function stopSwimming(tank, object) {
+    if (tank.swimmingObjects) {
+        tank.swimmingObjects = tank.swimmingObjects.filter(swim => swim.object !== object);
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Sound - an underwater ambience bed, bubble sounds and music playback, mixed with Web Audio.
+ * The context starts on the first key press or click, as browsers require.
+ */
+import { formatKeyTitle } from './keybindings.js';
+
+const MUTE_KEY = 'swimming-tank:muted';
+const AMBIENCE_LEVEL = 0.35;
+const AMBIENCE_DUCKED = 0.1;    // While music is playing
+const MIN_BUBBLE_GAP = 0.12;    // Seconds between trail bubble sounds
+
+/**
+ * Start the sound on the first user gesture and hook up the mute button
+ */
+export function setupAudio(tank) {
+    tank.audio = {
+        context: null,
+        master: null,
+        ambience: null,
+        effects: null,
+        playingMusic: new Set(),
+        lastBubble: 0,
+        muted: getStoredMute()
+    };
+
+    const start = () => {
+        document.removeEventListener('keydown', start);
+        document.removeEventListener('mousedown', start);
+        startAudio(tank);
+    };
+    document.addEventListener('keydown', start);
+    document.addEventListener('mousedown', start);
+
+    document.getElementById('sound-btn')?.addEventListener('click', () => toggleMute(tank));
+    updateMuteButton(tank);
+}
+
+/**
+ * The saved mute setting - sound on when storage can't be read
+ */
+function getStoredMute() {
+    try {
+        return localStorage.getItem(MUTE_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Mute or unmute everything (V)
+ */
+export function toggleMute(tank) {
+    const audio = tank.audio;
+    if (!audio) return;
+
+    audio.muted = !audio.muted;
+    try {
+        localStorage.setItem(MUTE_KEY, String(audio.muted));
+    } catch (error) {
+        console.warn('Could not save mute setting:', error.message);
+    }
+
+    if (audio.context) {
+        audio.master.gain.setTargetAtTime(audio.muted ? 0 : 1, audio.context.currentTime, 0.05);
+    }
+    updateMuteButton(tank);
+    console.log(audio.muted ? 'Sound muted' : 'Sound on');
+}
+
+/**
+ * Create the audio graph: master <- ambience (low-passed noise) and bubble effects
+ */
+function startAudio(tank) {
+    const audio = tank.audio;
+    if (audio.context) return;
+
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) {
+        console.warn('Web Audio is not supported - the tank stays silent');
+        return;
+    }
+
+    const context = new AudioContext();
+    audio.context = context;
+
+    audio.master = context.createGain();
+    audio.master.gain.value = audio.muted ? 0 : 1;
+    audio.master.connect(context.destination);
+
+    // Everything heard from under the water is muffled
+    const underwater = context.createBiquadFilter();
+    underwater.type = 'lowpass';
+    underwater.frequency.value = 900;
+    underwater.connect(audio.master);
+
+    audio.effects = context.createGain();
+    audio.effects.gain.value = 0.5;
+    audio.effects.connect(underwater);
+
+    audio.ambience = createAmbience(context);
+    audio.ambience.output.gain.value = audio.playingMusic.size ? AMBIENCE_DUCKED : AMBIENCE_LEVEL;
+    audio.ambience.output.connect(underwater);
+
+    console.log('Underwater ambience started');
+}
+
+/**
+ * Looping brown noise through a slowly swaying low-pass - the hum of the tank
+ */
+function createAmbience(context) {
+    const seconds = 4;
+    const buffer = context.createBuffer(1, context.sampleRate * seconds, context.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    let last = 0;
+    for (let i = 0; i < data.length; i++) {
+        last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+        data[i] = last * 3.5;
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 320;
+    filter.Q.value = 0.7;
+
+    // Slow swell, like water moving past
+    const swell = context.createOscillator();
+    swell.frequency.value = 0.08;
+    const swellDepth = context.createGain();
+    swellDepth.gain.value = 120;
+    swell.connect(swellDepth);
+    swellDepth.connect(filter.frequency);
+
+    const output = context.createGain();
+    source.connect(filter);
+    filter.connect(output);
+
+    source.start();
+    swell.start();
+
+    return { output };
+}
+
+/**
+ * One bubble - a short sine blip that rises in pitch
+ */
+function playBubble(audio, when, pitch = 1, volume = 0.3) {
+    const context = audio.context;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    const base = (300 + Math.random() * 500) * pitch;
+    const length = 0.05 + Math.random() * 0.05;
+
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(base, when);
+    oscillator.frequency.exponentialRampToValueAtTime(base * 2.5, when + length);
+
+    gain.gain.setValueAtTime(0.0001, when);
+    gain.gain.exponentialRampToValueAtTime(volume, when + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, when + length);
+
+    oscillator.connect(gain);
+    gain.connect(audio.effects);
+    oscillator.start(when);
+    oscillator.stop(when + length + 0.02);
+}
+
+/**
+ * Soft bubble for the swim trail - rate-limited, since the trail spawns every few frames
+ */
+export function playTrailBubble(tank) {
+    const audio = tank.audio;
+    if (!audio?.context || audio.muted) return;
+
+    const now = audio.context.currentTime;
+    if (now - audio.lastBubble < MIN_BUBBLE_GAP || Math.random() < 0.5) return;
+    audio.lastBubble = now;
+
+    playBubble(audio, now, 1, 0.12);
+}
+
+/**
+ * Burst of bubbles for a dash
+ */
+export function playDashBubbles(tank) {
+    const audio = tank.audio;
+    if (!audio?.context || audio.muted) return;
+
+    const now = audio.context.currentTime;
+    for (let i = 0; i < 8; i++) {
+        playBubble(audio, now + i * 0.025 + Math.random() * 0.02, 0.7 + Math.random() * 0.6, 0.25);
+    }
+    audio.lastBubble = now;
+}
+
+/**
+ * Play a media element through the mix, so mute applies and the ambience
+ * ducks while it plays. Returns a function that disconnects it again.
+ */
+export function connectMusic(tank, element) {
+    const audio = tank.audio;
+    if (!audio) return () => {};
+
+    if (!audio.context) startAudio(tank);
+    const context = audio.context;
+
+    let source = null;
+    if (context) {
+        source = context.createMediaElementSource(element);
+        source.connect(audio.master);
+        // Opening a preview is a user gesture, so the context may resume now
+        if (context.state === 'suspended') context.resume();
+    }
+
+    const onPlay = () => {
+        audio.playingMusic.add(element);
+        duckAmbience(audio);
+    };
+    const onStop = () => {
+        audio.playingMusic.delete(element);
+        duckAmbience(audio);
+    };
+
+    element.addEventListener('play', onPlay);
+    element.addEventListener('pause', onStop);
+    element.addEventListener('ended', onStop);
+
+    return () => {
+        element.pause();
+        onStop();
+        element.removeEventListener('play', onPlay);
+        element.removeEventListener('pause', onStop);
+        element.removeEventListener('ended', onStop);
+        source?.disconnect();
+    };
+}
+
+/**
+ * Lower the ambience while any music plays
+ */
+function duckAmbience(audio) {
+    if (!audio.ambience) return;
+
+    const level = audio.playingMusic.size ? AMBIENCE_DUCKED : AMBIENCE_LEVEL;
+    audio.ambience.output.gain.setTargetAtTime(level, audio.context.currentTime, 0.3);
+}
+
+/**
+ * Show the mute state on the sound button
+ */
+function updateMuteButton(tank) {
+    const button = document.getElementById('sound-btn');
+    if (!button) return;
+
+    button.textContent = tank.audio.muted ? '🔇' : '🔊';
+    button.dataset.keyTitle = tank.audio.muted ? 'Unmute ({key})' : 'Mute ({key})';
+    button.title = formatKeyTitle(tank, button.dataset.keyTitle, 'mute');
+    button.classList.toggle('muted', tank.audio.muted);
+}
@@ -0,0 +1,101 @@
+/**
+ * Audio player - a small transport (play/pause, seek, volume) for music previews
+ */
+import { connectMusic } from './audio.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Preview renderer for audio files - starts playing right away and
+ * returns a cleanup function that stops it
+ */
+export function renderAudio(container, blob, fileData, tank) {
+    const url = URL.createObjectURL(blob);
+    const element = new Audio();
+    element.preload = 'metadata';
+    element.src = url;
+
+    container.classList.add('audio-preview');
+    container.innerHTML = `
+        <div class="audio-player">
+            <div class="audio-title">🎵 ${escapeHtml(fileData.name)}</div>
+            <div class="audio-transport">
+                <button class="preview-btn audio-play" title="Play / pause">▶</button>
+                <span class="audio-time">0:00</span>
+                <input class="audio-seek" type="range" min="0" max="0" step="0.1" value="0">
+                <span class="audio-duration">0:00</span>
+            </div>
+            <div class="audio-volume">
+                <span>🔈</span>
+                <input class="audio-volume-slider" type="range" min="0" max="1" step="0.05" value="1">
+            </div>
+        </div>
+    `;
+
+    const playButton = container.querySelector('.audio-play');
+    const seek = container.querySelector('.audio-seek');
+    const time = container.querySelector('.audio-time');
+    const volume = container.querySelector('.audio-volume-slider');
+    let seeking = false;
+
+    const disconnect = connectMusic(tank, element);
+
+    playButton.addEventListener('click', () => {
+        if (element.paused) {
+            element.play().catch(error => console.warn(`Could not play ${fileData.name}:`, error.message));
+        } else {
+            element.pause();
+        }
+    });
+
+    element.addEventListener('play', () => { playButton.textContent = '❚❚'; });
+    element.addEventListener('pause', () => { playButton.textContent = '▶'; });
+
+    element.addEventListener('loadedmetadata', () => {
+        seek.max = element.duration;
+        container.querySelector('.audio-duration').textContent = formatTime(element.duration);
+    });
+
+    element.addEventListener('timeupdate', () => {
+        if (!seeking) seek.value = element.currentTime;
+        time.textContent = formatTime(element.currentTime);
+    });
+
+    element.addEventListener('error', () => {
+        container.querySelector('.audio-title').textContent = `Can't play ${fileData.name} in this browser`;
+        playButton.disabled = true;
+    });
+
+    seek.addEventListener('input', () => {
+        seeking = true;
+        time.textContent = formatTime(Number(seek.value));
+    });
+    seek.addEventListener('change', () => {
+        element.currentTime = Number(seek.value);
+        seeking = false;
+    });
+
+    volume.addEventListener('input', () => {
+        element.volume = Number(volume.value);
+    });
+
+    element.play().catch(error => {
+        // Autoplay can be refused - the play button still works
+        console.warn(`Autoplay blocked for ${fileData.name}:`, error.message);
+    });
+
+    return () => {
+        disconnect();
+        element.removeAttribute('src');
+        element.load();
+        URL.revokeObjectURL(url);
+    };
+}
+
+/**
+ * Seconds as m:ss
+ */
+function formatTime(seconds) {
+    if (!Number.isFinite(seconds)) return '0:00';
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
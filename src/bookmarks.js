@@ -0,0 +1,266 @@
+/**
+ * Bookmarks - nine numbered spots in the tank. Ctrl+1..9 drops one where the frog
+ * is, with its heading and camera offset (Alt+1..9 too, for browsers that keep
+ * Ctrl+number for switching tabs); 1..9 goes back, swimming there or teleporting
+ * in a burst of bubbles. Kept in localStorage per root, and listed, renamed and
+ * removed in the Bookmarks panel (J).
+ */
+import { swimToPoint } from './frog.js';
+import { snapCamera } from './camera.js';
+import { playDashBubbles } from './audio.js';
+import { getKeyLabel } from './keybindings.js';
+import { createRootStore, escapeHtml } from './utils.js';
+
+export const BOOKMARK_SLOTS = 9;
+
+const bookmarkStore = createRootStore('swimming-tank:bookmarks:', 'bookmarks');
+const TRAVEL_KEY = 'swimming-tank:bookmark-travel';
+
+/**
+ * Drop bookmark `slot` (1-9) at the frog's position, keeping the name if it had one
+ */
+export function setBookmark(tank, slot) {
+    if (!tank.frog || tank.sideScrollerMode) return;
+
+    const { x, y, z } = tank.frog.position;
+    const offset = tank.cameraOffset;
+    bookmarkStore.update(tank, stored => {
+        stored[slot] = {
+            name: stored[slot]?.name || getDefaultName(tank),
+            position: { x, y, z },
+            heading: tank.frog.rotation.y,
+            cameraOffset: { x: offset.x, y: offset.y, z: offset.z }
+        };
+    });
+
+    console.log(`Bookmark ${slot} set: ${bookmarkStore.get(tank)[slot].name}`);
+    renderPanel(tank);
+}
+
+/**
+ * Travel to bookmark `slot` - swimming or teleporting, whichever is chosen in the panel
+ */
+export function goToBookmark(tank, slot) {
+    const bookmark = bookmarkStore.get(tank)[slot];
+    if (!tank.frog || tank.sideScrollerMode) return;
+    if (!bookmark) {
+        console.log(`No bookmark ${slot} yet`);
+        return;
+    }
+
+    if (getTravelMode() === 'teleport') {
+        teleportTo(tank, bookmark);
+    } else {
+        swimToPoint(tank, bookmark.position, () => arrive(tank, bookmark));
+    }
+    console.log(`Going to bookmark ${slot}: ${bookmark.name}`);
+}
+
+/**
+ * Show or hide the Bookmarks panel (J)
+ */
+export function toggleBookmarksPanel(tank) {
+    if (isBookmarksPanelOpen(tank)) {
+        closeBookmarksPanel(tank);
+        return;
+    }
+
+    const panel = document.getElementById('bookmarks-panel');
+    if (!panel || tank.sideScrollerMode) return;
+
+    panel.classList.remove('hidden');
+    renderPanel(tank);
+}
+
+/**
+ * Hide the Bookmarks panel
+ */
+export function closeBookmarksPanel(tank) {
+    document.getElementById('bookmarks-panel')?.classList.add('hidden');
+}
+
+/**
+ * Whether the Bookmarks panel is showing
+ */
+export function isBookmarksPanelOpen(tank) {
+    const panel = document.getElementById('bookmarks-panel');
+    return Boolean(panel) && !panel.classList.contains('hidden');
+}
+
+/**
+ * Jump straight there, with a burst of bubbles where the frog leaves and lands
+ */
+function teleportTo(tank, bookmark) {
+    tank.createDashBubbles();
+
+    tank.frog.position.set(bookmark.position.x, bookmark.position.y, bookmark.position.z);
+    tank.frogPosition.copy(tank.frog.position);
+    tank.velocity.set(0, 0, 0);
+
+    // Stop whatever trip the autopilot was on
+    if (tank.autopilot) {
+        tank.autopilot.guide = null;
+        tank.autopilot.targetObject = null;
+        tank.autopilot.active = false;
+        tank.autopilot.lastInputTime = Date.now();
+    }
+
+    arrive(tank, bookmark);
+    snapCamera(tank);
+
+    tank.createDashBubbles();
+    playDashBubbles(tank);
+}
+
+/**
+ * Face the way the frog faced and put the camera back where it was
+ */
+function arrive(tank, bookmark) {
+    tank.frog.rotation.y = bookmark.heading;
+    tank.cameraOffset.set(bookmark.cameraOffset.x, bookmark.cameraOffset.y, bookmark.cameraOffset.z);
+}
+
+/**
+ * A name for a new bookmark - the selected object, or the nearest one
+ */
+function getDefaultName(tank) {
+    let nearest = tank.selectedObject;
+    if (!nearest) {
+        let best = Infinity;
+        tank.allObjects.forEach(object => {
+            const distance = object.position.distanceTo(tank.frog.position);
+            if (distance < best) {
+                best = distance;
+                nearest = object;
+            }
+        });
+    }
+    return nearest ? `Near ${nearest.userData.name}` : 'Open water';
+}
+
+/**
+ * 'swim' or 'teleport'
+ */
+function getTravelMode() {
+    try {
+        return localStorage.getItem(TRAVEL_KEY) === 'teleport' ? 'teleport' : 'swim';
+    } catch (error) {
+        return 'swim';
+    }
+}
+
+/**
+ * Remember how to travel to bookmarks
+ */
+function setTravelMode(mode) {
+    try {
+        localStorage.setItem(TRAVEL_KEY, mode);
+    } catch (error) {
+        console.warn('Could not save bookmark travel mode:', error.message);
+    }
+}
+
+/**
+ * Fill the panel - one row per slot, set or not
+ */
+function renderPanel(tank) {
+    const panel = document.getElementById('bookmarks-panel');
+    if (!panel || !isBookmarksPanelOpen(tank)) return;
+
+    const bookmarks = bookmarkStore.get(tank);
+    const travel = getTravelMode();
+    const slots = Array.from({ length: BOOKMARK_SLOTS }, (_, index) => index + 1);
+
+    panel.innerHTML = `
+        <div class="file-actions-header">
+            <span class="file-actions-title">Bookmarks</span>
+            <button class="close-btn" data-action="close">&times;</button>
+        </div>
+        <div class="file-actions-body">
+            <div class="file-action-row">
+                <button class="file-action${travel === 'swim' ? ' active' : ''}" data-travel="swim">Swim there</button>
+                <button class="file-action${travel === 'teleport' ? ' active' : ''}" data-travel="teleport">Teleport</button>
+            </div>
+            ${slots.map(slot => {
+                const bookmark = bookmarks[slot];
+                if (!bookmark) {
+                    return `
+                        <div class="panel-row bookmark-row empty">
+                            <span class="bookmark-slot">${slot}</span>
+                            <span class="panel-row-name">${escapeHtml(getKeyLabel(tank, 'swim', `setBookmark${slot}`) || 'Not set')}</span>
+                            <button class="panel-row-btn" data-set="${slot}">Set here</button>
+                        </div>
+                    `;
+                }
+                const { x, y, z } = bookmark.position;
+                return `
+                    <div class="panel-row bookmark-row">
+                        <span class="bookmark-slot">${slot}</span>
+                        <span class="panel-row-name" data-rename="${slot}" title="Click to rename">
+                            ${escapeHtml(bookmark.name)}
+                            <span class="panel-row-detail">${Math.round(x)}, ${Math.round(y)}, ${Math.round(z)}</span>
+                        </span>
+                        <button class="panel-row-btn" data-go="${slot}" title="${escapeHtml(getKeyLabel(tank, 'swim', `bookmark${slot}`))}">Go</button>
+                        <button class="panel-row-btn" data-set="${slot}" title="Move it to where the frog is">Set</button>
+                        <button class="panel-row-btn" data-remove="${slot}" title="Remove">&times;</button>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        <div class="file-actions-status"></div>
+    `;
+
+    panel.querySelector('[data-action="close"]').addEventListener('click', () => closeBookmarksPanel(tank));
+    panel.querySelectorAll('[data-travel]').forEach(button => {
+        button.addEventListener('click', () => {
+            setTravelMode(button.dataset.travel);
+            renderPanel(tank);
+        });
+    });
+    panel.querySelectorAll('[data-go]').forEach(button => {
+        button.addEventListener('click', () => goToBookmark(tank, Number(button.dataset.go)));
+    });
+    panel.querySelectorAll('[data-set]').forEach(button => {
+        button.addEventListener('click', () => setBookmark(tank, Number(button.dataset.set)));
+    });
+    panel.querySelectorAll('[data-remove]').forEach(button => {
+        button.addEventListener('click', () => {
+            const slot = Number(button.dataset.remove);
+            bookmarkStore.update(tank, stored => { delete stored[slot]; });
+            renderPanel(tank);
+        });
+    });
+    panel.querySelectorAll('[data-rename]').forEach(label => {
+        label.addEventListener('click', () => startRename(tank, label, Number(label.dataset.rename)));
+    });
+}
+
+/**
+ * Swap a bookmark's name for a text field - Enter saves, Escape cancels
+ */
+function startRename(tank, label, slot) {
+    const input = document.createElement('input');
+    input.className = 'file-action-input bookmark-name-input';
+    input.value = bookmarkStore.get(tank)[slot].name;
+    label.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (save) => {
+        if (done) return;
+        done = true;
+
+        const name = input.value.trim();
+        if (save && name) {
+            bookmarkStore.update(tank, stored => { stored[slot].name = name; });
+        }
+        renderPanel(tank);
+    };
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') finish(true);
+        if (event.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
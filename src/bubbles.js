@@ -2,6 +2,7 @@
  * Bubble system - creation, pooling, and animation
  */
 import * as THREE from 'three';
+import { playTrailBubble } from './audio.js';
 
 /**
  * Create a realistic bubble material with fresnel effect
@@ -158,6 +159,8 @@ export function createBubbleTrail(tank) {
         tank.scene.add(bubble);
         tank.bubbles.push(bubble);
     }
+
+    playTrailBubble(tank);
 }
 
 /**
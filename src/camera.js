@@ -0,0 +1,296 @@
+/**
+ * Camera modes - the chase cam behind the frog, an orbit around it (drag to turn,
+ * scroll to zoom) and first person from its eyes (click for mouse look).
+ * Switching modes, or realigning in orbit and first person, blends over a moment.
+ *
+ * tank.euler holds the look angles for orbit and first person (yaw around Y,
+ * pitch around X); tank.mouseX/mouseY collect mouse movement until the next frame.
+ */
+import * as THREE from 'three';
+
+export const CAMERA_MODES = ['chase', 'orbit', 'firstPerson'];
+const MODE_NAMES = { chase: 'Chase', orbit: 'Orbit', firstPerson: 'First person' };
+
+const STORAGE_KEY = 'swimming-tank:camera-mode';
+const BLEND_TIME = 600;                          // ms to blend between poses
+const LOOK_HEIGHT = 4;                           // Chase cam looks this far above the frog
+const ORBIT_HEIGHT = 1.5;                        // Orbit pivot above the frog's origin
+const ORBIT_DISTANCE = { min: 4, max: 30, default: 12 };
+const ORBIT_PITCH = { min: -1.3, max: 0.5, default: -0.35 };
+const FIRST_PERSON_PITCH = 1.4;                  // Up and down limit
+const FIRST_PERSON_FOV = { min: 30, max: 90 };   // Zooming in first person narrows the view
+const CHASE_ZOOM = { min: 0.4, max: 3 };         // Chase cam distance, relative to the usual
+const EYE_OFFSET = new THREE.Vector3(0, 1.2, 0.8); // Frog's eyes, in its own space (unscaled)
+
+/**
+ * Start in the camera mode used last time
+ */
+export function setupCamera(tank) {
+    let mode = 'chase';
+    try {
+        mode = localStorage.getItem(STORAGE_KEY) || 'chase';
+    } catch (error) {
+        // Private browsing - stay with the chase cam
+    }
+
+    tank.cameraMode = CAMERA_MODES.includes(mode) ? mode : 'chase';
+    tank.orbitDistance = ORBIT_DISTANCE.default;
+    tank.chaseZoom = 1;
+    tank.cameraTransition = null;
+    setupMouseLook(tank);
+}
+
+/**
+ * Switch to the next camera mode (E)
+ */
+export function cycleCameraMode(tank) {
+    const index = CAMERA_MODES.indexOf(tank.cameraMode);
+    setCameraMode(tank, CAMERA_MODES[(index + 1) % CAMERA_MODES.length]);
+}
+
+/**
+ * Switch camera mode, picking up the look angles from where the camera is now
+ */
+export function setCameraMode(tank, mode) {
+    if (mode === tank.cameraMode) return;
+
+    tank.cameraMode = mode;
+    try {
+        localStorage.setItem(STORAGE_KEY, mode);
+    } catch (error) {
+        console.warn('Could not save camera mode:', error.message);
+    }
+
+    if (mode !== 'firstPerson' && document.pointerLockElement) {
+        document.exitPointerLock();
+    }
+
+    if (tank.frog) {
+        if (mode === 'orbit') {
+            // Orbit from wherever the camera is
+            const offset = tank.camera.position.clone().sub(getOrbitPivot(tank));
+            const distance = offset.length();
+            tank.orbitDistance = THREE.MathUtils.clamp(distance, ORBIT_DISTANCE.min, ORBIT_DISTANCE.max);
+            tank.euler.set(
+                THREE.MathUtils.clamp(-Math.asin(offset.y / distance), ORBIT_PITCH.min, ORBIT_PITCH.max),
+                Math.atan2(offset.x, offset.z),
+                0
+            );
+        } else if (mode === 'firstPerson') {
+            // Keep looking the same way
+            tank.euler.setFromQuaternion(tank.camera.quaternion, 'YXZ');
+            tank.euler.x = THREE.MathUtils.clamp(tank.euler.x, -FIRST_PERSON_PITCH, FIRST_PERSON_PITCH);
+            tank.euler.z = 0;
+        }
+        startBlend(tank);
+    }
+
+    tank.mouseX = 0;
+    tank.mouseY = 0;
+    console.log(`Camera: ${MODE_NAMES[mode]}${mode === 'firstPerson' ? ' - click to look around with the mouse' : ''}`);
+}
+
+/**
+ * Zoom out (factor above 1) or in - the orbit and chase cams move, first person narrows its view
+ */
+export function zoomCamera(tank, factor) {
+    if (tank.cameraMode === 'orbit') {
+        tank.orbitDistance = THREE.MathUtils.clamp(tank.orbitDistance * factor, ORBIT_DISTANCE.min, ORBIT_DISTANCE.max);
+    } else if (tank.cameraMode === 'firstPerson') {
+        tank.camera.fov = THREE.MathUtils.clamp(tank.camera.fov * factor, FIRST_PERSON_FOV.min, FIRST_PERSON_FOV.max);
+        tank.camera.updateProjectionMatrix();
+    } else {
+        tank.chaseZoom = THREE.MathUtils.clamp(tank.chaseZoom * factor, CHASE_ZOOM.min, CHASE_ZOOM.max);
+    }
+}
+
+/**
+ * Place the camera for the current mode
+ */
+export function updateCameraPosition(tank) {
+    if (!tank.frog) return;
+
+    applyMouseLook(tank);
+
+    const pose = getCameraPose(tank);
+    const camera = tank.camera;
+    const blend = tank.cameraTransition;
+
+    if (blend) {
+        const t = Math.min(1, (performance.now() - blend.start) / BLEND_TIME);
+        const eased = t * t * (3 - 2 * t);
+        camera.position.lerpVectors(blend.position, pose.position, eased);
+        camera.quaternion.slerpQuaternions(blend.quaternion, pose.quaternion, eased);
+        if (t >= 1) tank.cameraTransition = null;
+    } else if (tank.cameraMode === 'chase') {
+        // The chase cam trails behind
+        camera.position.lerp(pose.position, 0.1);
+        camera.lookAt(getChaseLookTarget(tank));
+    } else {
+        camera.position.copy(pose.position);
+        camera.quaternion.copy(pose.quaternion);
+    }
+
+    // From the frog's eyes its own head would be in the way - hide it once the camera is inside
+    tank.frog.visible = tank.cameraMode !== 'firstPerson' || Boolean(blend && blend.start + BLEND_TIME / 2 > performance.now());
+}
+
+/**
+ * Put the camera straight where it belongs, without trailing or blending - after a teleport
+ */
+export function snapCamera(tank) {
+    if (!tank.frog) return;
+
+    const pose = getCameraPose(tank);
+    tank.cameraTransition = null;
+    tank.camera.position.copy(pose.position);
+    tank.camera.quaternion.copy(pose.quaternion);
+}
+
+/**
+ * Realign the camera with the frog: behind it for the chase cam and orbit,
+ * looking straight ahead in first person
+ */
+export function realignCamera(tank) {
+    if (!tank.frog) return;
+
+    // Get frog's forward direction
+    const forward = new THREE.Vector3(0, 0, 1);
+    forward.applyQuaternion(tank.frog.quaternion);
+
+    // Position camera behind frog
+    const cameraDistance = 10;
+    const cameraHeight = 5;
+
+    tank.cameraOffset.set(
+        -forward.x * cameraDistance,
+        cameraHeight,
+        -forward.z * cameraDistance
+    );
+
+    // Face the way the frog is heading
+    const heading = Math.atan2(forward.x, forward.z) + Math.PI;
+    tank.euler.set(tank.cameraMode === 'orbit' ? ORBIT_PITCH.default : 0, heading, 0);
+    tank.mouseX = 0;
+    tank.mouseY = 0;
+
+    // The chase cam trails into place by itself - the others would jump
+    if (tank.cameraMode !== 'chase') startBlend(tank);
+
+    console.log('Camera realigned');
+}
+
+/**
+ * Mouse look: drag on empty water to orbit, scroll to zoom, click for pointer lock in first person
+ */
+function setupMouseLook(tank) {
+    const canvas = tank.renderer.domElement;
+
+    // Object dragging gets the press first - an object under the pointer wins
+    canvas.addEventListener('mousedown', (event) => {
+        if (event.button === 0 && tank.cameraMode === 'orbit' && !tank.dragging && !tank.sideScrollerMode) {
+            tank.orbitDragging = true;
+        }
+    });
+
+    document.addEventListener('mouseup', () => {
+        tank.orbitDragging = false;
+    });
+
+    canvas.addEventListener('wheel', (event) => {
+        if (tank.cameraMode !== 'orbit' || tank.dragging || tank.sideScrollerMode) return;
+        event.preventDefault();
+
+        zoomCamera(tank, event.deltaY > 0 ? 1.1 : 1 / 1.1);
+    }, { passive: false });
+}
+
+/**
+ * Collect mouse movement for the next frame - while orbiting or in pointer lock
+ */
+export function handleMouseLook(tank, event) {
+    const looking = (tank.cameraMode === 'orbit' && tank.orbitDragging) ||
+        (tank.cameraMode === 'firstPerson' && document.pointerLockElement === tank.renderer.domElement);
+    if (!looking) return;
+
+    tank.mouseX += event.movementX || 0;
+    tank.mouseY += event.movementY || 0;
+}
+
+/**
+ * Lock the pointer for first-person mouse look (on a click in the tank)
+ */
+export function requestMouseLook(tank) {
+    if (tank.cameraMode !== 'firstPerson' || tank.sideScrollerMode || document.pointerLockElement) return;
+    tank.renderer.domElement.requestPointerLock?.();
+}
+
+/**
+ * Turn the collected mouse movement into yaw and pitch
+ */
+function applyMouseLook(tank) {
+    if (!tank.mouseX && !tank.mouseY) return;
+
+    const sensitivity = tank.config.movement.mouseSensitivity;
+    tank.euler.y -= tank.mouseX * sensitivity;
+    tank.euler.x -= tank.mouseY * sensitivity;
+
+    const limits = tank.cameraMode === 'orbit' ? ORBIT_PITCH : { min: -FIRST_PERSON_PITCH, max: FIRST_PERSON_PITCH };
+    tank.euler.x = THREE.MathUtils.clamp(tank.euler.x, limits.min, limits.max);
+
+    tank.mouseX = 0;
+    tank.mouseY = 0;
+}
+
+/**
+ * Where the camera should be and which way it should face in the current mode
+ */
+function getCameraPose(tank) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+
+    if (tank.cameraMode === 'orbit') {
+        quaternion.setFromEuler(tank.euler);
+        position.set(0, 0, tank.orbitDistance).applyQuaternion(quaternion).add(getOrbitPivot(tank));
+    } else if (tank.cameraMode === 'firstPerson') {
+        quaternion.setFromEuler(tank.euler);
+        position.copy(EYE_OFFSET).applyQuaternion(tank.frog.quaternion)
+            .multiply(tank.frog.scale)
+            .add(tank.frog.position);
+    } else {
+        position.copy(tank.cameraOffset).multiplyScalar(tank.chaseZoom).add(tank.frog.position);
+        const look = new THREE.Matrix4().lookAt(position, getChaseLookTarget(tank), tank.camera.up);
+        quaternion.setFromRotationMatrix(look);
+    }
+
+    return { position, quaternion };
+}
+
+/**
+ * Point the chase cam looks at
+ */
+function getChaseLookTarget(tank) {
+    const target = tank.frog.position.clone();
+    target.y += LOOK_HEIGHT;
+    return target;
+}
+
+/**
+ * Point the orbit turns around
+ */
+function getOrbitPivot(tank) {
+    const pivot = tank.frog.position.clone();
+    pivot.y += ORBIT_HEIGHT;
+    return pivot;
+}
+
+/**
+ * Blend from the camera's current pose to the next one
+ */
+function startBlend(tank) {
+    tank.cameraTransition = {
+        position: tank.camera.position.clone(),
+        quaternion: tank.camera.quaternion.clone(),
+        start: performance.now()
+    };
+}
@@ -0,0 +1,201 @@
+/**
+ * Clustering - TF-IDF vectors over file contents, k-means seeded from the current
+ * areas, and a 2D placement between the area landmarks
+ *
+ * Pure functions without imports; test/clustering.test.js runs them under Node.
+ * Vectors are Maps of term -> weight with unit length, so a dot product is the cosine.
+ */
+
+const MIN_WORD_LENGTH = 3;
+const NAME_WEIGHT = 2;    // Words in a file's name count as much as two in its text
+
+// Words too common to say what a file is about
+const STOP_WORDS = new Set(`
+    the and for are but not you all any can had her was one our out has him his how its may new now
+    old see two who did get got let put say she too use that this with have from they will would there
+    their what about which when make like just into than then them been some could your were more very
+    also only over such after back other because these those where while should still even much many
+    most really dont didnt cant wont its im ive thats theres being doing done here why off own same
+    each few both again once under until down before above between through during against
+`.trim().split(/\s+/));
+
+/**
+ * Unit TF-IDF vector for each document - documents are { id, name, text }
+ */
+export function createTfIdfVectors(documents) {
+    const counts = documents.map(doc => {
+        const terms = countTerms(doc.text);
+        countTerms(doc.name || '').forEach((count, term) => {
+            terms.set(term, (terms.get(term) || 0) + count * NAME_WEIGHT);
+        });
+        return terms;
+    });
+
+    const documentFrequency = new Map();
+    counts.forEach(terms => terms.forEach((_, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+
+    const total = documents.length;
+    const vectors = new Map();
+    documents.forEach((doc, i) => {
+        const vector = new Map();
+        counts[i].forEach((count, term) => {
+            // A term in every document weighs nothing
+            const idf = Math.log((1 + total) / (1 + documentFrequency.get(term)));
+            if (idf > 0) vector.set(term, (1 + Math.log(count)) * idf);
+        });
+        vectors.set(doc.id, normalize(vector));
+    });
+    return vectors;
+}
+
+/**
+ * Seeded k-means over unit vectors, one cluster per seed: seeds is a Map of
+ * cluster key -> ids of documents that stay in it (their placement is known).
+ * The other documents are assigned to the nearest centroid and pull it along,
+ * round after round. Returns a Map of id -> { cluster, scores: { key: cosine } }
+ * for every document, plus the final centroids. Documents sharing no terms with
+ * any cluster get cluster null.
+ *
+ * A document is scored against a cluster it's in with itself left out, so seeds
+ * can turn out closer to another cluster.
+ */
+export function clusterVectors(vectors, seeds, iterations = 10) {
+    const seeded = new Map();
+    seeds.forEach((ids, key) => {
+        ids.forEach(id => {
+            if (vectors.get(id)?.size) seeded.set(id, key);
+        });
+    });
+
+    let members = seeded;
+    let sums = sumClusters(vectors, members);
+    let assignments = new Map();
+
+    for (let round = 0; round < iterations && sums.size > 0; round++) {
+        const next = new Map();
+        vectors.forEach((vector, id) => {
+            if (!vector.size) return;
+
+            const scores = {};
+            let best = null;
+            sums.forEach((cluster, key) => {
+                scores[key] = scoreAgainst(vector, cluster, members.get(id) === key);
+                if (best === null || scores[key] > scores[best]) best = key;
+            });
+            next.set(id, { cluster: scores[best] > 0 ? best : null, scores });
+        });
+
+        const changed = [...next].some(([id, assignment]) => assignments.get(id)?.cluster !== assignment.cluster);
+        assignments = next;
+        if (!changed) break;
+
+        // Seeds stay put; everything else joins the cluster it was assigned to
+        members = new Map(seeded);
+        assignments.forEach((assignment, id) => {
+            if (!seeded.has(id) && assignment.cluster !== null) members.set(id, assignment.cluster);
+        });
+        sums = sumClusters(vectors, members);
+    }
+
+    const centroids = new Map([...sums].map(([key, cluster]) => [key, normalize(new Map(cluster.sum))]));
+    return { assignments, centroids };
+}
+
+/**
+ * Summed vector and its squared length for each cluster's members
+ */
+function sumClusters(vectors, members) {
+    const sums = new Map();
+    members.forEach((key, id) => {
+        if (!sums.has(key)) sums.set(key, { sum: new Map(), length2: 0 });
+        const sum = sums.get(key).sum;
+        vectors.get(id).forEach((weight, term) => sum.set(term, (sum.get(term) || 0) + weight));
+    });
+    sums.forEach(cluster => {
+        cluster.sum.forEach(weight => { cluster.length2 += weight * weight; });
+    });
+    return sums;
+}
+
+/**
+ * Cosine between a unit vector and a cluster's centroid - without the vector's
+ * own share when it's a member
+ */
+function scoreAgainst(vector, cluster, isMember) {
+    const overlap = dot(vector, cluster.sum);
+    if (!isMember) return overlap / Math.sqrt(cluster.length2);
+
+    // |sum - v|^2 = |sum|^2 - 2 sum.v + 1
+    const rest = cluster.length2 - 2 * overlap + 1;
+    return rest > 1e-9 ? (overlap - 1) / Math.sqrt(rest) : 0;
+}
+
+/**
+ * Point between the anchors, pulled toward the clusters a document is most similar to -
+ * sharpness sets how strongly the best cluster wins
+ */
+export function embedInPlane(scores, anchors, sharpness = 20) {
+    const keys = Object.keys(scores).filter(key => anchors[key]);
+    if (keys.length === 0) return null;
+
+    const best = Math.max(...keys.map(key => scores[key]));
+    let total = 0;
+    let x = 0;
+    let z = 0;
+    keys.forEach(key => {
+        const weight = Math.exp(sharpness * (scores[key] - best));
+        total += weight;
+        x += anchors[key].x * weight;
+        z += anchors[key].z * weight;
+    });
+    return { x: x / total, z: z / total };
+}
+
+/**
+ * Highest-weighted terms of a vector
+ */
+export function topTerms(vector, count = 5) {
+    return [...vector]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, count)
+        .map(([term]) => term);
+}
+
+/**
+ * Term counts of a text, without stop words, numbers and very short words
+ */
+function countTerms(text) {
+    const counts = new Map();
+    const words = text.toLowerCase().replace(/['’]/g, '').match(/\p{L}+/gu) || [];
+    words.forEach(word => {
+        if (word.length < MIN_WORD_LENGTH || STOP_WORDS.has(word)) return;
+        counts.set(word, (counts.get(word) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Scale a vector to unit length (empty vectors stay empty)
+ */
+function normalize(vector) {
+    let length = 0;
+    vector.forEach(weight => { length += weight * weight; });
+    length = Math.sqrt(length);
+    if (length > 0) vector.forEach((weight, term) => vector.set(term, weight / length));
+    return vector;
+}
+
+/**
+ * Dot product, iterating the smaller vector
+ */
+function dot(a, b) {
+    if (a.size > b.size) [a, b] = [b, a];
+    let sum = 0;
+    a.forEach((weight, term) => {
+        const other = b.get(term);
+        if (other) sum += weight * other;
+    });
+    return sum;
+}
@@ -0,0 +1,253 @@
+/**
+ * Cluster layout (K) - groups files by what they're about and floats each one
+ * between the area landmarks it's most like. The Clusters panel lists files that
+ * look like they belong in another area and can move them there.
+ *
+ * Files placed by hand in file-layout.yaml anchor their areas; files the layout
+ * doesn't mention land next to the files they're most similar to.
+ */
+import * as THREE from 'three';
+import { createTfIdfVectors, clusterVectors, embedInPlane, topTerms } from './clustering.js';
+import { buildSearchIndex } from './search.js';
+import { TRASH_AREA } from './layout.js';
+import { getHomePosition, swimObjectTo } from './objects.js';
+import { getSavedPosition } from './positions.js';
+import { moveFileToArea } from './fileactions.js';
+import { escapeHtml, hashString, createSeededRandom } from './utils.js';
+
+const STORAGE_KEY = 'swimming-tank:cluster-layout';
+const SUGGESTION_MARGIN = 0.05;   // How much closer a placed file must be to another area to suggest a move
+const SPREAD = 4;                 // Radius around a file's spot, so similar files don't overlap
+
+/**
+ * Turn the cluster layout on or off (K) - it stays on across reloads
+ */
+export async function toggleClusterLayout(tank) {
+    const enabled = !isClusterLayoutEnabled();
+    try {
+        localStorage.setItem(STORAGE_KEY, String(enabled));
+    } catch (error) {
+        console.warn('Could not save cluster layout setting:', error.message);
+    }
+
+    if (enabled) {
+        document.getElementById('cluster-panel')?.classList.remove('hidden');
+        renderPanel(tank);
+        await applyClusterLayout(tank);
+    } else {
+        tank.clusterLayout = null;
+        closeClusterPanel(tank);
+        swimHome(tank);
+        console.log('Cluster layout off');
+    }
+}
+
+/**
+ * Whether the cluster layout is on
+ */
+export function isClusterLayoutEnabled() {
+    try {
+        return localStorage.getItem(STORAGE_KEY) === 'true';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Cluster the loaded files and swim them to their spots - does nothing while the
+ * cluster layout is off. Objects created afterwards start at their spot.
+ */
+export async function applyClusterLayout(tank) {
+    if (!isClusterLayoutEnabled()) return;
+
+    const files = tank.files;
+    let layout;
+    try {
+        layout = await computeClusterLayout(tank);
+    } catch (error) {
+        console.error('Clustering failed:', error);
+        return;
+    }
+
+    // Turned off, or another folder was opened, while the files were read
+    if (!isClusterLayoutEnabled() || tank.files !== files) return;
+
+    tank.clusterLayout = layout;
+    tank.allObjects.forEach(object => {
+        const target = layout.positions.get(object.userData.path);
+        if (target) swimObjectTo(tank, object, target);
+    });
+
+    console.log(`Cluster layout: ${layout.positions.size} files placed, ${layout.suggestions.length} suggested moves`);
+    renderPanel(tank);
+}
+
+/**
+ * Hide the Clusters panel (the layout stays on)
+ */
+export function closeClusterPanel(tank) {
+    document.getElementById('cluster-panel')?.classList.add('hidden');
+}
+
+/**
+ * Whether the Clusters panel is showing
+ */
+export function isClusterPanelOpen(tank) {
+    const panel = document.getElementById('cluster-panel');
+    return Boolean(panel) && !panel.classList.contains('hidden');
+}
+
+/**
+ * TF-IDF clusters of the text files, seeded from the current areas:
+ * { positions: path -> Vector3, suggestions, clusters }
+ */
+async function computeClusterLayout(tank) {
+    const index = await buildSearchIndex(tank);
+    const entries = index.entries.filter(entry => entry.fileData.area !== TRASH_AREA);
+    const files = entries.map(entry => entry.fileData);
+
+    const vectors = createTfIdfVectors(entries.map(entry => ({
+        id: entry.fileData.path,
+        name: entry.fileData.name,
+        text: entry.text
+    })));
+
+    // In opened local folders nothing is placed by hand - every area comes from a folder
+    const placed = files.filter(file => file.group);
+    const seedFiles = placed.length > 0 ? placed : files;
+    const seeds = new Map();
+    seedFiles.forEach(file => {
+        if (!tank.areaPositions[file.area]) return;
+        if (!seeds.has(file.area)) seeds.set(file.area, []);
+        seeds.get(file.area).push(file.path);
+    });
+
+    const { assignments, centroids } = clusterVectors(vectors, seeds);
+
+    const positions = new Map();
+    const suggestions = [];
+    files.forEach(file => {
+        const assignment = assignments.get(file.path);
+        if (!assignment?.cluster) return;
+
+        positions.set(file.path, getClusterPosition(tank, file, assignment.scores));
+
+        const margin = assignment.scores[assignment.cluster] - (assignment.scores[file.area] || 0);
+        const isSeed = seedFiles.includes(file);
+        if (assignment.cluster !== file.area && (!isSeed || margin >= SUGGESTION_MARGIN)) {
+            suggestions.push({ file, area: assignment.cluster });
+        }
+    });
+
+    const clusters = [...centroids].map(([area, centroid]) => ({
+        area,
+        terms: topTerms(centroid, 5),
+        count: [...assignments.values()].filter(assignment => assignment.cluster === area).length
+    }));
+
+    return { positions, suggestions, clusters };
+}
+
+/**
+ * Spot for a file between the landmarks, pulled toward the areas it's most like -
+ * spread around a little by its path, at its usual height
+ */
+function getClusterPosition(tank, file, scores) {
+    const point = embedInPlane(scores, tank.areaPositions);
+    const random = createSeededRandom(hashString(file.path));
+    const angle = random() * Math.PI * 2;
+    const distance = Math.sqrt(random()) * SPREAD;
+
+    return new THREE.Vector3(
+        point.x + Math.cos(angle) * distance,
+        getHomePosition(tank, file).y,
+        point.z + Math.sin(angle) * distance
+    );
+}
+
+/**
+ * Send every file back to where it sits without the cluster layout
+ */
+function swimHome(tank) {
+    tank.allObjects.forEach(object => {
+        const data = object.userData;
+        if (data.type === 'folder') return;
+        swimObjectTo(tank, object, getSavedPosition(tank, data.path) || getHomePosition(tank, data));
+    });
+}
+
+/**
+ * Suggested moves and what each cluster is about
+ */
+function renderPanel(tank) {
+    const panel = document.getElementById('cluster-panel');
+    if (!panel || !isClusterPanelOpen(tank)) return;
+
+    const layout = tank.clusterLayout;
+    const readOnly = Boolean(tank.localRoot);
+    const areaName = (key) => escapeHtml(tank.areaPositions[key]?.name || key);
+
+    let body = '<p class="file-actions-note">Reading files…</p>';
+    if (layout) {
+        body = `
+            <div class="file-action-group">Suggested moves</div>
+            ${layout.suggestions.length === 0 ? '<p class="file-actions-note">Every file is in the area it fits best.</p>' : ''}
+            ${layout.suggestions.map((suggestion, index) => `
+                <div class="panel-row">
+                    <span class="panel-row-name cluster-suggestion">
+                        ${escapeHtml(suggestion.file.name)}
+                        <span class="panel-row-detail">${areaName(suggestion.file.area)} → ${areaName(suggestion.area)}</span>
+                    </span>
+                    ${readOnly ? '' : `<button class="panel-row-btn" data-suggestion="${index}">Move</button>`}
+                </div>
+            `).join('')}
+            ${!readOnly && layout.suggestions.length > 1 ? '<button class="file-action" data-action="move-all">Move all</button>' : ''}
+            <div class="file-action-group">Clusters</div>
+            ${layout.clusters.map(cluster => `
+                <div class="cluster-summary">
+                    <strong>${areaName(cluster.area)}</strong> (${cluster.count})
+                    <span class="panel-row-detail">${escapeHtml(cluster.terms.join(', '))}</span>
+                </div>
+            `).join('')}
+            ${readOnly ? '<p class="file-actions-note">Files in opened local folders are read-only here.</p>' : ''}
+        `;
+    }
+
+    panel.innerHTML = `
+        <div class="file-actions-header">
+            <span class="file-actions-title">Clusters</span>
+            <button class="close-btn" data-action="close">&times;</button>
+        </div>
+        <div class="file-actions-body">${body}</div>
+        <div class="file-actions-status"></div>
+    `;
+
+    panel.querySelector('[data-action="close"]').addEventListener('click', () => closeClusterPanel(tank));
+    panel.querySelectorAll('[data-suggestion]').forEach(button => {
+        button.addEventListener('click', () => applySuggestions(tank, [layout.suggestions[Number(button.dataset.suggestion)]]));
+    });
+    panel.querySelector('[data-action="move-all"]')?.addEventListener('click', () => applySuggestions(tank, layout.suggestions));
+}
+
+/**
+ * Move files to their suggested areas, then cluster again
+ */
+async function applySuggestions(tank, suggestions) {
+    if (tank.clusterLayout.busy) return;
+    tank.clusterLayout.busy = true;
+    const status = document.querySelector('#cluster-panel .file-actions-status');
+
+    try {
+        for (const { file, area } of suggestions) {
+            const object = tank.allObjects.find(candidate => candidate.userData.path === file.path);
+            if (!object) continue;
+            if (status) status.textContent = `Moving ${file.name}…`;
+            await moveFileToArea(tank, object, area);
+        }
+        await applyClusterLayout(tank);
+    } catch (error) {
+        console.error('Moving files failed:', error);
+        tank.clusterLayout.busy = false;
+        if (status) status.textContent = error.message;
+    }
+}
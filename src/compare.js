@@ -0,0 +1,361 @@
+/**
+ * Comparing files - mark two text files with Shift+Enter and open a diff window
+ * with side-by-side or inline changes, highlighted down to the word
+ */
+import * as THREE from 'three';
+import { diffLines, diffWords, countChanges, createUnifiedDiff, lineText, endsWithoutNewline } from './diff.js';
+import { readFileText } from './fileapi.js';
+import { isTextType } from './filetypes.js';
+import { getKeyLabel } from './keybindings.js';
+import { requestUnlock } from './privacy.js';
+import { createPreviewWindow } from './ui.js';
+import { escapeHtml, downloadText } from './utils.js';
+
+const MARK_LABELS = ['A', 'B'];
+const MARK_COLORS = ['#ff6b6b', '#ffd43b'];
+const MAX_LINE_EDITS = 2000;      // Changed lines past which two files are too different to diff
+const MAX_WORD_EDITS = 200;       // Changed words past which a line pair is shown whole
+
+/**
+ * Mark or unmark the selected file for comparison (Shift+Enter).
+ * Once two files are marked, their diff opens.
+ */
+export function toggleCompareMark(tank) {
+    const object = tank.selectedObject;
+    if (!object) return;
+
+    if (!tank.compareMarks) tank.compareMarks = [];
+    const marks = tank.compareMarks;
+
+    const existing = marks.findIndex(mark => mark.object === object);
+    if (existing !== -1) {
+        removeMarker(tank, marks[existing]);
+        marks.splice(existing, 1);
+        relabelMarks(tank);
+        console.log(`Unmarked ${object.userData.name}`);
+        return;
+    }
+
+    const fileData = object.userData;
+    if (!isTextType(fileData.type)) {
+        console.warn(`Can't compare ${fileData.name} - only text files can be diffed`);
+        return;
+    }
+
+    marks.push({ object, marker: null });
+    relabelMarks(tank);
+
+    if (marks.length < 2) {
+        console.log(`Marked ${fileData.name} - ${getKeyLabel(tank, 'swim', 'compareMark') || 'mark'} another file to compare`);
+        return;
+    }
+
+    const [oldFile, newFile] = marks.map(mark => mark.object.userData);
+    clearCompareMarks(tank);
+    openDiff(tank, oldFile, newFile);
+}
+
+/**
+ * Drop both marks
+ */
+export function clearCompareMarks(tank) {
+    (tank.compareMarks || []).forEach(mark => removeMarker(tank, mark));
+    tank.compareMarks = [];
+}
+
+/**
+ * Keep the A/B markers floating above their objects
+ */
+export function updateCompareMarks(tank) {
+    if (!tank.compareMarks?.length) return;
+
+    // Marked objects go away when another folder is opened
+    tank.compareMarks = tank.compareMarks.filter(mark => {
+        if (tank.allObjects.includes(mark.object)) return true;
+        removeMarker(tank, mark);
+        return false;
+    });
+
+    const box = new THREE.Box3();
+    tank.compareMarks.forEach(mark => {
+        box.setFromObject(mark.object);
+        mark.marker.position.copy(mark.object.position);
+        mark.marker.position.y = box.max.y + 0.6 + Math.sin(tank.swimTime * 3) * 0.1;
+    });
+}
+
+/**
+ * Give each mark the label for its place in line (the first is the old file)
+ */
+function relabelMarks(tank) {
+    tank.compareMarks.forEach((mark, index) => {
+        removeMarker(tank, mark);
+        mark.marker = createMarker(MARK_LABELS[index], MARK_COLORS[index]);
+        tank.scene.add(mark.marker);
+    });
+    updateCompareMarks(tank);
+}
+
+/**
+ * Round letter badge sprite
+ */
+function createMarker(label, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.beginPath();
+    ctx.arc(32, 32, 28, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    ctx.font = 'bold 34px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, 32, 34);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(0.8, 0.8, 1);
+
+    return sprite;
+}
+
+/**
+ * Take a mark's badge out of the scene
+ */
+function removeMarker(tank, mark) {
+    if (!mark.marker) return;
+
+    tank.scene.remove(mark.marker);
+    mark.marker.material.map.dispose();
+    mark.marker.material.dispose();
+    mark.marker = null;
+}
+
+/**
+ * Open a diff window for two files
+ */
+export async function openDiff(tank, oldFile, newFile) {
+    const isPrivate = Boolean(oldFile.private || newFile.private);
+    if (isPrivate && !(await requestUnlock(tank))) return;
+
+    const windowData = createPreviewWindow(tank, {
+        // Marked private so the window closes when private files lock
+        fileData: { name: `${oldFile.name} ↔ ${newFile.name}`, type: 'diff', private: isPrivate },
+        icon: '⇄',
+        meta: `${escapeHtml(oldFile.path || oldFile.name)} → ${escapeHtml(newFile.path || newFile.name)}`
+    });
+    if (!windowData) return;
+
+    const content = windowData.content;
+    let oldText, newText;
+    try {
+        [oldText, newText] = await Promise.all([readFileText(oldFile), readFileText(newFile)]);
+    } catch (error) {
+        console.error('Error loading files to compare:', error);
+        content.innerHTML = `<p style="color: #ff6b6b;">Error loading files: ${escapeHtml(error.message)}</p>`;
+        return;
+    }
+
+    const runs = diffLines(oldText, newText, MAX_LINE_EDITS);
+    if (!runs) {
+        content.innerHTML = `<div class="preview-warning">These files differ in more than ${MAX_LINE_EDITS} lines - too many to compare.</div>`;
+        return;
+    }
+
+    renderDiff(content, oldFile, newFile, runs);
+    console.log(`Comparing ${oldFile.name} with ${newFile.name}`);
+}
+
+/**
+ * Diff view with a toolbar to switch layouts and export a .diff file
+ */
+function renderDiff(container, oldFile, newFile, runs) {
+    const { added, removed } = countChanges(runs);
+    let mode = 'split';
+
+    container.classList.add('diff-preview');
+    container.innerHTML = `
+        <div class="diff-toolbar">
+            <span class="diff-stats">
+                <span class="diff-added">+${added}</span>
+                <span class="diff-removed">−${removed}</span>
+            </span>
+            <button class="preview-btn diff-mode">Inline</button>
+            <button class="preview-btn diff-export">Export .diff</button>
+        </div>
+        <div class="diff-body"></div>
+    `;
+
+    const body = container.querySelector('.diff-body');
+    const modeButton = container.querySelector('.diff-mode');
+
+    const draw = () => {
+        if (!added && !removed) {
+            body.innerHTML = '<p class="diff-identical">The files are identical.</p>';
+            return;
+        }
+        body.innerHTML = mode === 'split' ? renderSplit(runs) : renderInline(runs);
+    };
+
+    modeButton.addEventListener('click', () => {
+        mode = mode === 'split' ? 'inline' : 'split';
+        modeButton.textContent = mode === 'split' ? 'Inline' : 'Side by side';
+        draw();
+    });
+
+    container.querySelector('.diff-export').addEventListener('click', () => {
+        const patch = createUnifiedDiff(oldFile.path || oldFile.name, newFile.path || newFile.name, runs);
+        downloadText(`${stripExtension(oldFile.name)}-vs-${stripExtension(newFile.name)}.diff`, patch, 'text/x-diff');
+    });
+
+    draw();
+}
+
+/**
+ * Old file on the left, new on the right, changed lines paired up
+ */
+function renderSplit(runs) {
+    const rows = [];
+    let oldLine = 1;
+    let newLine = 1;
+
+    forEachBlock(runs, (type, oldLines, newLines) => {
+        if (type === 'equal') {
+            oldLines.forEach(line => {
+                const html = escapeHtml(lineText(line)) + noNewlineMark(line);
+                rows.push(`<tr><td class="diff-num">${oldLine++}</td><td class="diff-line">${html}</td>` +
+                    `<td class="diff-num">${newLine++}</td><td class="diff-line">${html}</td></tr>`);
+            });
+            return;
+        }
+
+        const count = Math.max(oldLines.length, newLines.length);
+        for (let i = 0; i < count; i++) {
+            const [oldHtml, newHtml] = highlightPair(oldLines[i], newLines[i]);
+            const left = i < oldLines.length ?
+                `<td class="diff-num">${oldLine++}</td><td class="diff-line diff-del">${oldHtml}</td>` :
+                '<td class="diff-num"></td><td class="diff-line diff-empty"></td>';
+            const right = i < newLines.length ?
+                `<td class="diff-num">${newLine++}</td><td class="diff-line diff-ins">${newHtml}</td>` :
+                '<td class="diff-num"></td><td class="diff-line diff-empty"></td>';
+            rows.push(`<tr>${left}${right}</tr>`);
+        }
+    });
+
+    return `<table class="diff-table diff-split">${rows.join('')}</table>`;
+}
+
+/**
+ * One column, removed lines above the lines that replace them
+ */
+function renderInline(runs) {
+    const rows = [];
+    let oldLine = 1;
+    let newLine = 1;
+
+    forEachBlock(runs, (type, oldLines, newLines) => {
+        if (type === 'equal') {
+            oldLines.forEach(line => {
+                rows.push(`<tr><td class="diff-num">${oldLine++}</td><td class="diff-num">${newLine++}</td>` +
+                    `<td class="diff-sign"></td><td class="diff-line">${escapeHtml(lineText(line))}${noNewlineMark(line)}</td></tr>`);
+            });
+            return;
+        }
+
+        const count = Math.max(oldLines.length, newLines.length);
+        const pairs = Array.from({ length: count }, (_, i) => highlightPair(oldLines[i], newLines[i]));
+
+        oldLines.forEach((text, i) => {
+            rows.push(`<tr class="diff-del"><td class="diff-num">${oldLine++}</td><td class="diff-num"></td>` +
+                `<td class="diff-sign">-</td><td class="diff-line">${pairs[i][0]}</td></tr>`);
+        });
+        newLines.forEach((text, i) => {
+            rows.push(`<tr class="diff-ins"><td class="diff-num"></td><td class="diff-num">${newLine++}</td>` +
+                `<td class="diff-sign">+</td><td class="diff-line">${pairs[i][1]}</td></tr>`);
+        });
+    });
+
+    return `<table class="diff-table diff-inline">${rows.join('')}</table>`;
+}
+
+/**
+ * Walk a line diff as unchanged blocks and change blocks (removed lines with the lines added in their place)
+ */
+function forEachBlock(runs, callback) {
+    for (let i = 0; i < runs.length; i++) {
+        const run = runs[i];
+        if (run.type === 'equal') {
+            callback('equal', run.items, run.items);
+        } else if (run.type === 'delete' && runs[i + 1]?.type === 'insert') {
+            callback('change', run.items, runs[i + 1].items);
+            i++;
+        } else if (run.type === 'delete') {
+            callback('change', run.items, []);
+        } else {
+            callback('change', [], run.items);
+        }
+    }
+}
+
+/**
+ * HTML for a removed line and the line that replaced it, with the changed words marked
+ */
+function highlightPair(oldLine, newLine) {
+    const [oldHtml, newHtml] = highlightWords(
+        oldLine === undefined ? undefined : lineText(oldLine),
+        newLine === undefined ? undefined : lineText(newLine)
+    );
+    return [oldHtml + noNewlineMark(oldLine), newHtml + noNewlineMark(newLine)];
+}
+
+/**
+ * Word diff of two lines as HTML. Lines with nothing in common besides spaces
+ * and punctuation, or too much changed, are shown whole.
+ */
+function highlightWords(oldText, newText) {
+    if (oldText === undefined || newText === undefined) {
+        return [escapeHtml(oldText ?? ''), escapeHtml(newText ?? '')];
+    }
+
+    const runs = diffWords(oldText, newText, MAX_WORD_EDITS);
+    const shared = runs && runs.some(run => run.type === 'equal' && run.items.some(word => /[\p{L}\p{N}]/u.test(word)));
+    if (!shared) return [escapeHtml(oldText), escapeHtml(newText)];
+
+    let oldHtml = '';
+    let newHtml = '';
+    runs.forEach(run => {
+        const html = escapeHtml(run.items.join(''));
+        if (run.type === 'equal') {
+            oldHtml += html;
+            newHtml += html;
+        } else if (run.type === 'delete') {
+            oldHtml += `<del class="diff-word">${html}</del>`;
+        } else {
+            newHtml += `<ins class="diff-word">${html}</ins>`;
+        }
+    });
+    return [oldHtml, newHtml];
+}
+
+/**
+ * Marker after the last line of a file that has no final newline
+ */
+function noNewlineMark(line) {
+    return line !== undefined && endsWithoutNewline(line) ?
+        '<span class="diff-no-newline">No newline at end of file</span>' : '';
+}
+
+/**
+ * File name without its extension
+ */
+function stripExtension(name) {
+    return name.replace(/\.[^.]+$/, '');
+}
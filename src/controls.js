@@ -1,174 +1,225 @@
 /**
  * Controls - keyboard and mouse input handling
  */
-import { performDash, resetCamera, toggleMultiFrogMode, realignCamera } from './frog.js';
+import { performDash, resetCamera, toggleMultiFrogMode } from './frog.js';
+import { realignCamera, cycleCameraMode, handleMouseLook, requestMouseLook } from './camera.js';
 import { toggleCollisionVisualization } from './objects.js';
 import { openPreview, closePreview, toggleLightPanel } from './ui.js';
 import { toggleTankBounds } from './scene.js';
-import { exitSideScrollerMode, handleSideScrollerInput, getSelectedFile } from './sidescroller.js';
+import { pushSideScrollerLevel, popSideScrollerLevel, getSelectedFile } from './sidescroller.js';
+import { openFolderPicker, setupFolderDrop } from './localfs.js';
+import { openSearch } from './search.js';
+import { openFileActions, closeFileActions, isFileActionsOpen } from './fileactions.js';
+import { setupObjectDragging, toggleGrab } from './arrange.js';
+import { toggleMinimap } from './minimap.js';
+import { toggleMute } from './audio.js';
+import { toggleCompareMark } from './compare.js';
+import { toggleDuplicatesPanel, closeDuplicatesPanel, isDuplicatesPanelOpen } from './duplicates.js';
+import { toggleClusterLayout, closeClusterPanel, isClusterPanelOpen } from './clusterlayout.js';
+import { editTags, toggleTagFilter, closeTagFilter, isTagFilterOpen } from './tags.js';
+import { togglePrivacyLock } from './privacy.js';
+import { cycleTarget, toggleTargetLock } from './targeting.js';
+import {
+    setupKeyBindings, getKeyAction, getHeldActions, isHoldAction,
+    toggleKeyBindingsPanel, closeKeyBindingsPanel, isKeyBindingsPanelOpen
+} from './keybindings.js';
+import {
+    BOOKMARK_SLOTS, setBookmark, goToBookmark,
+    toggleBookmarksPanel, closeBookmarksPanel, isBookmarksPanelOpen
+} from './bookmarks.js';
+import { toggleTour, closeTour, isTourOpen } from './tour.js';
+
+// What each bound action does while swimming - the keys are in keybindings.js
+const SWIM_ACTIONS = {
+    dash: (tank, event) => {
+        event.preventDefault();
+        performDash(tank);
+    },
+    realignCamera: (tank) => realignCamera(tank),
+    cameraMode: (tank) => cycleCameraMode(tank),
+    open: (tank) => openSelection(tank),
+    back: (tank) => goBack(tank),
+    openFolder: (tank) => openFolderPicker(tank),
+    search: (tank, event) => {
+        event.preventDefault();
+        openSearch(tank);
+    },
+    fileActions: (tank) => openFileActions(tank),
+    grab: (tank) => toggleGrab(tank),
+    compareMark: (tank) => {
+        // Enter on a focused menu button belongs to the button
+        if (!isFileActionsOpen(tank)) toggleCompareMark(tank);
+    },
+    editTags: (tank, event) => {
+        // Keep the key out of the tag field it focuses
+        event.preventDefault();
+        editTags(tank);
+    },
+    privacyLock: (tank, event) => {
+        // Keep the key out of the passphrase field
+        event.preventDefault();
+        togglePrivacyLock(tank);
+    },
+    nextTarget: (tank, event) => {
+        // Cycle targets instead of moving focus around the page
+        event.preventDefault();
+        cycleTarget(tank, 1);
+    },
+    previousTarget: (tank, event) => {
+        event.preventDefault();
+        cycleTarget(tank, -1);
+    },
+    lockTarget: (tank) => toggleTargetLock(tank),
+    minimap: (tank) => toggleMinimap(tank),
+    mute: (tank) => toggleMute(tank),
+    duplicates: (tank) => toggleDuplicatesPanel(tank),
+    clusterLayout: (tank) => toggleClusterLayout(tank),
+    tagFilter: (tank, event) => {
+        event.preventDefault();
+        toggleTagFilter(tank);
+    },
+    keyBindings: (tank) => toggleKeyBindingsPanel(tank),
+    tour: (tank) => toggleTour(tank),
+    bookmarks: (tank) => toggleBookmarksPanel(tank),
+    ...Object.fromEntries(Array.from({ length: BOOKMARK_SLOTS }, (_, index) => [
+        `bookmark${index + 1}`, (tank) => goToBookmark(tank, index + 1)
+    ])),
+    ...Object.fromEntries(Array.from({ length: BOOKMARK_SLOTS }, (_, index) => [
+        `setBookmark${index + 1}`, (tank, event) => {
+            // Ctrl+number switches browser tabs where the page is allowed to stop it
+            event.preventDefault();
+            setBookmark(tank, index + 1);
+        }
+    ])),
+    collisions: (tank) => toggleCollisionVisualization(tank),
+    debugMode: (tank) => toggleDebugMode(tank),
+    sceneState: (tank) => debugSceneState(tank),
+    multiFrog: (tank) => toggleMultiFrogMode(tank),
+    lightPanel: () => toggleLightPanel(),
+    tankBounds: (tank) => toggleTankBounds(tank)
+};
+
+// What each bound action does in the side-scroller (besides the held movement keys)
+const SIDE_SCROLLER_ACTIONS = {
+    open: (tank) => openSelection(tank),
+    back: (tank) => goBack(tank),
+    keyBindings: (tank) => toggleKeyBindingsPanel(tank)
+};
 
 /**
  * Setup mouse and keyboard controls
  */
 export function setupControls(tank) {
+    setupKeyBindings(tank);
+
     // Mouse movement handler
     tank.onMouseMove = (event) => {
-        // Mouse look disabled - no pointer lock needed
+        handleMouseLook(tank, event);
     };
 
-    // Mouse click handler
-    tank.onMouseClick = () => {
-        // Handle regular mouse clicks for object selection
+    // Mouse click handler - in first person a click starts mouse look (a tap opens instead)
+    tank.onMouseClick = (event) => {
+        if (event.pointerType === 'touch') return;
+        requestMouseLook(tank);
     };
 
-    // Keyboard down handler
+    // Keyboard down handler - keys are looked up in the bindings for the current mode
     tank.onKeyDown = (event) => {
-        // Side-scroller mode controls
-        if (tank.sideScrollerMode) {
-            switch (event.code) {
-                case 'KeyA':
-                case 'ArrowLeft':
-                    tank.sideScrollerInput.left = true;
-                    break;
-                case 'KeyD':
-                case 'ArrowRight':
-                    tank.sideScrollerInput.right = true;
-                    break;
-                case 'KeyW':
-                case 'ArrowUp':
-                case 'Space':
-                    event.preventDefault();
-                    tank.sideScrollerInput.jump = true;
-                    break;
-                case 'KeyS':
-                case 'ArrowDown':
-                    tank.sideScrollerInput.down = true;
-                    break;
-                case 'Enter':
-                    const selectedFile = getSelectedFile(tank);
-                    if (selectedFile) {
-                        openPreview(tank, selectedFile);
-                    }
-                    break;
-                case 'Escape':
-                    exitSideScrollerMode(tank);
-                    break;
-            }
-            return;
-        }
+        // Let text fields (search box, editors) keep their keystrokes
+        if (isTypingTarget(event.target)) return;
+
+        const mode = tank.sideScrollerMode ? 'sideScroller' : 'swim';
 
         // Reset autopilot timer on any input
-        if (tank.autopilot) {
+        if (mode === 'swim' && tank.autopilot) {
             tank.autopilot.lastInputTime = Date.now();
             tank.autopilot.active = false;
         }
 
-        // Swimming tank mode controls
-        switch (event.code) {
-            case 'KeyW':
-                tank.movement.forward = true;
-                break;
-            case 'KeyA':
-                tank.movement.left = true;
-                break;
-            case 'KeyS':
-                tank.movement.backward = true;
-                break;
-            case 'KeyD':
-                tank.movement.right = true;
-                break;
-            case 'ArrowUp':
-                tank.movement.up = true;
-                break;
-            case 'ArrowDown':
-                tank.movement.down = true;
-                break;
-            case 'Space':
-                event.preventDefault();
-                performDash(tank);
-                break;
-            case 'KeyC':
-                toggleCollisionVisualization(tank);
-                break;
-            case 'KeyR':
-                realignCamera(tank);
-                break;
-            case 'KeyF':
-                toggleDebugMode(tank);
-                break;
-            case 'KeyM':
-                toggleMultiFrogMode(tank);
-                break;
-            case 'KeyB':
-                debugSceneState(tank);
-                break;
-            case 'KeyL':
-                toggleLightPanel();
-                break;
-            case 'KeyT':
-                toggleTankBounds(tank);
-                break;
-            case 'Enter':
-                if (tank.selectedObject) {
-                    openPreview(tank, tank.selectedObject);
-                }
-                break;
-            case 'Escape':
-                if (tank.previewWindows.length > 0) {
-                    closePreview(tank);
-                }
-                break;
+        const action = getKeyAction(tank, mode, event);
+        if (!action) return;
+
+        if (isHoldAction(mode, action)) {
+            // No page scrolling from Space and the arrows
+            event.preventDefault();
+            getHoldInputs(tank, mode)[action] = true;
+            return;
         }
+
+        const handlers = mode === 'swim' ? SWIM_ACTIONS : SIDE_SCROLLER_ACTIONS;
+        handlers[action]?.(tank, event);
     };
 
-    // Keyboard up handler
+    // Keyboard up handler - releases every movement input on that key, whatever the modifiers
     tank.onKeyUp = (event) => {
-        // Side-scroller mode key releases
-        if (tank.sideScrollerMode) {
-            switch (event.code) {
-                case 'KeyA':
-                case 'ArrowLeft':
-                    tank.sideScrollerInput.left = false;
-                    break;
-                case 'KeyD':
-                case 'ArrowRight':
-                    tank.sideScrollerInput.right = false;
-                    break;
-                case 'KeyW':
-                case 'ArrowUp':
-                case 'Space':
-                    tank.sideScrollerInput.jump = false;
-                    break;
-                case 'KeyS':
-                case 'ArrowDown':
-                    tank.sideScrollerInput.down = false;
-                    break;
-            }
-            return;
-        }
+        const mode = tank.sideScrollerMode ? 'sideScroller' : 'swim';
+        const inputs = getHoldInputs(tank, mode);
+        getHeldActions(tank, mode, event.code).forEach(action => {
+            inputs[action] = false;
+        });
+    };
+}
 
-        // Swimming tank mode key releases
-        switch (event.code) {
-            case 'KeyW':
-                tank.movement.forward = false;
-                break;
-            case 'KeyA':
-                tank.movement.left = false;
-                break;
-            case 'KeyS':
-                tank.movement.backward = false;
-                break;
-            case 'KeyD':
-                tank.movement.right = false;
-                break;
-            case 'ArrowUp':
-                tank.movement.up = false;
-                break;
-            case 'ArrowDown':
-                tank.movement.down = false;
-                break;
+/**
+ * Open the selected file or folder (Enter by default, or the gamepad's X button)
+ */
+export function openSelection(tank) {
+    if (tank.sideScrollerMode) {
+        const selectedFile = getSelectedFile(tank);
+        if (selectedFile && selectedFile.userData.type === 'folder') {
+            pushSideScrollerLevel(tank, {
+                name: selectedFile.userData.name,
+                path: selectedFile.userData.path
+            });
+        } else if (selectedFile) {
+            openPreview(tank, selectedFile);
         }
-    };
+        return;
+    }
+
+    if (tank.selectedObject && !isFileActionsOpen(tank)) {
+        openPreview(tank, tank.selectedObject);
+    }
+}
+
+/**
+ * Close whatever is on top, or leave the current side-scroller level (Escape by default, or the gamepad's B button)
+ */
+export function goBack(tank) {
+    if (isKeyBindingsPanelOpen(tank)) {
+        closeKeyBindingsPanel(tank);
+    } else if (tank.sideScrollerMode) {
+        popSideScrollerLevel(tank);
+    } else if (isFileActionsOpen(tank)) {
+        closeFileActions(tank);
+    } else if (isBookmarksPanelOpen(tank)) {
+        closeBookmarksPanel(tank);
+    } else if (isDuplicatesPanelOpen(tank)) {
+        closeDuplicatesPanel(tank);
+    } else if (isClusterPanelOpen(tank)) {
+        closeClusterPanel(tank);
+    } else if (isTagFilterOpen(tank)) {
+        closeTagFilter(tank);
+    } else if (tank.previewWindows.length > 0) {
+        closePreview(tank);
+    } else if (isTourOpen(tank)) {
+        closeTour(tank);
+    }
+}
+
+/**
+ * The movement inputs the held keys drive in a mode
+ */
+function getHoldInputs(tank, mode) {
+    return mode === 'swim' ? tank.movement : tank.sideScrollerInput;
+}
+
+/**
+ * True when a key event is aimed at a text field rather than the game
+ */
+export function isTypingTarget(target) {
+    return target instanceof HTMLElement &&
+        (target.matches('input, textarea, select') || target.isContentEditable);
 }
 
 /**
@@ -180,6 +231,19 @@ export function setupEventListeners(tank) {
     document.addEventListener('keydown', tank.onKeyDown);
     document.addEventListener('keyup', tank.onKeyUp);
 
+    setupObjectDragging(tank);
+
+    // Right-click opens the file actions for the selected object
+    tank.renderer.domElement.addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+        openFileActions(tank);
+    });
+
+    document.getElementById('open-folder-btn')?.addEventListener('click', () => {
+        openFolderPicker(tank);
+    });
+    setupFolderDrop(tank);
+
     // Window resize handler
     window.addEventListener('resize', () => {
         tank.camera.aspect = window.innerWidth / window.innerHeight;
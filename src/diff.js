@@ -0,0 +1,199 @@
+/**
+ * Text diffing - line and word diffs (Myers' algorithm) and unified-diff output.
+ * Pure functions, no DOM.
+ */
+
+// A last line without a final newline keeps a '\n' of its own (split lines have
+// none otherwise), so it differs from the same line with one
+const NO_NEWLINE = '\n';
+
+/**
+ * Shortest edit script between two arrays, as runs of
+ * { type: 'equal' | 'delete' | 'insert', items } - or null when it takes more
+ * than maxEdits insertions and deletions (memory grows with their square)
+ */
+export function diffSequences(a, b, maxEdits = Infinity) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    // Forward pass: furthest reaching path for each diagonal k, per edit count d.
+    // Only diagonals -d-1..d+1 are read back for step d, so that's all the trace keeps
+    let found = max === 0;
+    for (let d = 0; d <= max && !found; d++) {
+        if (d > maxEdits) return null;
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ?
+                v[offset + k + 1] :
+                v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Walk the trace backwards to recover the edits
+    const edits = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const vd = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && vd[d + k] < vd[d + k + 2])) ? k + 1 : k - 1;
+        const prevX = vd[d + 1 + prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            edits.push({ type: 'equal', item: a[--x] });
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                edits.push({ type: 'insert', item: b[--y] });
+            } else {
+                edits.push({ type: 'delete', item: a[--x] });
+            }
+        }
+    }
+    edits.reverse();
+
+    // Group into runs, deletions before insertions within a change
+    const runs = [];
+    edits.forEach(edit => {
+        const last = runs[runs.length - 1];
+        if (last && last.type === edit.type) {
+            last.items.push(edit.item);
+        } else {
+            runs.push({ type: edit.type, items: [edit.item] });
+        }
+    });
+    return runs;
+}
+
+/**
+ * Line diff of two texts - see lineText and endsWithoutNewline for reading the
+ * lines. Null past maxEdits changed lines.
+ */
+export function diffLines(oldText, newText, maxEdits) {
+    return diffSequences(splitLines(oldText), splitLines(newText), maxEdits);
+}
+
+/**
+ * Word diff of two lines - whitespace and punctuation are tokens of their own.
+ * Null past maxEdits changed tokens.
+ */
+export function diffWords(oldLine, newLine, maxEdits) {
+    return diffSequences(tokenize(oldLine), tokenize(newLine), maxEdits);
+}
+
+/**
+ * A line from a line diff as text
+ */
+export function lineText(line) {
+    return endsWithoutNewline(line) ? line.slice(0, -NO_NEWLINE.length) : line;
+}
+
+/**
+ * Whether a line from a line diff is the last line of a file that has no final newline
+ */
+export function endsWithoutNewline(line) {
+    return line.endsWith(NO_NEWLINE);
+}
+
+/**
+ * Number of added and removed lines in a line diff
+ */
+export function countChanges(runs) {
+    return runs.reduce((counts, run) => {
+        if (run.type === 'insert') counts.added += run.items.length;
+        if (run.type === 'delete') counts.removed += run.items.length;
+        return counts;
+    }, { added: 0, removed: 0 });
+}
+
+/**
+ * Unified diff text (like `diff -u`) for a line diff
+ */
+export function createUnifiedDiff(oldName, newName, runs, context = 3) {
+    // Flatten to lines with their positions in both files
+    const lines = [];
+    let oldLine = 1;
+    let newLine = 1;
+    runs.forEach(run => {
+        run.items.forEach(text => {
+            lines.push({ type: run.type, text, oldLine, newLine });
+            if (run.type !== 'insert') oldLine++;
+            if (run.type !== 'delete') newLine++;
+        });
+    });
+
+    const output = [`--- ${oldName}`, `+++ ${newName}`];
+    let i = 0;
+
+    while (i < lines.length) {
+        if (lines[i].type === 'equal') {
+            i++;
+            continue;
+        }
+
+        // A hunk runs from this change until the next gap of unchanged lines wider than 2 * context
+        const start = Math.max(0, i - context);
+        let end = i;
+        let lastChange = i;
+        while (end < lines.length && end - lastChange <= context * 2) {
+            if (lines[end].type !== 'equal') lastChange = end;
+            end++;
+        }
+        end = Math.min(lines.length, lastChange + context + 1);
+
+        const hunk = lines.slice(start, end);
+        const oldCount = hunk.filter(line => line.type !== 'insert').length;
+        const newCount = hunk.filter(line => line.type !== 'delete').length;
+        const oldStart = oldCount ? hunk.find(line => line.type !== 'insert').oldLine : hunk[0].oldLine - 1;
+        const newStart = newCount ? hunk.find(line => line.type !== 'delete').newLine : hunk[0].newLine - 1;
+
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(line => {
+            const prefix = line.type === 'insert' ? '+' : line.type === 'delete' ? '-' : ' ';
+            output.push(prefix + lineText(line.text));
+            if (endsWithoutNewline(line.text)) output.push('\\ No newline at end of file');
+        });
+
+        i = end;
+    }
+
+    return output.join('\n') + '\n';
+}
+
+/**
+ * Text to lines, without a phantom empty line after a trailing newline -
+ * and with NO_NEWLINE on the last line when there is none
+ */
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    } else {
+        lines[lines.length - 1] += NO_NEWLINE;
+    }
+    return lines;
+}
+
+/**
+ * Line to words, runs of whitespace and single punctuation marks
+ */
+function tokenize(line) {
+    return line.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
@@ -0,0 +1,544 @@
+/**
+ * Duplicates - finds identical and near-identical files, joins them in the tank
+ * with glowing tethers, and lists them in a panel (U) to merge or trash the copies
+ */
+import * as THREE from 'three';
+import { readFileBlob } from './fileapi.js';
+import { isTextType, getExtension } from './filetypes.js';
+import { buildSearchIndex } from './search.js';
+import { trashFile, isInTrash } from './fileactions.js';
+import { swimToObject } from './frog.js';
+import { openDiff } from './compare.js';
+import { selectObject } from './ui.js';
+import { escapeHtml } from './utils.js';
+
+const MAX_HASHED_BYTES = 20 * 1024 * 1024;
+const SIMILAR_TEXT = 0.6;       // Share of word shingles two texts must have in common
+const SHINGLE_WORDS = 3;
+const MIN_SHINGLES = 5;         // Shorter texts match too easily to compare
+const TETHER_POINTS = 24;
+const TETHER_COLORS = { exact: 0xffa94d, similar: 0xb197fc };
+
+// Decorations that copies pick up - "Copy_of_", "_final", "(2)", "_v2" and the like
+const NAME_PREFIX = /^(copy[\s_-]*of|new|backup|old|final|draft|rev|v\d+)[\s_-]+/;
+const NAME_SUFFIX = /([\s_-]+(copy|final|backup|old|new|real|draft|signed|approved|review|v\d+)|_\d{1,2}|\s*\(\d+\))$/;
+
+/**
+ * Scan every file for duplicates and redraw the tethers. Resolves to the groups:
+ * [{ kind: 'exact' | 'similar', files, reasons }]
+ */
+export async function findDuplicates(tank) {
+    // Private files are left alone - comparing them would tell what's in them
+    const allFiles = tank.files;
+    const files = allFiles.filter(file => !isInTrash(file) && !file.private);
+    const index = await buildSearchIndex(tank);
+    const texts = new Map(index.entries.map(entry => [entry.fileData, entry.text]));
+
+    const hashes = await hashFiles(files, texts);
+    const pairs = [
+        ...findExactPairs(files, hashes),
+        ...findNamePairs(files),
+        ...findTextPairs(files, texts)
+    ];
+
+    const groups = groupPairs(files, pairs, hashes);
+    // Another folder was opened while the files were read
+    if (tank.files !== allFiles) return groups;
+
+    tank.duplicates = { groups, pairs };
+    createTethers(tank, pairs, hashes);
+
+    console.log(`Duplicates: ${groups.length} groups`);
+    renderPanelIfOpen(tank);
+    return groups;
+}
+
+/**
+ * A file name with the copy decorations taken off, e.g.
+ * "Copy_of_resume-v2-FINAL.txt" and "resume (2).txt" -> "resume.txt"
+ */
+export function normalizeFileName(name) {
+    const extension = getExtension(name);
+    let stem = (extension ? name.slice(0, -(extension.length + 1)) : name).toLowerCase().trim();
+
+    let previous;
+    do {
+        previous = stem;
+        stem = stem.replace(NAME_PREFIX, '').replace(NAME_SUFFIX, '');
+    } while (stem !== previous && stem);
+
+    stem = (stem || previous).replace(/[\s_-]+/g, '-');
+    return extension ? `${stem}.${extension}` : stem;
+}
+
+/**
+ * Content hashes, for files that share their size with another file
+ */
+async function hashFiles(files, texts) {
+    const sizeCounts = new Map();
+    files.forEach(file => sizeCounts.set(file.bytes, (sizeCounts.get(file.bytes) || 0) + 1));
+
+    const hashes = new Map();
+    await Promise.all(files.map(async (file) => {
+        // Empty files are all the same, but not copies of each other
+        if (!file.bytes || file.bytes > MAX_HASHED_BYTES || sizeCounts.get(file.bytes) < 2) return;
+
+        try {
+            const text = texts.get(file);
+            const bytes = text !== undefined ?
+                new TextEncoder().encode(text) :
+                await (await readFileBlob(file)).arrayBuffer();
+            hashes.set(file, await digest(bytes));
+        } catch (error) {
+            console.warn(`Duplicates: could not read ${file.path}:`, error.message);
+        }
+    }));
+    return hashes;
+}
+
+/**
+ * SHA-256 of some bytes as hex
+ */
+async function digest(bytes) {
+    if (!crypto.subtle) {
+        // Pages served over plain http from another host have no crypto.subtle -
+        // FNV-1a is enough to tell files of the same size apart
+        let hash = 0x811c9dc5;
+        new Uint8Array(bytes).forEach(byte => {
+            hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+        });
+        return hash.toString(16);
+    }
+
+    const buffer = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Pairs of files with the same contents
+ */
+function findExactPairs(files, hashes) {
+    const pairs = [];
+    const byHash = new Map();
+    files.forEach(file => {
+        const hash = hashes.get(file);
+        if (!hash) return;
+        if (byHash.has(hash)) pairs.push({ a: byHash.get(hash), b: file, reason: 'same contents' });
+        else byHash.set(hash, file);
+    });
+    return pairs;
+}
+
+/**
+ * Pairs of files whose names match once the copy decorations are off, or differ
+ * by a typo or two (but not by a number - mar-3 and mar-4 are different days)
+ */
+function findNamePairs(files) {
+    const pairs = [];
+    const byName = new Map();
+    files.forEach(file => {
+        const key = normalizeFileName(file.name);
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push(file);
+    });
+
+    byName.forEach(group => {
+        for (let i = 1; i < group.length; i++) {
+            pairs.push({ a: group[0], b: group[i], reason: 'similar names' });
+        }
+    });
+
+    const keys = [...byName.keys()];
+    for (let i = 0; i < keys.length; i++) {
+        for (let j = i + 1; j < keys.length; j++) {
+            if (isNameTypo(keys[i], keys[j])) {
+                pairs.push({ a: byName.get(keys[i])[0], b: byName.get(keys[j])[0], reason: 'similar names' });
+            }
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Whether two normalized names are a small edit apart - one typo per eight letters
+ */
+function isNameTypo(a, b) {
+    const extension = getExtension(a);
+    if (extension !== getExtension(b)) return false;
+
+    const stemA = extension ? a.slice(0, -(extension.length + 1)) : a;
+    const stemB = extension ? b.slice(0, -(extension.length + 1)) : b;
+    const allowed = Math.floor(Math.min(stemA.length, stemB.length) / 8);
+    if (allowed === 0 || Math.abs(stemA.length - stemB.length) > allowed) return false;
+    if (stemA.replace(/\D/g, '') !== stemB.replace(/\D/g, '')) return false;
+
+    return editDistance(stemA, stemB) <= allowed;
+}
+
+/**
+ * Levenshtein distance
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Pairs of text files that share most of their word shingles
+ */
+function findTextPairs(files, texts) {
+    const entries = files
+        .filter(file => texts.has(file))
+        .map(file => ({ file, shingles: createShingles(texts.get(file)) }))
+        .filter(entry => entry.shingles.size >= MIN_SHINGLES);
+
+    const pairs = [];
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            const a = entries[i].shingles;
+            const b = entries[j].shingles;
+            // The overlap can't beat the size ratio
+            if (Math.min(a.size, b.size) / Math.max(a.size, b.size) < SIMILAR_TEXT) continue;
+
+            const similarity = jaccard(a, b);
+            if (similarity >= SIMILAR_TEXT) {
+                pairs.push({ a: entries[i].file, b: entries[j].file, reason: `${Math.round(similarity * 100)}% same text` });
+            }
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Set of overlapping word runs in a text
+ */
+function createShingles(text) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+    }
+    return shingles;
+}
+
+/**
+ * Share of two sets' items that they have in common
+ */
+function jaccard(a, b) {
+    let shared = 0;
+    a.forEach(item => {
+        if (b.has(item)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Join linked files into groups
+ */
+function groupPairs(files, pairs, hashes) {
+    const parent = new Map(files.map(file => [file, file]));
+    const find = (file) => {
+        while (parent.get(file) !== file) file = parent.get(file);
+        return file;
+    };
+    pairs.forEach(({ a, b }) => parent.set(find(a), find(b)));
+
+    const groups = new Map();
+    files.forEach(file => {
+        const root = find(file);
+        if (!groups.has(root)) groups.set(root, { files: [], reasons: new Set() });
+        groups.get(root).files.push(file);
+    });
+    pairs.forEach(pair => groups.get(find(pair.a)).reasons.add(pair.reason));
+
+    return [...groups.values()]
+        .filter(group => group.files.length > 1)
+        .map(group => {
+            const hash = hashes.get(group.files[0]);
+            const exact = Boolean(hash) && group.files.every(file => hashes.get(file) === hash);
+            return {
+                kind: exact ? 'exact' : 'similar',
+                files: group.files.sort((a, b) => a.path.localeCompare(b.path)),
+                reasons: [...group.reasons]
+            };
+        })
+        .sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'exact' ? -1 : 1) ||
+            a.files[0].name.localeCompare(b.files[0].name));
+}
+
+/**
+ * A glowing line for every linked pair of files
+ */
+function createTethers(tank, pairs, hashes) {
+    removeTethers(tank);
+
+    const seen = new Set();
+    pairs.forEach(({ a, b }) => {
+        const key = [a.path, b.path].sort().join('\n');
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        const exact = hashes.has(a) && hashes.get(a) === hashes.get(b);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TETHER_POINTS * 3), 3));
+
+        const material = new THREE.LineBasicMaterial({
+            color: exact ? TETHER_COLORS.exact : TETHER_COLORS.similar,
+            transparent: true,
+            opacity: 0.7,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        const line = new THREE.Line(geometry, material);
+        line.frustumCulled = false;
+        line.userData = { a, b, phase: Math.random() * Math.PI * 2 };
+        tank.scene.add(line);
+        tank.duplicateTethers.push(line);
+    });
+
+    updateDuplicateTethers(tank);
+}
+
+/**
+ * Take the tethers out of the scene
+ */
+function removeTethers(tank) {
+    (tank.duplicateTethers || []).forEach(line => {
+        tank.scene.remove(line);
+        line.geometry.dispose();
+        line.material.dispose();
+    });
+    tank.duplicateTethers = [];
+}
+
+/**
+ * Keep the tethers strung between their objects - a sagging, gently swaying
+ * curve with a slow pulse
+ */
+export function updateDuplicateTethers(tank) {
+    if (!tank.duplicateTethers?.length) return;
+
+    const objects = new Map(tank.allObjects.map(object => [object.userData.path, object]));
+    const start = new THREE.Vector3();
+    const end = new THREE.Vector3();
+    const middle = new THREE.Vector3();
+    const point = new THREE.Vector3();
+    const time = tank.swimTime;
+
+    tank.duplicateTethers.forEach(line => {
+        const { a, b, phase } = line.userData;
+        const objectA = objects.get(a.path);
+        const objectB = objects.get(b.path);
+
+        // Hidden while a model is loading, after a file was moved away, or by the tag filter
+        line.visible = Boolean(objectA?.visible && objectB?.visible);
+        if (!line.visible) return;
+
+        start.copy(objectA.position);
+        end.copy(objectB.position);
+        const length = start.distanceTo(end);
+        middle.lerpVectors(start, end, 0.5);
+        middle.y -= 0.5 + length * 0.15 + Math.sin(time * 1.5 + phase) * 0.3;
+
+        const positions = line.geometry.attributes.position;
+        for (let i = 0; i < TETHER_POINTS; i++) {
+            const t = i / (TETHER_POINTS - 1);
+            // Quadratic Bézier through the sagging middle
+            point.copy(start).multiplyScalar((1 - t) * (1 - t))
+                .addScaledVector(middle, 2 * (1 - t) * t)
+                .addScaledVector(end, t * t);
+            positions.setXYZ(i, point.x, point.y, point.z);
+        }
+        positions.needsUpdate = true;
+
+        line.material.opacity = 0.55 + Math.sin(time * 2 + phase) * 0.25;
+    });
+}
+
+/**
+ * Show or hide the Duplicates panel (U) - opening it rescans
+ */
+export function toggleDuplicatesPanel(tank) {
+    if (isDuplicatesPanelOpen(tank)) {
+        closeDuplicatesPanel(tank);
+        return;
+    }
+
+    const panel = document.getElementById('duplicates-panel');
+    if (!panel || tank.sideScrollerMode) return;
+
+    panel.classList.remove('hidden');
+    rescan(tank);
+}
+
+/**
+ * Hide the Duplicates panel
+ */
+export function closeDuplicatesPanel(tank) {
+    document.getElementById('duplicates-panel')?.classList.add('hidden');
+}
+
+/**
+ * Whether the Duplicates panel is showing
+ */
+export function isDuplicatesPanelOpen(tank) {
+    const panel = document.getElementById('duplicates-panel');
+    return Boolean(panel) && !panel.classList.contains('hidden');
+}
+
+/**
+ * Scan again and show the result in the panel
+ */
+async function rescan(tank) {
+    renderShell(tank, '<p class="file-actions-note">Scanning files…</p>');
+    try {
+        await findDuplicates(tank);
+    } catch (error) {
+        console.error('Duplicate scan failed:', error);
+        setStatus(error.message);
+    }
+}
+
+/**
+ * Redraw the panel's list if it's showing
+ */
+function renderPanelIfOpen(tank) {
+    if (!isDuplicatesPanelOpen(tank) || !tank.duplicates) return;
+
+    const { groups } = tank.duplicates;
+    const readOnly = Boolean(tank.localRoot);
+
+    renderShell(tank, `
+        ${groups.length === 0 ? '<p class="file-actions-note">No duplicates found.</p>' : ''}
+        ${groups.map((group, index) => renderGroup(group, index, readOnly)).join('')}
+        ${readOnly && groups.length > 0 ? '<p class="file-actions-note">Files in opened local folders are read-only here.</p>' : ''}
+    `);
+
+    const body = document.querySelector('#duplicates-panel .file-actions-body');
+    body.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const group = groups[Number(button.closest('.duplicate-group').dataset.group)];
+        const file = group.files[Number(button.dataset.file)];
+        const actions = {
+            swim: () => swimToFile(tank, file),
+            merge: () => mergeInto(tank, group, file),
+            trash: () => trashFiles(tank, [file]),
+            compare: () => openDiff(tank, group.files[0], group.files[1])
+        };
+        actions[button.dataset.action]();
+    });
+}
+
+/**
+ * One group: its files with their actions
+ */
+function renderGroup(group, index, readOnly) {
+    const canCompare = group.files.length === 2 && group.kind === 'similar' &&
+        group.files.every(file => isTextType(file.type));
+
+    return `
+        <div class="duplicate-group" data-group="${index}">
+            <div class="file-action-group">
+                <span class="duplicate-kind ${group.kind}">${group.kind === 'exact' ? 'Identical' : 'Similar'}</span>
+                ${escapeHtml(group.reasons.join(', '))}
+            </div>
+            ${group.files.map((file, fileIndex) => `
+                <div class="duplicate-file">
+                    <button class="duplicate-name" data-action="swim" data-file="${fileIndex}" title="Swim to ${escapeHtml(file.path)}">
+                        ${escapeHtml(file.name)}
+                        <span class="duplicate-path">${escapeHtml(file.folder || '')} · ${escapeHtml(file.size || '—')}</span>
+                    </button>
+                    ${readOnly ? '' : `
+                        <button class="duplicate-btn" data-action="merge" data-file="${fileIndex}" title="Keep this one and trash the others">Keep</button>
+                        <button class="duplicate-btn danger" data-action="trash" data-file="${fileIndex}" title="Move to trash">🗑</button>
+                    `}
+                </div>
+            `).join('')}
+            ${canCompare ? '<button class="file-action" data-action="compare">Compare</button>' : ''}
+        </div>
+    `;
+}
+
+/**
+ * Fill the panel with a body under the header
+ */
+function renderShell(tank, body) {
+    const panel = document.getElementById('duplicates-panel');
+    panel.innerHTML = `
+        <div class="file-actions-header">
+            <span class="file-actions-title">Duplicates</span>
+            <button class="close-btn" data-action="close">&times;</button>
+        </div>
+        <div class="file-actions-body">${body}</div>
+        <div class="file-actions-status"></div>
+    `;
+    panel.querySelector('[data-action="close"]').addEventListener('click', () => closeDuplicatesPanel(tank));
+}
+
+/**
+ * Status or error line at the bottom of the panel
+ */
+function setStatus(text) {
+    const status = document.querySelector('#duplicates-panel .file-actions-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Swim the frog to a file's object
+ */
+function swimToFile(tank, file) {
+    const object = tank.allObjects.find(candidate => candidate.userData.path === file.path);
+    if (!object || tank.sideScrollerMode) return;
+
+    swimToObject(tank, object, () => selectObject(tank, object));
+}
+
+/**
+ * Keep one file of a group and trash the rest
+ */
+function mergeInto(tank, group, keep) {
+    const others = group.files.filter(file => file !== keep);
+    const warning = group.kind === 'exact' ? '' : '\nTheir contents differ - only this file\'s version is kept.';
+    if (!confirm(`Keep ${keep.name} and move ${others.length} other file${others.length === 1 ? '' : 's'} to the trash?${warning}`)) return;
+
+    return trashFiles(tank, others);
+}
+
+/**
+ * Move files to the trash one by one, then scan again
+ */
+async function trashFiles(tank, files) {
+    // rescan may replace tank.duplicates, so clear the flag where it was set
+    const duplicates = tank.duplicates;
+    if (duplicates.busy) return;
+    duplicates.busy = true;
+
+    try {
+        for (const file of files) {
+            const object = tank.allObjects.find(candidate => candidate.userData.path === file.path);
+            if (!object) continue;
+            setStatus(`Moving ${file.name} to the trash…`);
+            await trashFile(tank, object);
+        }
+        await rescan(tank);
+    } catch (error) {
+        console.error('Trashing duplicates failed:', error);
+        setStatus(error.message);
+    } finally {
+        duplicates.busy = false;
+    }
+}
@@ -0,0 +1,253 @@
+/**
+ * Text editing in preview windows - edit mode, dirty state, Ctrl+S and conflict handling
+ */
+import { readFileVersion, writeFileText } from './fileapi.js';
+import { formatFileSize } from './utils.js';
+import { renderPreviewText } from './previews.js';
+
+/**
+ * Add an Edit button to a text preview window
+ * (loaded is the { text, version } the preview was rendered from)
+ */
+export function enableEditing(tank, windowData, loaded) {
+    const panel = windowData.element;
+    if (!panel.isConnected) return;
+
+    windowData.editor = {
+        savedText: loaded.text,
+        version: loaded.version,
+        textarea: null,
+        dirty: false,
+        saving: false
+    };
+
+    const header = panel.querySelector('.preview-header');
+    const actions = document.createElement('div');
+    actions.className = 'preview-actions';
+    actions.innerHTML = `
+        <button class="preview-btn edit-btn" title="Edit this file">Edit</button>
+        <button class="preview-btn save-btn hidden" title="Save (Ctrl+S)" disabled>Save</button>
+        <button class="preview-btn revert-btn hidden" title="Discard unsaved changes">Revert</button>
+    `;
+    header.insertBefore(actions, header.querySelector('.close-btn'));
+
+    const dirtyMark = document.createElement('span');
+    dirtyMark.className = 'preview-dirty';
+    dirtyMark.title = 'Unsaved changes';
+    dirtyMark.textContent = '●';
+    panel.querySelector('.preview-file-info').appendChild(dirtyMark);
+
+    const footer = panel.querySelector('.preview-footer');
+    const status = document.createElement('span');
+    status.className = 'preview-status';
+    footer.appendChild(status);
+
+    actions.querySelector('.edit-btn').addEventListener('click', () => {
+        if (windowData.editor.textarea) {
+            stopEditing(tank, windowData);
+        } else {
+            startEditing(tank, windowData);
+        }
+    });
+    actions.querySelector('.save-btn').addEventListener('click', () => saveEdits(tank, windowData));
+    // Revert is an edit like any other - Ctrl+Z brings the changes back
+    actions.querySelector('.revert-btn').addEventListener('click', () => {
+        replaceText(windowData.editor.textarea, windowData.editor.savedText);
+        updateDirtyState(windowData);
+    });
+}
+
+/**
+ * Swap the read-only text for a textarea
+ */
+function startEditing(tank, windowData) {
+    const editor = windowData.editor;
+    const content = windowData.element.querySelector('.preview-content');
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'text-editor';
+    textarea.spellcheck = false;
+    textarea.value = editor.savedText;
+
+    content.className = 'preview-content editing';
+    content.replaceChildren(textarea);
+    editor.textarea = textarea;
+
+    textarea.addEventListener('input', () => updateDirtyState(windowData));
+
+    textarea.addEventListener('keydown', (event) => {
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's') {
+            event.preventDefault();
+            saveEdits(tank, windowData);
+        } else if (event.key === 'Escape') {
+            // Hand the keyboard back to the tank; a second Esc closes the window
+            textarea.blur();
+        }
+    });
+
+    const panel = windowData.element;
+    panel.classList.add('editing');
+    panel.querySelector('.edit-btn').textContent = 'Done';
+    panel.querySelector('.save-btn').classList.remove('hidden');
+    panel.querySelector('.revert-btn').classList.remove('hidden');
+
+    textarea.focus();
+    updateDirtyState(windowData);
+}
+
+/**
+ * Leave edit mode and show the saved text again (asks before dropping changes)
+ */
+function stopEditing(tank, windowData) {
+    if (!confirmDiscardEdits(windowData)) return;
+
+    const editor = windowData.editor;
+    const panel = windowData.element;
+    const content = panel.querySelector('.preview-content');
+
+    renderPreviewText(content, windowData.fileData, editor.savedText, tank);
+    editor.textarea = null;
+
+    panel.classList.remove('editing');
+    panel.querySelector('.edit-btn').textContent = 'Edit';
+    panel.querySelector('.save-btn').classList.add('hidden');
+    panel.querySelector('.revert-btn').classList.add('hidden');
+    hideConflict(windowData);
+    updateDirtyState(windowData);
+}
+
+/**
+ * Replace everything in the textarea as one undoable edit, keeping the undo history
+ */
+function replaceText(textarea, text) {
+    if (textarea.value === text) return;
+
+    textarea.focus();
+    textarea.select();
+    const done = text ? document.execCommand('insertText', false, text) : document.execCommand('delete');
+    if (!done) {
+        // No editing commands here - still replace the text, at the cost of undo
+        textarea.setRangeText(text, 0, textarea.value.length, 'end');
+    }
+}
+
+/**
+ * Ask before throwing away unsaved edits - true if it's fine to continue
+ */
+export function confirmDiscardEdits(windowData) {
+    if (!windowData.editor || !windowData.editor.dirty) return true;
+    return confirm(`${windowData.fileData.name} has unsaved changes. Discard them?`);
+}
+
+/**
+ * Compare the textarea with the last saved text and update the indicators
+ */
+function updateDirtyState(windowData) {
+    const editor = windowData.editor;
+    editor.dirty = Boolean(editor.textarea) && editor.textarea.value !== editor.savedText;
+
+    const panel = windowData.element;
+    panel.classList.toggle('dirty', editor.dirty);
+    panel.querySelector('.save-btn').disabled = !editor.dirty || editor.saving;
+    panel.querySelector('.revert-btn').disabled = !editor.dirty;
+}
+
+/**
+ * Write the textarea back to the file. With force, overwrite even if it changed on disk.
+ */
+async function saveEdits(tank, windowData, force = false) {
+    const editor = windowData.editor;
+    if (!editor.textarea || editor.saving || (!editor.dirty && !force)) return;
+
+    const text = editor.textarea.value;
+    editor.saving = true;
+    updateDirtyState(windowData);
+    setStatus(windowData, 'Saving…');
+
+    try {
+        const saved = await writeFileText(windowData.fileData, text, force ? null : editor.version);
+
+        editor.savedText = text;
+        editor.version = saved.version;
+        hideConflict(windowData);
+
+        // Keep the file info panel and search results in step with the file
+        const fileData = windowData.fileData;
+        fileData.bytes = saved.bytes;
+        fileData.size = formatFileSize(saved.bytes);
+        fileData.modified = saved.modified;
+        windowData.element.querySelector('.preview-meta').textContent =
+            `Size: ${fileData.size} | Type: ${fileData.type}`;
+        tank.searchIndex = null;
+
+        setStatus(windowData, 'Saved');
+        console.log(`Saved ${fileData.path}`);
+    } catch (error) {
+        if (error.code === 'conflict') {
+            showConflict(tank, windowData, error.message);
+            setStatus(windowData, 'Not saved - conflict');
+        } else {
+            console.error('Error saving file:', error);
+            setStatus(windowData, `Save failed: ${error.message}`);
+        }
+    } finally {
+        editor.saving = false;
+        updateDirtyState(windowData);
+    }
+}
+
+/**
+ * Warn that the file changed on disk, offering to overwrite it or load the disk version
+ */
+function showConflict(tank, windowData, message) {
+    hideConflict(windowData);
+
+    const bar = document.createElement('div');
+    bar.className = 'preview-conflict';
+    bar.innerHTML = `
+        <span class="conflict-message"></span>
+        <button class="preview-btn conflict-overwrite">Overwrite</button>
+        <button class="preview-btn conflict-reload">Load disk version</button>
+    `;
+    bar.querySelector('.conflict-message').textContent = message;
+
+    bar.querySelector('.conflict-overwrite').addEventListener('click', () => {
+        saveEdits(tank, windowData, true);
+    });
+
+    bar.querySelector('.conflict-reload').addEventListener('click', async () => {
+        if (!confirm('Replace your edits with the version on disk?')) return;
+
+        try {
+            const loaded = await readFileVersion(windowData.fileData);
+            const editor = windowData.editor;
+            editor.savedText = loaded.text;
+            editor.version = loaded.version;
+            if (editor.textarea) replaceText(editor.textarea, loaded.text);
+            hideConflict(windowData);
+            updateDirtyState(windowData);
+            setStatus(windowData, 'Reloaded from disk');
+        } catch (error) {
+            console.error('Error reloading file:', error);
+            setStatus(windowData, `Reload failed: ${error.message}`);
+        }
+    });
+
+    const panel = windowData.element;
+    panel.insertBefore(bar, panel.querySelector('.preview-content'));
+}
+
+/**
+ * Remove the conflict bar, if shown
+ */
+function hideConflict(windowData) {
+    windowData.element.querySelector('.preview-conflict')?.remove();
+}
+
+/**
+ * Short status message in the preview footer
+ */
+function setStatus(windowData, text) {
+    const status = windowData.element.querySelector('.preview-status');
+    if (status) status.textContent = text;
+}
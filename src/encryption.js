@@ -0,0 +1,169 @@
+/**
+ * Encryption for private files - AES-GCM with a key derived from a passphrase
+ * (PBKDF2, SHA-256), and the passphrase the tank is currently unlocked with.
+ *
+ * Needs only WebCrypto, which Node has as well - test/encryption.test.js round-trips it.
+ * An encrypted file is a header line followed by one line of JSON:
+ *
+ *   swimming-tank:encrypted:v1
+ *   {"iterations":310000,"salt":"…","iv":"…","data":"…"}
+ */
+
+export const ENCRYPTED_HEADER = 'swimming-tank:encrypted:v1';
+
+const ITERATIONS = 310000;   // PBKDF2 rounds (OWASP's advice for SHA-256)
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// The unlocked session - the passphrase and the keys derived from it, by salt
+let session = null;
+
+/**
+ * Whether a file's text is an encrypted envelope
+ */
+export function isEncryptedText(text) {
+    return text.startsWith(ENCRYPTED_HEADER);
+}
+
+/**
+ * Hold a passphrase for opening and saving private files until lockSession()
+ */
+export function unlockSession(passphrase) {
+    session = { passphrase, keys: new Map(), salt: randomBytes(SALT_BYTES) };
+}
+
+/**
+ * Forget the passphrase and every key derived from it
+ */
+export function lockSession() {
+    session = null;
+}
+
+/**
+ * Whether a passphrase is held
+ */
+export function isSessionUnlocked() {
+    return session !== null;
+}
+
+/**
+ * Text as it should be shown - decrypted with the session's passphrase if it's
+ * an envelope. Throws (code 'locked') for an envelope while locked.
+ */
+export async function openText(text) {
+    if (!isEncryptedText(text)) return text;
+
+    if (!session) {
+        const error = new Error('This file is private - unlock it first');
+        error.code = 'locked';
+        throw error;
+    }
+
+    const { iterations, salt, iv, data } = parseEnvelope(text);
+    const key = await getSessionKey(fromBase64(salt), iterations);
+    return decryptWith(key, fromBase64(iv), fromBase64(data));
+}
+
+/**
+ * Encrypt text with the session's passphrase, for saving a private file
+ */
+export async function sealText(text) {
+    if (!session) {
+        const error = new Error('Private files are locked - unlock them to save');
+        error.code = 'locked';
+        throw error;
+    }
+
+    // One salt per session, so the key is only derived once
+    const iv = randomBytes(IV_BYTES);
+    const key = await getSessionKey(session.salt, ITERATIONS);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+    return `${ENCRYPTED_HEADER}\n${JSON.stringify({
+        iterations: ITERATIONS,
+        salt: toBase64(session.salt),
+        iv: toBase64(iv),
+        data: toBase64(new Uint8Array(data))
+    })}\n`;
+}
+
+/**
+ * Session key for a salt, derived once and then reused
+ */
+async function getSessionKey(salt, iterations) {
+    const id = `${iterations}:${toBase64(salt)}`;
+    const current = session;
+    if (!current.keys.has(id)) {
+        current.keys.set(id, deriveKey(current.passphrase, salt, iterations));
+    }
+    return current.keys.get(id);
+}
+
+/**
+ * AES-GCM key from a passphrase
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Decrypt AES-GCM data - a wrong key fails the authentication check
+ */
+async function decryptWith(key, iv, data) {
+    try {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+        return new TextDecoder().decode(plain);
+    } catch (error) {
+        const wrong = new Error('Wrong passphrase (or the file was damaged)');
+        wrong.code = 'wrong-passphrase';
+        throw wrong;
+    }
+}
+
+/**
+ * The JSON part of an envelope
+ */
+function parseEnvelope(text) {
+    let envelope;
+    try {
+        envelope = JSON.parse(text.slice(ENCRYPTED_HEADER.length));
+    } catch (error) {
+        throw new Error('Encrypted file is damaged');
+    }
+    if (!envelope.salt || !envelope.iv || !envelope.data || !(envelope.iterations > 0)) {
+        throw new Error('Encrypted file is damaged');
+    }
+    return envelope;
+}
+
+/**
+ * Cryptographically random bytes
+ */
+function randomBytes(count) {
+    return crypto.getRandomValues(new Uint8Array(count));
+}
+
+/**
+ * Bytes to base64
+ */
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+/**
+ * Base64 to bytes
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,477 @@
+/**
+ * File actions - create, rename, move and delete (to the trash area) from inside the tank
+ *
+ * Changes go through the dev server, which updates the files on disk,
+ * file-layout.yaml and the manifest; the tank then mirrors the result.
+ */
+import { createFile, moveFile } from './fileapi.js';
+import { getFileType, isTextType } from './filetypes.js';
+import { createFileEntry, TRASH_AREA, TRASH_FOLDER } from './layout.js';
+import { addTxtFile, getHomePosition, swimObjectTo } from './objects.js';
+import { forgetPosition, getSavedPosition, saveArrangement, savePosition } from './positions.js';
+import { setFilePrivate } from './privacy.js';
+import { moveTags } from './tags.js';
+import { openPreview, selectObject } from './ui.js';
+import { escapeHtml, formatFileSize } from './utils.js';
+
+/**
+ * Open the actions menu for the selected object (or for the tank if nothing is selected)
+ */
+export function openFileActions(tank) {
+    const panel = document.getElementById('file-actions');
+    if (!panel || tank.sideScrollerMode) return;
+
+    const target = tank.selectedObject;
+    if (target) {
+        // Keep the menu's target selected while the frog drifts
+        selectObject(tank, target);
+    }
+
+    tank.fileActions = { target, busy: false };
+    panel.classList.remove('hidden');
+    renderMenu(tank);
+}
+
+/**
+ * Close the actions menu
+ */
+export function closeFileActions(tank) {
+    const panel = document.getElementById('file-actions');
+    if (panel) panel.classList.add('hidden');
+    tank.fileActions = null;
+}
+
+/**
+ * Whether the actions menu is showing
+ */
+export function isFileActionsOpen(tank) {
+    return Boolean(tank.fileActions);
+}
+
+/**
+ * Main menu - the actions available for the target
+ */
+function renderMenu(tank) {
+    const { target } = tank.fileActions;
+    const data = target?.userData;
+
+    let title = 'Tank';
+    let actions = [{ id: 'new', label: 'New file' }];
+
+    if (tank.localRoot) {
+        title = tank.localRoot;
+        actions = [];
+    } else if (data?.type === 'folder') {
+        title = data.name;
+        actions = [
+            { id: 'new', label: `New file in ${data.name}` },
+            { id: 'move', label: 'Move to area…' }
+        ];
+    } else if (data) {
+        title = data.name;
+        actions = [
+            { id: 'new', label: 'New file here' },
+            { id: 'rename', label: 'Rename…' },
+            { id: 'move', label: 'Move to…' }
+        ];
+        if (isTextType(data.type)) {
+            actions.push({ id: 'private', label: data.private ? 'Make public' : 'Make private' });
+        }
+        if (!isInTrash(data)) {
+            actions.push({ id: 'trash', label: 'Move to trash', danger: true });
+        }
+    }
+
+    // Arranging works for local folders too - positions are stored per folder
+    if (data && getSavedPosition(tank, data.path)) {
+        actions.push({ id: 'reset', label: 'Reset position' });
+    }
+    actions.push({ id: 'arrangement', label: tank.localRoot ? 'Download arrangement' : 'Save arrangement to layout' });
+
+    renderPanel(tank, title, `
+        ${actions.map(action => `
+            <button class="file-action${action.danger ? ' danger' : ''}" data-action="${action.id}">${action.label}</button>
+        `).join('')}
+        ${tank.localRoot ? '<p class="file-actions-note">Files in opened local folders are read-only here.</p>' : ''}
+    `);
+
+    const handlers = {
+        new: () => renderNameInput(tank, 'New file name', suggestFileName(tank), name => createNewFile(tank, name)),
+        rename: () => renderNameInput(tank, 'Rename to', data.name, name => renameFile(tank, name)),
+        move: () => renderMoveTargets(tank),
+        trash: () => moveToTrash(tank),
+        private: () => runChange(tank, data.private ? 'Decrypting' : 'Encrypting',
+            () => setFilePrivate(tank, target, !data.private)),
+        reset: () => resetPosition(tank),
+        arrangement: () => runChange(tank, 'Saving arrangement', () => saveArrangement(tank))
+    };
+
+    panel().querySelectorAll('.file-actions-body [data-action]').forEach(button => {
+        button.addEventListener('click', () => handlers[button.dataset.action]());
+    });
+    panel().querySelector('.file-actions-body [data-action]')?.focus();
+}
+
+/**
+ * Name prompt for new files and renames
+ */
+function renderNameInput(tank, label, value, onSubmit) {
+    renderPanel(tank, label, `
+        <input class="file-action-input" type="text" spellcheck="false">
+        <div class="file-action-row">
+            <button class="file-action" data-action="ok">OK</button>
+            <button class="file-action" data-action="cancel">Cancel</button>
+        </div>
+    `);
+
+    const input = panel().querySelector('.file-action-input');
+    input.value = value;
+    input.focus();
+
+    // Select the name without its extension
+    const dot = value.lastIndexOf('.');
+    input.setSelectionRange(0, dot > 0 ? dot : value.length);
+
+    const submit = () => {
+        const name = input.value.trim();
+        const error = validateName(tank, name);
+        if (error) {
+            setStatus(error);
+            return;
+        }
+        onSubmit(name);
+    };
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            submit();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            closeFileActions(tank);
+        }
+    });
+    panel().querySelector('[data-action="ok"]').addEventListener('click', submit);
+    panel().querySelector('[data-action="cancel"]').addEventListener('click', () => renderMenu(tank));
+}
+
+/**
+ * Destinations for a move: every area and, for files, every top-level folder
+ */
+function renderMoveTargets(tank) {
+    const data = tank.fileActions.target.userData;
+
+    const areas = Object.entries(tank.areaPositions)
+        .filter(([key]) => key !== data.area && key !== TRASH_AREA);
+
+    const folders = data.type === 'folder' ? [] : [
+        { path: tank.manifest?.root || 'content', name: 'content (top level)', area: 'center' },
+        ...tank.fileData.filter(folder => folder.path !== TRASH_FOLDER)
+    ].filter(folder => folder.path !== data.folder);
+
+    renderPanel(tank, `Move ${data.name} to`, `
+        <div class="file-action-group">Areas</div>
+        ${areas.map(([key, area]) => `
+            <button class="file-action" data-area="${key}">${escapeHtml(area.name)}</button>
+        `).join('')}
+        ${folders.length > 0 ? '<div class="file-action-group">Folders</div>' : ''}
+        ${folders.map(folder => `
+            <button class="file-action" data-folder="${escapeHtml(folder.path)}">📁 ${escapeHtml(folder.name)}</button>
+        `).join('')}
+        <button class="file-action" data-action="cancel">Back</button>
+    `);
+
+    panel().querySelectorAll('[data-area]').forEach(button => {
+        button.addEventListener('click', () => moveToArea(tank, button.dataset.area));
+    });
+    panel().querySelectorAll('[data-folder]').forEach(button => {
+        const folder = folders.find(f => f.path === button.dataset.folder);
+        button.addEventListener('click', () => moveToFolder(tank, folder));
+    });
+    panel().querySelector('[data-action="cancel"]').addEventListener('click', () => renderMenu(tank));
+}
+
+/**
+ * Fill the panel with a title, body and status line
+ */
+function renderPanel(tank, title, body) {
+    panel().innerHTML = `
+        <div class="file-actions-header">
+            <span class="file-actions-title">${escapeHtml(title)}</span>
+            <button class="close-btn" data-action="close">&times;</button>
+        </div>
+        <div class="file-actions-body">${body}</div>
+        <div class="file-actions-status"></div>
+    `;
+    panel().querySelector('[data-action="close"]').addEventListener('click', () => closeFileActions(tank));
+}
+
+/**
+ * The actions panel element
+ */
+function panel() {
+    return document.getElementById('file-actions');
+}
+
+/**
+ * Status or error line at the bottom of the panel
+ */
+function setStatus(text) {
+    const status = panel()?.querySelector('.file-actions-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Problem with a file name, or null if it's usable in the target's folder
+ */
+function validateName(tank, name) {
+    if (!name) return 'Enter a name';
+    if (name.includes('/') || name.includes('\\')) return 'Names cannot contain slashes';
+    if (name.startsWith('.')) return 'Hidden files are not shown in the tank';
+
+    const path = `${targetFolder(tank)}/${name}`;
+    if (tank.files.some(file => file.path === path)) return `${name} already exists there`;
+
+    return null;
+}
+
+/**
+ * A name no other file uses - names in file-layout.yaml must be unique across folders
+ */
+function suggestFileName(tank) {
+    const names = new Set(tank.files.map(file => file.name));
+    let name = 'new-file.txt';
+    for (let i = 2; names.has(name); i++) {
+        name = `new-file-${i}.txt`;
+    }
+    return name;
+}
+
+/**
+ * Folder that new files and renames go into - the target folder itself, or the target file's folder
+ */
+function targetFolder(tank) {
+    const data = tank.fileActions.target?.userData;
+    if (!data) return tank.manifest?.root || 'content';
+    return data.type === 'folder' ? data.path : data.folder;
+}
+
+/**
+ * Run a file change, showing progress and errors in the panel
+ */
+async function runChange(tank, label, change) {
+    if (tank.fileActions.busy) return;
+    tank.fileActions.busy = true;
+    setStatus(`${label}…`);
+
+    try {
+        await change();
+        closeFileActions(tank);
+    } catch (error) {
+        console.error(`${label} failed:`, error);
+        if (tank.fileActions) {
+            tank.fileActions.busy = false;
+            setStatus(error.message);
+        }
+    }
+}
+
+/**
+ * Create an empty file next to the target and open it
+ */
+function createNewFile(tank, name) {
+    const data = tank.fileActions.target?.userData;
+    const folder = targetFolder(tank);
+    const area = data?.area || 'center';
+    const path = `${folder}/${name}`;
+
+    return runChange(tank, `Creating ${name}`, async () => {
+        const result = await createFile(path, '', area !== 'center' ? area : null);
+        syncManifest(tank, result.manifest);
+
+        const entry = createFileEntry(result.file || { path, name, folder, type: getFileType(name), bytes: 0 }, { area });
+        tank.files.push(entry);
+
+        const object = addTxtFile(tank, entry);
+        if (object) {
+            openPreview(tank, object);
+        }
+        console.log(`Created ${path}`);
+    });
+}
+
+/**
+ * Rename the target file in place
+ */
+function renameFile(tank, name) {
+    const object = tank.fileActions.target;
+    const data = object.userData;
+    const to = `${data.folder}/${name}`;
+
+    return runChange(tank, `Renaming ${data.name}`, async () => {
+        const result = await moveFile({ from: data.path, to });
+        applyMove(tank, object, result, data.area);
+    });
+}
+
+/**
+ * Move the target (file or folder) to another area
+ */
+function moveToArea(tank, area) {
+    const object = tank.fileActions.target;
+    const data = object.userData;
+
+    return runChange(tank, `Moving ${data.name}`, async () => {
+        if (data.type === 'folder') {
+            const result = await moveFile({ folder: data.name, area });
+            syncManifest(tank, result.manifest);
+            const folder = tank.fileData.find(f => f.path === data.path);
+            if (folder) folder.area = area;
+            data.area = area;
+            forgetPosition(tank, data.path);
+            swimObjectTo(tank, object, getHomePosition(tank, data));
+        } else {
+            await moveFileToArea(tank, object, area);
+        }
+    });
+}
+
+/**
+ * Move a file object to another area - it stays in its folder on disk
+ */
+export async function moveFileToArea(tank, object, area) {
+    const result = await moveFile({ from: object.userData.path, area });
+    applyMove(tank, object, result, area);
+}
+
+/**
+ * Move the target file into a folder - it swims to that folder's area
+ */
+function moveToFolder(tank, folder) {
+    const object = tank.fileActions.target;
+    const data = object.userData;
+    const to = `${folder.path}/${data.name}`;
+
+    if (tank.files.some(file => file.path === to)) {
+        setStatus(`${folder.name} already has a ${data.name}`);
+        return;
+    }
+
+    return runChange(tank, `Moving ${data.name}`, async () => {
+        const result = await moveFile({ from: data.path, to, area: folder.area });
+        applyMove(tank, object, result, folder.area);
+    });
+}
+
+/**
+ * "Delete" - move the file into the trash folder, which lives in the trash area
+ */
+function moveToTrash(tank) {
+    const object = tank.fileActions.target;
+    return runChange(tank, `Moving ${object.userData.name} to the trash`, () => trashFile(tank, object));
+}
+
+/**
+ * Move a file object into the trash folder and swim it over to the trash area
+ */
+export async function trashFile(tank, object) {
+    const data = object.userData;
+    const to = uniqueTrashPath(tank, data.name);
+    const result = await moveFile({ from: data.path, to, area: TRASH_AREA });
+    applyMove(tank, object, result, TRASH_AREA);
+}
+
+/**
+ * Path in the trash that doesn't clash with an earlier deleted file of the same name
+ */
+function uniqueTrashPath(tank, name) {
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+
+    let path = `${TRASH_FOLDER}/${name}`;
+    for (let i = 2; tank.files.some(file => file.path === path); i++) {
+        path = `${TRASH_FOLDER}/${stem} (${i})${extension}`;
+    }
+    return path;
+}
+
+/**
+ * Forget where the user put the target and send it back to its home spot
+ */
+function resetPosition(tank) {
+    const object = tank.fileActions.target;
+    forgetPosition(tank, object.userData.path);
+    swimObjectTo(tank, object, getHomePosition(tank, object.userData));
+    closeFileActions(tank);
+}
+
+/**
+ * Mirror a file move in the tank: update its records and swim it over if its area changed
+ */
+function applyMove(tank, object, result, area) {
+    const data = object.userData;
+    const entry = tank.files.find(file => file.path === data.path);
+    const record = result.file;
+    const from = data.path;
+    const areaChanged = data.area !== area;
+
+    syncManifest(tank, result.manifest);
+
+    const changes = {
+        name: record.name,
+        path: record.path,
+        folder: record.folder,
+        type: record.type,
+        bytes: record.bytes,
+        size: formatFileSize(record.bytes),
+        modified: record.modified,
+        area
+    };
+
+    // userData is what open previews hold on to, so update it in place
+    Object.assign(data, changes);
+    if (entry) Object.assign(entry, changes);
+    moveTags(tank, from, record.path);
+
+    if (areaChanged) {
+        // A new area means a new home spot - any arranged position is stale
+        forgetPosition(tank, from);
+        forgetPosition(tank, record.path);
+        swimObjectTo(tank, object, getHomePosition(tank, data));
+    } else if (from !== record.path) {
+        // Renamed in place - keep it exactly where it is
+        savePosition(tank, object);
+        forgetPosition(tank, from);
+    }
+
+    console.log(`Moved to ${record.path} (${area})`);
+}
+
+/**
+ * Take over a new manifest - folder sizes and counts, and a fresh search index
+ */
+function syncManifest(tank, manifest) {
+    tank.manifest = manifest;
+    tank.searchIndex = null;
+
+    const foldersByPath = new Map(manifest.folders.map(folder => [folder.path, folder]));
+    const folderObjects = new Map(tank.folders.map(object => [object.userData.path, object]));
+
+    tank.fileData.forEach(folder => {
+        const record = foldersByPath.get(folder.path);
+        if (!record) return;
+
+        const counts = { files: record.files, bytes: record.bytes, size: formatFileSize(record.bytes) };
+        Object.assign(folder, counts);
+        const object = folderObjects.get(folder.path);
+        if (object) Object.assign(object.userData, counts);
+    });
+}
+
+/**
+ * Whether a file is already in the trash
+ */
+export function isInTrash(data) {
+    return data.path?.startsWith(TRASH_FOLDER + '/');
+}
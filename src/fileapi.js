@@ -0,0 +1,209 @@
+/**
+ * File access - reads file contents from wherever a file object came from.
+ * Private files are decrypted on the way in and encrypted on the way out.
+ */
+import { openText, sealText } from './encryption.js';
+
+/**
+ * Read a file's text - from its local handle/File if it has one, otherwise over HTTP
+ */
+export async function readFileText(fileData) {
+    if (fileData.handle || fileData.file) {
+        const file = await getLocalFile(fileData);
+        return openText(await file.text());
+    }
+
+    const response = await fetch(fileData.path);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${fileData.path} (${response.status})`);
+    }
+    return openText(await response.text());
+}
+
+/**
+ * Current File for a local file - re-reads through the handle so edits on disk show up
+ */
+export async function getLocalFile(fileData) {
+    if (fileData.handle) {
+        return fileData.handle.getFile();
+    }
+    return fileData.file;
+}
+
+/**
+ * Read a file as a Blob - its type is the MIME type the browser or server reported
+ */
+export async function readFileBlob(fileData) {
+    if (fileData.handle || fileData.file) {
+        return getLocalFile(fileData);
+    }
+
+    const response = await fetch(fileData.path);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${fileData.path} (${response.status})`);
+    }
+    return response.blob();
+}
+
+/**
+ * MIME type of a file without reading its contents ('' if unknown)
+ */
+export async function getFileMimeType(fileData) {
+    if (fileData.handle || fileData.file) {
+        return (await getLocalFile(fileData)).type;
+    }
+
+    const response = await fetch(fileData.path, { method: 'HEAD' });
+    return response.ok ? response.headers.get('Content-Type') || '' : '';
+}
+
+/**
+ * Read a file's text together with a version token used to detect conflicting saves.
+ * Served files use the dev server's ETag; local files their modification time.
+ */
+export async function readFileVersion(fileData) {
+    if (fileData.handle || fileData.file) {
+        const file = await getLocalFile(fileData);
+        return { text: await openText(await file.text()), version: getLocalVersion(file) };
+    }
+
+    const response = await fetch(fileData.path, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Failed to load ${fileData.path} (${response.status})`);
+    }
+    return { text: await openText(await response.text()), version: response.headers.get('ETag') };
+}
+
+/**
+ * Whether changes to a file can be written back
+ */
+export function canWriteFile(fileData) {
+    if (fileData.handle) {
+        return typeof fileData.handle.createWritable === 'function';
+    }
+    // Files dropped without a handle are read-only snapshots
+    return !fileData.file && Boolean(fileData.path);
+}
+
+/**
+ * Save text to a file. Pass the version from readFileVersion to refuse the
+ * save if the file changed since then (the error has code 'conflict'), or
+ * null to overwrite. Returns { version, bytes, modified }.
+ */
+export async function writeFileText(fileData, text, baseVersion) {
+    if (fileData.private) {
+        text = await sealText(text);
+    }
+
+    if (fileData.handle) {
+        return writeLocalFile(fileData.handle, text, baseVersion);
+    }
+
+    const response = await fetch(`/api/file?path=${encodeURIComponent(fileData.path)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'text/plain; charset=utf-8',
+            // The dev server insists on If-Match - * overwrites
+            'If-Match': baseVersion || '*'
+        },
+        body: text
+    });
+
+    const result = await response.json().catch(() => null);
+
+    if (response.status === 409) {
+        throw createConflictError(result.error, result.etag);
+    }
+    if (!response.ok || !result) {
+        // A plain static server answers 404/405/501 - only the dev server can save
+        throw new Error(result?.error ||
+            `Saving failed (${response.status}) - start the tank with "npm run dev" to save files`);
+    }
+
+    return { version: result.etag, bytes: result.bytes, modified: result.modified };
+}
+
+/**
+ * Write through a FileSystemFileHandle after checking it wasn't changed meanwhile
+ */
+async function writeLocalFile(handle, text, baseVersion) {
+    if (handle.requestPermission &&
+        await handle.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+        throw new Error(`No permission to write ${handle.name}`);
+    }
+
+    const current = await handle.getFile();
+    if (baseVersion && getLocalVersion(current) !== baseVersion) {
+        throw createConflictError(`${handle.name} changed on disk since it was opened`, getLocalVersion(current));
+    }
+
+    const writable = await handle.createWritable();
+    await writable.write(text);
+    await writable.close();
+
+    const saved = await handle.getFile();
+    return {
+        version: getLocalVersion(saved),
+        bytes: saved.size,
+        modified: new Date(saved.lastModified).toISOString()
+    };
+}
+
+/**
+ * Version token for a local File
+ */
+function getLocalVersion(file) {
+    return `${file.lastModified}-${file.size}`;
+}
+
+/**
+ * Error for a save that would overwrite someone else's change
+ */
+function createConflictError(message, currentVersion) {
+    const error = new Error(message);
+    error.code = 'conflict';
+    error.currentVersion = currentVersion;
+    return error;
+}
+
+/**
+ * Create a file through the dev server, optionally placing it in a layout area.
+ * Resolves to { file, manifest } with the updated manifest.
+ */
+export async function createFile(path, text = '', area = null) {
+    const params = new URLSearchParams({ path });
+    if (area) params.set('area', area);
+
+    return sendFileChange(`/api/file?${params}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+    });
+}
+
+/**
+ * Move or rename a file ({ from, to, area }) or move a folder to an area
+ * ({ folder, area }) through the dev server. Resolves to { file, manifest }.
+ */
+export async function moveFile(change) {
+    return sendFileChange('/api/move', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(change)
+    });
+}
+
+/**
+ * Send a file change request and unwrap the dev server's answer
+ */
+async function sendFileChange(url, options) {
+    const response = await fetch(url, options);
+    const result = await response.json().catch(() => null);
+
+    if (!response.ok || !result) {
+        throw new Error(result?.error ||
+            `Request failed (${response.status}) - start the tank with "npm run dev" to change files`);
+    }
+
+    return result;
+}
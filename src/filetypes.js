@@ -0,0 +1,74 @@
+/**
+ * File types - maps file extensions to the object types used in the tank
+ *
+ * Shared between the browser and the Node scripts, so it must not import three.
+ */
+
+const EXTENSION_TYPES = {
+    txt: 'txt',
+    md: 'markdown',
+    markdown: 'markdown',
+    pdf: 'pdf',
+    jpg: 'jpeg',
+    jpeg: 'jpeg',
+    png: 'png',
+    svg: 'svg',
+    html: 'html',
+    htm: 'html',
+    json: 'json',
+    csv: 'csv',
+    mp3: 'audio',
+    ogg: 'audio',
+    wav: 'audio'
+};
+
+/**
+ * Lower-case extension of a file name, without the dot
+ */
+export function getExtension(name) {
+    const base = name.split('/').pop();
+    const dot = base.lastIndexOf('.');
+    return dot > 0 ? base.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Object type for a file name, based on its extension
+ */
+export function getFileType(name) {
+    return EXTENSION_TYPES[getExtension(name)] || 'file';
+}
+
+// Types whose contents are plain text that can be searched and edited
+const TEXT_TYPES = new Set(['txt', 'markdown', 'svg', 'html', 'json', 'csv']);
+
+/**
+ * Whether a file type holds plain text
+ */
+export function isTextType(type) {
+    return TEXT_TYPES.has(type);
+}
+
+// Object types for MIME types, for files whose extension doesn't say
+const MIME_TYPES = {
+    'text/plain': 'txt',
+    'text/markdown': 'markdown',
+    'text/x-markdown': 'markdown',
+    'text/html': 'html',
+    'text/csv': 'csv',
+    'application/json': 'json',
+    'application/pdf': 'pdf',
+    'image/svg+xml': 'svg',
+    'image/png': 'png',
+    'image/jpeg': 'jpeg'
+};
+
+/**
+ * Object type for a MIME type (parameters like charset are ignored)
+ */
+export function getTypeForMime(mime) {
+    const base = (mime || '').split(';')[0].trim().toLowerCase();
+    if (MIME_TYPES[base]) return MIME_TYPES[base];
+    if (base.startsWith('image/')) return 'image';
+    if (base.startsWith('audio/')) return 'audio';
+    return 'file';
+}
@@ -2,6 +2,8 @@
  * Frog loading, movement, animation, and multi-frog system
  */
 import * as THREE from 'three';
+import { playDashBubbles } from './audio.js';
+import { updateCameraPosition, realignCamera } from './camera.js';
 
 /**
  * Load and setup the GLTF frog model
@@ -63,28 +65,16 @@ export function loadFrogModel(tank) {
     }
 }
 
-/**
- * Update camera position to maintain third-person view
- */
-export function updateCameraPosition(tank) {
-    if (!tank.frog) return;
-
-    const targetPosition = tank.frog.position.clone().add(tank.cameraOffset);
-    tank.camera.position.lerp(targetPosition, 0.1);
-
-    const lookTarget = tank.frog.position.clone();
-    lookTarget.y += 4;
-    tank.camera.lookAt(lookTarget);
-}
-
 /**
  * Update frog movement based on input
  */
 export function updateMovement(tank, delta) {
     if (!tank.frog) return;
 
-    const hasHorizontalInput = tank.movement.forward || tank.movement.backward ||
-                               tank.movement.left || tank.movement.right;
+    const hasKeyInput = tank.movement.forward || tank.movement.backward ||
+                        tank.movement.left || tank.movement.right;
+    const analog = tank.analogMovement;
+    const hasHorizontalInput = hasKeyInput || analog.x !== 0 || analog.z !== 0;
 
     // Apply friction
     if (hasHorizontalInput) {
@@ -112,6 +102,11 @@ export function updateMovement(tank, delta) {
 
     tank.direction.normalize();
 
+    // A stick (gamepad or touch) pushes in proportion to how far it's tilted
+    if (!hasKeyInput && hasHorizontalInput) {
+        tank.direction.set(analog.x, 0, analog.z).clampLength(0, 1);
+    }
+
     // Apply movement force
     if (hasHorizontalInput) {
         const cameraQuaternion = tank.camera.quaternion.clone();
@@ -129,6 +124,9 @@ export function updateMovement(tank, delta) {
     if (tank.movement.down) {
         tank.velocity.y -= tank.config.movement.verticalSpeed * delta;
     }
+    if (!tank.movement.up && !tank.movement.down) {
+        tank.velocity.y += tank.config.movement.verticalSpeed * analog.y * delta;
+    }
 
     // Update dash cooldown
     if (tank.dashCooldown > 0) {
@@ -180,36 +178,156 @@ export function updateMovement(tank, delta) {
 }
 
 /**
- * Update autopilot - frog swims on its own when user is idle
+ * Autopilot state, created on first use
  */
-export function updateAutopilot(tank, delta) {
-    if (!tank.frog || !tank.allObjects || tank.allObjects.length === 0) return;
-
-    // Initialize autopilot state if needed
+function getAutopilot(tank) {
     if (tank.autopilot === undefined) {
         tank.autopilot = {
             active: false,
             lastInputTime: Date.now(),
             targetObject: null,
+            guide: null,                 // Set by swimToObject / swimToPoint - { point, onArrive }
             idleTimeout: 5000,           // 5 seconds before autopilot kicks in
             cameraRealignInterval: 8000, // Realign camera every 8 seconds
             lastCameraRealign: Date.now(),
             speed: 0.3                   // Slow swimming speed
         };
     }
+    return tank.autopilot;
+}
 
+/**
+ * Send the frog to a specific object - any movement input cancels the trip.
+ * onArrive is called once the frog is close enough to select the object.
+ */
+export function swimToObject(tank, object, onArrive = null) {
+    if (!tank.frog || !object) return;
+
+    const autopilot = getAutopilot(tank);
+    autopilot.active = true;
+    autopilot.targetObject = object;
+    autopilot.guide = { point: null, onArrive };
+    autopilot.lastCameraRealign = 0;
+}
+
+/**
+ * Send the frog to a spot in the tank, staying at its current depth
+ * unless the point has a y of its own
+ */
+export function swimToPoint(tank, point, onArrive = null) {
+    if (!tank.frog) return;
+
+    const { width, floorY, ceilingY } = tank.config.tank;
+    const target = new THREE.Vector3(
+        THREE.MathUtils.clamp(point.x, -width, width),
+        THREE.MathUtils.clamp(point.y ?? tank.frog.position.y, floorY, ceilingY),
+        THREE.MathUtils.clamp(point.z, -width, width)
+    );
+
+    const autopilot = getAutopilot(tank);
+    autopilot.active = true;
+    autopilot.targetObject = null;
+    autopilot.guide = { point: target, onArrive };
+    autopilot.lastCameraRealign = 0;
+}
+
+/**
+ * Swim straight to the guided target at normal speed and stop in front of it
+ */
+function updateGuidedSwim(tank, delta) {
+    const autopilot = tank.autopilot;
     const now = Date.now();
-    const timeSinceInput = now - tank.autopilot.lastInputTime;
 
-    // Check if user is providing input
-    const hasInput = tank.movement.forward || tank.movement.backward ||
-                     tank.movement.left || tank.movement.right ||
-                     tank.movement.up || tank.movement.down;
+    // Keep idle wandering from starting the moment we arrive
+    autopilot.lastInputTime = now;
+    autopilot.active = true;
+
+    const { point, onArrive } = autopilot.guide;
+    const target = autopilot.targetObject;
+    if (!point && (!target || !tank.allObjects.includes(target))) {
+        autopilot.guide = null;
+        autopilot.targetObject = null;
+        return;
+    }
+
+    const toTarget = (point || target.position).clone().sub(tank.frog.position);
+    const distance = toTarget.length();
+    // Stop short of objects so they stay selectable, but right on a point
+    const arrivalDistance = point ? 1 : 3;
+
+    if (distance < arrivalDistance) {
+        autopilot.guide = null;
+        autopilot.targetObject = null;
+        autopilot.active = false;
+        tank.velocity.multiplyScalar(0.2);
+        realignCamera(tank);
+        console.log(point ? 'Arrived at destination' : `Arrived at ${target.userData.name}`);
+        if (onArrive) onArrive(target || point);
+        return;
+    }
+
+    const direction = toTarget.normalize();
+
+    // Full swim speed, easing off over the last few units
+    const easing = Math.min(1, (distance - arrivalDistance) / 6 + 0.2);
+    tank.velocity.add(direction.clone().multiplyScalar(tank.config.movement.speed * easing * delta));
+
+    // Rotate towards target
+    const targetRotationY = Math.atan2(direction.x, direction.z);
+    let diff = targetRotationY - tank.frog.rotation.y;
 
-    if (hasInput) {
+    if (Math.abs(diff) > Math.PI) {
+        diff = diff > 0 ? diff - 2 * Math.PI : diff + 2 * Math.PI;
+    }
+
+    tank.frog.rotation.y += diff * 4.0 * delta;
+
+    // Keep the camera behind the frog while it turns
+    if (now - autopilot.lastCameraRealign > 2000) {
+        realignCamera(tank);
+        autopilot.lastCameraRealign = now;
+    }
+
+    tank.swimTime += delta;
+    if (tank.frogMixer) {
+        tank.frogMixer.update(delta);
+    }
+}
+
+/**
+ * Whether the player is steering - a movement key, or a stick or joystick off centre
+ */
+export function hasMovementInput(tank) {
+    const { forward, backward, left, right, up, down } = tank.movement;
+    return forward || backward || left || right || up || down ||
+        tank.analogMovement.lengthSq() > 0;
+}
+
+/**
+ * Update autopilot - frog swims on its own when user is idle
+ */
+export function updateAutopilot(tank, delta) {
+    if (!tank.frog || !tank.allObjects || tank.allObjects.length === 0) return;
+
+    getAutopilot(tank);
+
+    const now = Date.now();
+    const timeSinceInput = now - tank.autopilot.lastInputTime;
+
+    if (hasMovementInput(tank)) {
         tank.autopilot.lastInputTime = now;
         tank.autopilot.active = false;
         tank.autopilot.targetObject = null;
+        if (tank.autopilot.guide) {
+            tank.autopilot.guide = null;
+            console.log('Guided swim cancelled');
+        }
+        return;
+    }
+
+    // A requested destination takes priority over idle wandering
+    if (tank.autopilot.guide) {
+        updateGuidedSwim(tank, delta);
         return;
     }
 
@@ -272,34 +390,6 @@ export function updateAutopilot(tank, delta) {
     }
 }
 
-/**
- * Realign camera behind the frog
- */
-export function realignCamera(tank) {
-    if (!tank.frog) return;
-
-    // Get frog's forward direction
-    const forward = new THREE.Vector3(0, 0, 1);
-    forward.applyQuaternion(tank.frog.quaternion);
-
-    // Position camera behind frog
-    const cameraDistance = 10;
-    const cameraHeight = 5;
-
-    tank.cameraOffset.set(
-        -forward.x * cameraDistance,
-        cameraHeight,
-        -forward.z * cameraDistance
-    );
-
-    // Reset mouse look angles
-    tank.euler.set(0, 0, 0);
-    tank.mouseX = 0;
-    tank.mouseY = 0;
-
-    console.log('Camera realigned');
-}
-
 /**
  * Update frog animations based on movement
  */
@@ -339,8 +429,10 @@ export function performDash(tank) {
 
     let dashDirection = new THREE.Vector3();
 
-    const hasHorizontalInput = tank.movement.forward || tank.movement.backward ||
-                               tank.movement.left || tank.movement.right;
+    const hasKeyInput = tank.movement.forward || tank.movement.backward ||
+                        tank.movement.left || tank.movement.right;
+    const analog = tank.analogMovement;
+    const hasHorizontalInput = hasKeyInput || analog.x !== 0 || analog.z !== 0;
 
     if (hasHorizontalInput) {
         if (tank.movement.forward) dashDirection.z -= 1;
@@ -348,6 +440,9 @@ export function performDash(tank) {
         if (tank.movement.left) dashDirection.x -= 1;
         if (tank.movement.right) dashDirection.x += 1;
 
+        // A stick (gamepad or touch) dashes the way it's tilted
+        if (!hasKeyInput) dashDirection.set(analog.x, 0, analog.z);
+
         dashDirection.normalize();
         dashDirection.applyQuaternion(tank.camera.quaternion);
     } else {
@@ -362,6 +457,7 @@ export function performDash(tank) {
     if (tank.createDashBubbles) {
         tank.createDashBubbles();
     }
+    playDashBubbles(tank);
 
     console.log('Dash activated!');
 }
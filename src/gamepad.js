@@ -0,0 +1,173 @@
+/**
+ * Gamepad input - polled once a frame (the Gamepad API has no button events).
+ * Uses the standard mapping, so the first pad that's plugged in works the same
+ * as an Xbox or PlayStation controller:
+ *
+ *   Swimming:       left stick swim (harder push, more force), right stick look
+ *                   (orbit and first person), RT / LT up / down, A dash,
+ *                   X open, B back, Y realign camera, LB / RB previous / next target
+ *   Side-scroller:  left stick or d-pad move, A jump, down drops through a platform,
+ *                   X open, B back
+ *
+ * The sticks feed tank.analogMovement and the buttons the keyboard's booleans, both
+ * written only when the pad changes - so an idle pad doesn't cancel a held key or
+ * the touch joystick.
+ */
+import * as THREE from 'three';
+import { performDash } from './frog.js';
+import { realignCamera } from './camera.js';
+import { cycleTarget } from './targeting.js';
+import { openSelection, goBack, isTypingTarget } from './controls.js';
+
+const DEADZONE = 0.15;        // Stick travel that counts as resting
+const PRESS_THRESHOLD = 0.5;  // Stick travel that counts as a press in the side-scroller
+const LOOK_SPEED = 800;       // Right stick at full tilt, in mouse pixels per second
+
+// Standard mapping - https://w3c.github.io/gamepad/#remapping
+const BUTTONS = {
+    a: 0, b: 1, x: 2, y: 3,
+    lb: 4, rb: 5, lt: 6, rt: 7,
+    up: 12, down: 13, left: 14, right: 15
+};
+
+/**
+ * Set up pad state, letting go of its input when the pad is unplugged
+ */
+export function setupGamepad(tank) {
+    tank.gamepad = { index: null, pressed: new Set(), held: {}, analog: new THREE.Vector3() };
+
+    window.addEventListener('gamepaddisconnected', (event) => {
+        if (event.gamepad.index === tank.gamepad.index) releaseGamepad(tank);
+    });
+}
+
+/**
+ * Read the pad and apply it to whichever mode is active
+ */
+export function updateGamepad(tank, delta) {
+    if (!tank.gamepad) return;
+
+    const pad = getGamepad(tank);
+    if (!pad) return;
+
+    const pressed = new Set();
+    pad.buttons.forEach((button, index) => {
+        if (button.pressed) pressed.add(index);
+    });
+    const justPressed = (name) => pressed.has(BUTTONS[name]) && !tank.gamepad.pressed.has(BUTTONS[name]);
+    tank.gamepad.pressed = pressed;
+
+    const [leftX, leftY] = applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+    const [rightX, rightY] = applyDeadzone(pad.axes[2] || 0, pad.axes[3] || 0);
+    const active = pressed.size > 0 || leftX || leftY || rightX || rightY;
+
+    // A pad in use counts as input, like the keyboard
+    if (active && tank.privacy) tank.privacy.lastActivity = Date.now();
+
+    if (tank.sideScrollerMode) {
+        setAnalog(tank, 0, 0, 0);
+        updateSideScrollerInput(tank, pressed, leftX, leftY);
+    } else {
+        updateSwimInput(tank, pad, leftX, leftY, rightX, rightY, delta);
+        if (active && tank.autopilot) {
+            tank.autopilot.lastInputTime = Date.now();
+        }
+    }
+
+    // Buttons do nothing while a text field has the focus, as with the keyboard
+    if (isTypingTarget(document.activeElement)) return;
+
+    if (tank.sideScrollerMode) {
+        if (justPressed('x')) openSelection(tank);
+        if (justPressed('b')) goBack(tank);
+        return;
+    }
+
+    if (justPressed('a')) performDash(tank);
+    if (justPressed('x')) openSelection(tank);
+    if (justPressed('b')) goBack(tank);
+    if (justPressed('y')) realignCamera(tank);
+    if (justPressed('lb')) cycleTarget(tank, -1);
+    if (justPressed('rb')) cycleTarget(tank, 1);
+}
+
+/**
+ * Proportional swimming from the left stick and triggers, looking around with the right stick
+ */
+function updateSwimInput(tank, pad, leftX, leftY, rightX, rightY, delta) {
+    const up = pad.buttons[BUTTONS.rt]?.value || 0;
+    const down = pad.buttons[BUTTONS.lt]?.value || 0;
+
+    // Same axes as tank.direction: x right, z back
+    setAnalog(tank, leftX, up - down, leftY);
+
+    // Mouse look takes the right stick as mouse movement
+    if (tank.cameraMode !== 'chase') {
+        tank.mouseX += rightX * LOOK_SPEED * delta;
+        tank.mouseY += rightY * LOOK_SPEED * delta;
+    }
+}
+
+/**
+ * Left / right, jump and drop-through, set only when the pad's state changes
+ */
+function updateSideScrollerInput(tank, pressed, leftX, leftY) {
+    setHeld(tank, 'left', leftX < -PRESS_THRESHOLD || pressed.has(BUTTONS.left));
+    setHeld(tank, 'right', leftX > PRESS_THRESHOLD || pressed.has(BUTTONS.right));
+    setHeld(tank, 'jump', pressed.has(BUTTONS.a) || pressed.has(BUTTONS.up));
+    setHeld(tank, 'down', leftY > PRESS_THRESHOLD || pressed.has(BUTTONS.down));
+}
+
+/**
+ * Write a side-scroller input when the pad's view of it changes
+ */
+function setHeld(tank, name, held) {
+    if (Boolean(tank.gamepad.held[name]) === held) return;
+    tank.gamepad.held[name] = held;
+    tank.sideScrollerInput[name] = held;
+}
+
+/**
+ * Write the pad's stick and trigger movement when it changes
+ */
+function setAnalog(tank, x, y, z) {
+    const analog = tank.gamepad.analog;
+    if (analog.x === x && analog.y === y && analog.z === z) return;
+    analog.set(x, y, z);
+    tank.analogMovement.copy(analog);
+}
+
+/**
+ * The pad in use - the one already picked, or the first one connected
+ */
+function getGamepad(tank) {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    const current = pads[tank.gamepad.index];
+    if (current?.connected) return current;
+
+    const pad = pads.find(candidate => candidate?.connected && candidate.mapping === 'standard') ||
+        pads.find(candidate => candidate?.connected);
+    tank.gamepad.index = pad ? pad.index : null;
+    return pad || null;
+}
+
+/**
+ * Let go of everything the pad was holding
+ */
+function releaseGamepad(tank) {
+    Object.keys(tank.gamepad.held).forEach(name => setHeld(tank, name, false));
+    tank.gamepad.index = null;
+    tank.gamepad.pressed = new Set();
+    setAnalog(tank, 0, 0, 0);
+}
+
+/**
+ * Radial deadzone, rescaled so movement starts from zero at its edge
+ */
+function applyDeadzone(x, y) {
+    const length = Math.hypot(x, y);
+    if (length < DEADZONE) return [0, 0];
+
+    const scale = Math.min(1, (length - DEADZONE) / (1 - DEADZONE)) / length;
+    return [x * scale, y * scale];
+}
@@ -0,0 +1,523 @@
+/**
+ * Key bindings - which keys do what, per mode (swimming and the side-scroller
+ * bind separately, so Space can dash in one and jump in the other).
+ *
+ * A binding is a key code with any modifiers in front: 'KeyW', 'Shift+Enter',
+ * 'Ctrl+Digit1'. Changes are kept in localStorage (only the actions that differ
+ * from the defaults), edited in the Key bindings panel (,) and shown in the
+ * controls legend, which is drawn from the live bindings - as are the tooltips
+ * of elements with a data-key-title like "Mute ({key})" and a data-key-action.
+ */
+import { escapeHtml } from './utils.js';
+
+const STORAGE_KEY = 'swimming-tank:key-bindings';
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+const MODE_NAMES = { swim: 'Swimming', sideScroller: 'Side-scroller' };
+
+// hold: a movement input, true while the key is down (named as in tank.movement / tank.sideScrollerInput)
+// group: where it's listed in the panel - 'debug' keeps it out of the legend, and its
+// keys need Alt+Shift so they aren't hit by accident
+export const KEY_ACTIONS = {
+    swim: [
+        { id: 'forward', label: 'Swim forward', keys: ['KeyW'], hold: true, group: 'move' },
+        { id: 'left', label: 'Swim left', keys: ['KeyA'], hold: true, group: 'move' },
+        { id: 'backward', label: 'Swim back', keys: ['KeyS'], hold: true, group: 'move' },
+        { id: 'right', label: 'Swim right', keys: ['KeyD'], hold: true, group: 'move' },
+        { id: 'up', label: 'Swim up', keys: ['ArrowUp'], hold: true, group: 'move' },
+        { id: 'down', label: 'Swim down', keys: ['ArrowDown'], hold: true, group: 'move' },
+        { id: 'dash', label: 'Dash', keys: ['Space'], group: 'move' },
+        { id: 'realignCamera', label: 'Re-align camera', keys: ['KeyR'], group: 'camera' },
+        { id: 'cameraMode', label: 'Camera mode', keys: ['KeyE'], group: 'camera' },
+        { id: 'open', label: 'Interact', keys: ['Enter'], group: 'files' },
+        { id: 'back', label: 'Close', keys: ['Escape'], group: 'files' },
+        { id: 'openFolder', label: 'Open folder', keys: ['KeyO'], group: 'files' },
+        { id: 'search', label: 'Search', keys: ['Slash'], group: 'files' },
+        { id: 'fileActions', label: 'File actions', keys: ['KeyX'], group: 'files' },
+        { id: 'grab', label: 'Grab/Drop', keys: ['KeyG'], group: 'files' },
+        { id: 'compareMark', label: 'Compare', keys: ['Shift+Enter'], group: 'files' },
+        { id: 'editTags', label: 'Edit tags', keys: ['KeyI'], group: 'files' },
+        { id: 'privacyLock', label: 'Lock private files', keys: ['KeyP'], group: 'files' },
+        { id: 'nextTarget', label: 'Next target', keys: ['Tab'], group: 'targets' },
+        { id: 'previousTarget', label: 'Previous target', keys: ['Shift+Tab'], group: 'targets' },
+        { id: 'lockTarget', label: 'Lock target', keys: ['KeyQ'], group: 'targets' },
+        { id: 'minimap', label: 'Minimap', keys: ['KeyN'], group: 'panels' },
+        { id: 'mute', label: 'Mute', keys: ['KeyV'], group: 'panels' },
+        { id: 'duplicates', label: 'Duplicates', keys: ['KeyU'], group: 'panels' },
+        { id: 'clusterLayout', label: 'Cluster layout', keys: ['KeyK'], group: 'panels' },
+        { id: 'tagFilter', label: 'Tag filter', keys: ['KeyH'], group: 'panels' },
+        { id: 'keyBindings', label: 'Key bindings', keys: ['Comma'], group: 'panels' },
+        { id: 'tour', label: 'Guided tour', keys: ['KeyY'], group: 'panels' },
+        { id: 'bookmarks', label: 'Bookmarks panel', keys: ['KeyJ'], group: 'bookmarks' },
+        ...Array.from({ length: 9 }, (_, index) => ({
+            id: `bookmark${index + 1}`, label: `Go to bookmark ${index + 1}`, keys: [`Digit${index + 1}`], group: 'bookmarks'
+        })),
+        ...Array.from({ length: 9 }, (_, index) => ({
+            id: `setBookmark${index + 1}`, label: `Set bookmark ${index + 1}`,
+            keys: [`Ctrl+Digit${index + 1}`, `Alt+Digit${index + 1}`], group: 'bookmarks'
+        })),
+        { id: 'collisions', label: 'Collision spheres', keys: ['Alt+Shift+KeyC'], group: 'debug' },
+        { id: 'debugMode', label: 'Debug mode', keys: ['Alt+Shift+KeyF'], group: 'debug' },
+        { id: 'sceneState', label: 'Log scene state', keys: ['Alt+Shift+KeyB'], group: 'debug' },
+        { id: 'multiFrog', label: 'Multi-frog mode', keys: ['Alt+Shift+KeyM'], group: 'debug' },
+        { id: 'lightPanel', label: 'Light panel', keys: ['Alt+Shift+KeyL'], group: 'debug' },
+        { id: 'tankBounds', label: 'Tank bounds', keys: ['Alt+Shift+KeyT'], group: 'debug' }
+    ],
+    sideScroller: [
+        { id: 'left', label: 'Move left', keys: ['KeyA', 'ArrowLeft'], hold: true },
+        { id: 'right', label: 'Move right', keys: ['KeyD', 'ArrowRight'], hold: true },
+        { id: 'jump', label: 'Jump', keys: ['KeyW', 'ArrowUp', 'Space'], hold: true },
+        { id: 'down', label: 'Drop through', keys: ['KeyS', 'ArrowDown'], hold: true },
+        { id: 'open', label: 'Open / go inside', keys: ['Enter'] },
+        { id: 'back', label: 'Back', keys: ['Escape'] },
+        { id: 'keyBindings', label: 'Key bindings', keys: ['Comma'] }
+    ]
+};
+
+const GROUP_NAMES = {
+    move: 'Movement',
+    camera: 'Camera',
+    files: 'Files',
+    targets: 'Targets',
+    panels: 'Panels',
+    bookmarks: 'Bookmarks',
+    debug: 'Debug'
+};
+
+// Legend entries, in order - actions listed together share one row item, a range shows first–last
+const LEGEND = [
+    { actions: ['forward', 'left', 'backward', 'right'], label: 'Move' },
+    { actions: ['up', 'down'], label: 'Up/Down' },
+    { actions: ['realignCamera'], label: 'Re-align Camera' },
+    { actions: ['open'], label: 'Interact' },
+    { actions: ['dash'], label: 'Dash' },
+    { actions: ['back'], label: 'Close' },
+    { actions: ['openFolder'], label: 'Open Folder' },
+    { actions: ['search'], label: 'Search' },
+    { actions: ['fileActions'], label: 'File Actions' },
+    { actions: ['grab'], label: 'Grab/Drop' },
+    { actions: ['minimap'], label: 'Minimap' },
+    { actions: ['mute'], label: 'Mute' },
+    { actions: ['compareMark'], label: 'Compare' },
+    { actions: ['duplicates'], label: 'Duplicates' },
+    { actions: ['clusterLayout'], label: 'Cluster Layout' },
+    { actions: ['editTags'], label: 'Edit Tags' },
+    { actions: ['tagFilter'], label: 'Tag Filter' },
+    { actions: ['privacyLock'], label: 'Lock Private Files' },
+    { actions: ['nextTarget'], label: 'Next Target' },
+    { actions: ['lockTarget'], label: 'Lock Target' },
+    { actions: ['cameraMode'], label: 'Camera Mode' },
+    { actions: ['keyBindings'], label: 'Key Bindings' },
+    { actions: ['tour'], label: 'Guided Tour' },
+    { actions: ['bookmarks'], label: 'Bookmarks' },
+    { actions: ['bookmark1', 'bookmark9'], label: 'Go to Bookmark', range: true },
+    { actions: ['setBookmark1', 'setBookmark9'], label: 'Set Bookmark', range: true }
+];
+
+const KEY_NAMES = {
+    Space: 'Space', Enter: 'Enter', Escape: 'Esc', Tab: 'Tab', Backspace: 'Backspace',
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    Slash: '/', Backslash: '\\', Comma: ',', Period: '.', Semicolon: ';', Quote: '\'',
+    Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backquote: '`'
+};
+
+/**
+ * Load the saved bindings and draw the legend
+ */
+export function setupKeyBindings(tank) {
+    tank.keyBindings = loadBindings();
+    tank.keyBindingIndex = null;
+    tank.keyBindingCapture = null;
+
+    // Ahead of every other key handler, so the key being bound does nothing else
+    window.addEventListener('keydown', (event) => handleCaptureKey(tank, event), true);
+
+    renderKeyLegend(tank);
+}
+
+/**
+ * The action a key press is bound to in a mode ('swim' or 'sideScroller'), or null.
+ * Shift falls back to the plain key, so Shift+W still swims.
+ */
+export function getKeyAction(tank, mode, event) {
+    const index = getBindingIndex(tank, mode);
+    const binding = getEventBinding(event);
+
+    if (index.has(binding)) return index.get(binding);
+    if (event.shiftKey && !event.ctrlKey && !event.altKey && !event.metaKey) {
+        return index.get(event.code) || null;
+    }
+    return null;
+}
+
+/**
+ * Hold actions with a binding on this key code, whatever its modifiers - for key releases
+ */
+export function getHeldActions(tank, mode, code) {
+    return KEY_ACTIONS[mode]
+        .filter(action => action.hold && tank.keyBindings[mode][action.id].some(binding => splitBinding(binding).code === code))
+        .map(action => action.id);
+}
+
+/**
+ * Whether an action is a held movement input
+ */
+export function isHoldAction(mode, id) {
+    return Boolean(KEY_ACTIONS[mode].find(action => action.id === id)?.hold);
+}
+
+/**
+ * Keys for an action as shown to the user, e.g. "Shift+Enter", or '' when unbound
+ */
+export function getKeyLabel(tank, mode, id) {
+    return (tank.keyBindings?.[mode][id] || []).map(formatBinding).join(' / ');
+}
+
+/**
+ * Text naming an action's key, from a template with {key} in brackets - the
+ * bracketed part is left out while the action is unbound
+ */
+export function formatKeyTitle(tank, template, id, mode = 'swim') {
+    const key = getKeyLabel(tank, mode, id);
+    return key ?
+        template.replace('{key}', key) :
+        template.replace(/\s*\([^)]*\{key\}[^)]*\)/, '');
+}
+
+/**
+ * A binding as shown to the user
+ */
+export function formatBinding(binding) {
+    const { modifiers, code } = splitBinding(binding);
+    return [...modifiers, formatCode(code)].join('+');
+}
+
+/**
+ * Open or close the Key bindings panel (,)
+ */
+export function toggleKeyBindingsPanel(tank) {
+    if (isKeyBindingsPanelOpen(tank)) {
+        closeKeyBindingsPanel(tank);
+        return;
+    }
+
+    const panel = document.getElementById('keybindings-panel');
+    if (!panel) return;
+
+    panel.classList.remove('hidden');
+    renderPanel(tank);
+}
+
+/**
+ * Close the Key bindings panel, dropping a rebind in progress
+ */
+export function closeKeyBindingsPanel(tank) {
+    tank.keyBindingCapture = null;
+    document.getElementById('keybindings-panel')?.classList.add('hidden');
+}
+
+/**
+ * Whether the Key bindings panel is showing
+ */
+export function isKeyBindingsPanelOpen(tank) {
+    const panel = document.getElementById('keybindings-panel');
+    return Boolean(panel) && !panel.classList.contains('hidden');
+}
+
+/**
+ * Draw the controls legend from the swimming bindings, two items to a row, and
+ * refresh the tooltips that name keys
+ */
+export function renderKeyLegend(tank) {
+    const content = document.getElementById('controls-content');
+    if (!content) return;
+
+    const items = LEGEND
+        .map(({ actions, label, range }) => ({ keys: formatLegendKeys(tank, actions, range), label }))
+        .filter(item => item.keys);
+
+    const rows = [];
+    for (let i = 0; i < items.length; i += 2) {
+        rows.push(items.slice(i, i + 2));
+    }
+
+    content.innerHTML = rows.map(row => `
+        <div class="controls-row">
+            ${row.map(item => `<span class="control-key">${escapeHtml(item.keys)}</span> ${escapeHtml(item.label)}`).join('\n')}
+        </div>
+    `).join('');
+
+    const hint = document.getElementById('selection-hint');
+    const openKey = getKeyLabel(tank, 'swim', 'open');
+    if (hint) {
+        hint.innerHTML = openKey ? `Press <strong>${escapeHtml(openKey)}</strong> to preview` : 'Selected';
+    }
+
+    document.querySelectorAll('[data-key-title]').forEach(element => {
+        element.title = formatKeyTitle(tank, element.dataset.keyTitle, element.dataset.keyAction);
+    });
+}
+
+/**
+ * Keys for a legend item - "WASD" for single letters, "1–9" for a range, otherwise spaced out
+ */
+function formatLegendKeys(tank, actions, range = false) {
+    const bindings = actions.map(id => tank.keyBindings.swim[id][0]).filter(Boolean);
+    const labels = bindings.map(formatBinding);
+
+    if (actions.length === 1) return getKeyLabel(tank, 'swim', actions[0]);
+    if (range) {
+        if (bindings.length !== actions.length) return '';
+        // Ctrl+1–9 rather than Ctrl+1–Ctrl+9
+        const [first, last] = bindings.map(splitBinding);
+        const sameModifiers = first.modifiers.join() === last.modifiers.join();
+        return `${labels[0]}–${sameModifiers ? formatCode(last.code) : labels[1]}`;
+    }
+    return labels.every(label => label.length === 1) ? labels.join('') : labels.join(' ');
+}
+
+/**
+ * Defaults, with the saved changes on top
+ */
+function loadBindings() {
+    const bindings = getDefaultBindings();
+
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.warn('Could not read saved key bindings:', error.message);
+    }
+
+    Object.keys(bindings).forEach(mode => {
+        Object.entries(saved?.[mode] || {}).forEach(([id, keys]) => {
+            const valid = Array.isArray(keys) && keys.every(key => typeof key === 'string');
+            if (id in bindings[mode] && valid) bindings[mode][id] = keys;
+        });
+    });
+
+    return bindings;
+}
+
+/**
+ * Save the actions whose keys differ from the defaults
+ */
+function saveBindings(tank) {
+    const defaults = getDefaultBindings();
+    const changed = {};
+
+    Object.entries(tank.keyBindings).forEach(([mode, actions]) => {
+        Object.entries(actions).forEach(([id, keys]) => {
+            if (keys.join() === defaults[mode][id].join()) return;
+            changed[mode] = changed[mode] || {};
+            changed[mode][id] = keys;
+        });
+    });
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    } catch (error) {
+        console.warn('Could not save key bindings:', error.message);
+    }
+}
+
+/**
+ * Fresh copy of the default bindings, by mode and action
+ */
+function getDefaultBindings() {
+    const bindings = {};
+    Object.entries(KEY_ACTIONS).forEach(([mode, actions]) => {
+        bindings[mode] = Object.fromEntries(actions.map(action => [action.id, [...action.keys]]));
+    });
+    return bindings;
+}
+
+/**
+ * Binding to action lookup for a mode, rebuilt after changes
+ */
+function getBindingIndex(tank, mode) {
+    if (!tank.keyBindingIndex) {
+        tank.keyBindingIndex = {};
+        Object.entries(tank.keyBindings).forEach(([bindingMode, actions]) => {
+            const index = new Map();
+            // First one wins if a saved file has a conflict - the panel shows it
+            Object.entries(actions).forEach(([id, keys]) => {
+                keys.forEach(key => { if (!index.has(key)) index.set(key, id); });
+            });
+            tank.keyBindingIndex[bindingMode] = index;
+        });
+    }
+    return tank.keyBindingIndex[mode];
+}
+
+/**
+ * Bindings used by more than one action in a mode
+ */
+function findConflicts(tank, mode) {
+    const owners = new Map();
+    Object.entries(tank.keyBindings[mode]).forEach(([id, keys]) => {
+        keys.forEach(key => owners.set(key, [...(owners.get(key) || []), id]));
+    });
+    return new Set([...owners].filter(([, ids]) => ids.length > 1).map(([key]) => key));
+}
+
+/**
+ * The binding a key press makes, modifiers first
+ */
+function getEventBinding(event) {
+    const modifiers = [
+        event.ctrlKey && 'Ctrl',
+        event.altKey && 'Alt',
+        event.shiftKey && 'Shift',
+        event.metaKey && 'Meta'
+    ].filter(Boolean);
+    return [...modifiers, event.code].join('+');
+}
+
+/**
+ * Modifiers and key code of a binding
+ */
+function splitBinding(binding) {
+    const parts = binding.split('+');
+    const code = parts.pop();
+    return { modifiers: parts.filter(part => MODIFIERS.includes(part)), code };
+}
+
+/**
+ * Key code as shown to the user - KeyW is W, Digit1 is 1
+ */
+function formatCode(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+/**
+ * Fill the panel - one section per mode, debug keys apart
+ */
+function renderPanel(tank) {
+    const panel = document.getElementById('keybindings-panel');
+    if (!panel) return;
+
+    const capture = tank.keyBindingCapture;
+    const sections = Object.keys(KEY_ACTIONS).map(mode => {
+        const conflicts = findConflicts(tank, mode);
+        let group = null;
+
+        const rows = KEY_ACTIONS[mode].map(action => {
+            const heading = action.group && action.group !== group ?
+                `<div class="file-action-group">${GROUP_NAMES[action.group]}</div>` : '';
+            group = action.group;
+
+            const capturing = capture && capture.mode === mode && capture.id === action.id;
+            const chips = tank.keyBindings[mode][action.id].map(binding => `
+                <span class="keybinding-chip${conflicts.has(binding) ? ' conflict' : ''}">
+                    ${escapeHtml(formatBinding(binding))}
+                    <button class="keybinding-remove" data-mode="${mode}" data-id="${action.id}" data-binding="${escapeHtml(binding)}" title="Remove">&times;</button>
+                </span>
+            `).join('');
+
+            return `${heading}
+                <div class="keybinding-row${capturing ? ' capturing' : ''}">
+                    <span class="keybinding-label">${escapeHtml(action.label)}</span>
+                    <span class="keybinding-keys">
+                        ${chips}
+                        ${capturing ? '<span class="keybinding-chip waiting">Press a key…</span>' :
+                            `<button class="keybinding-add" data-mode="${mode}" data-id="${action.id}" title="Add a key">+</button>`}
+                    </span>
+                </div>
+            `;
+        }).join('');
+
+        return `<div class="keybinding-section"><h4>${MODE_NAMES[mode]}</h4>${rows}</div>`;
+    }).join('');
+
+    panel.innerHTML = `
+        <div class="file-actions-header">
+            <span class="file-actions-title">Key bindings</span>
+            <button class="close-btn" data-action="close">&times;</button>
+        </div>
+        <div class="file-actions-body">${sections}</div>
+        <div class="keybinding-footer">
+            <button class="file-action" data-action="reset">Reset to defaults</button>
+        </div>
+        <div class="file-actions-status">${escapeHtml(capture?.message || '')}</div>
+    `;
+
+    panel.querySelector('[data-action="close"]').addEventListener('click', () => closeKeyBindingsPanel(tank));
+    panel.querySelector('[data-action="reset"]').addEventListener('click', () => {
+        if (!confirm('Put every key back the way it was?')) return;
+        tank.keyBindingCapture = null;
+        updateBindings(tank, getDefaultBindings());
+    });
+
+    panel.querySelectorAll('.keybinding-add').forEach(button => {
+        button.addEventListener('click', () => {
+            tank.keyBindingCapture = { mode: button.dataset.mode, id: button.dataset.id, message: 'Press the new key - Esc cancels' };
+            renderPanel(tank);
+        });
+    });
+
+    panel.querySelectorAll('.keybinding-remove').forEach(button => {
+        button.addEventListener('click', () => {
+            const { mode, id, binding } = button.dataset;
+            tank.keyBindings[mode][id] = tank.keyBindings[mode][id].filter(key => key !== binding);
+            updateBindings(tank, tank.keyBindings);
+        });
+    });
+}
+
+/**
+ * Take the next key press as the new binding while rebinding
+ */
+function handleCaptureKey(tank, event) {
+    const capture = tank.keyBindingCapture;
+    if (!capture) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (event.code === 'Escape') {
+        tank.keyBindingCapture = null;
+        renderPanel(tank);
+        return;
+    }
+    // Wait for the key that goes with the modifiers
+    if (/^(Shift|Control|Alt|Meta)(Left|Right)$/.test(event.code)) return;
+
+    const binding = getEventBinding(event);
+    const bindings = tank.keyBindings[capture.mode];
+    const owner = Object.keys(bindings).find(id => id !== capture.id && bindings[id].includes(binding));
+
+    // Taking a key from another action needs the key pressed twice
+    if (owner && capture.conflict !== binding) {
+        const ownerLabel = KEY_ACTIONS[capture.mode].find(action => action.id === owner).label;
+        capture.conflict = binding;
+        capture.message = `${formatBinding(binding)} is already ${ownerLabel} - press it again to move it here, Esc to cancel`;
+        renderPanel(tank);
+        return;
+    }
+
+    if (owner) {
+        bindings[owner] = bindings[owner].filter(key => key !== binding);
+    }
+    if (!bindings[capture.id].includes(binding)) {
+        bindings[capture.id].push(binding);
+    }
+
+    tank.keyBindingCapture = null;
+    updateBindings(tank, tank.keyBindings);
+    console.log(`${formatBinding(binding)} → ${KEY_ACTIONS[capture.mode].find(action => action.id === capture.id).label}`);
+}
+
+/**
+ * Use a new set of bindings everywhere
+ */
+function updateBindings(tank, bindings) {
+    tank.keyBindings = bindings;
+    tank.keyBindingIndex = null;
+    saveBindings(tank);
+    renderPanel(tank);
+    renderKeyLegend(tank);
+}
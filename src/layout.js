@@ -0,0 +1,316 @@
+/**
+ * File layout - loads content/file-layout.yaml and turns it into tank data
+ */
+import { load as parseYaml } from 'js-yaml';
+import { getFileType, isTextType } from './filetypes.js';
+import { normalizeTag, isValidTag } from './tagquery.js';
+import { formatFileSize } from './utils.js';
+
+export const LAYOUT_PATH = 'content/file-layout.yaml';
+export const MANIFEST_PATH = 'content/manifest.json';
+export const TOURS_PATH = 'content/tours.yaml';
+
+// Deleted files are moved to this folder, which sits in its own area
+export const TRASH_AREA = 'trash';
+export const TRASH_FOLDER = 'content/trash';
+
+/**
+ * Fetch, parse and validate the layout file, then apply it to the tank
+ * together with the generated file manifest
+ */
+export async function loadLayout(tank) {
+    const response = await fetch(LAYOUT_PATH);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${LAYOUT_PATH} (${response.status})`);
+    }
+
+    const layout = parseYaml(await response.text());
+
+    const errors = validateLayout(layout);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`${LAYOUT_PATH}: ${error}`));
+        throw new Error(`Invalid ${LAYOUT_PATH}: ${errors[0]}` +
+            (errors.length > 1 ? ` (+${errors.length - 1} more, see console)` : ''));
+    }
+
+    const manifest = await loadManifest();
+
+    applyLayout(tank, layout, manifest);
+    console.log(`Layout loaded: ${Object.keys(tank.areaPositions).length} areas, ` +
+        `${tank.fileData.length} folders, ${tank.files.length} files`);
+
+    return layout;
+}
+
+/**
+ * Fetch content/manifest.json - returns null if it has not been generated
+ */
+async function loadManifest() {
+    try {
+        const response = await fetch(MANIFEST_PATH);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.warn(`Could not load ${MANIFEST_PATH} (${error.message}) - ` +
+            'run "npm run manifest". Falling back to the files listed in the layout.');
+        return null;
+    }
+}
+
+/**
+ * Check a parsed layout for problems - returns a list of error messages
+ */
+export function validateLayout(layout) {
+    const errors = [];
+
+    if (!layout || typeof layout !== 'object') {
+        return ['layout is empty or not a mapping'];
+    }
+
+    const areas = layout.areas || {};
+    const areaKeys = Object.keys(areas);
+
+    if (areaKeys.length === 0) {
+        errors.push('no areas defined');
+    }
+    if (areaKeys.length > 0 && !areas.center) {
+        errors.push('areas.center is required (it is the fallback area)');
+    }
+
+    areaKeys.forEach(key => {
+        const position = areas[key] && areas[key].position;
+        if (!position || typeof position.x !== 'number' || typeof position.z !== 'number') {
+            errors.push(`areas.${key}: position needs numeric x and z`);
+        }
+    });
+
+    const checkArea = (where, area) => {
+        if (!area) {
+            errors.push(`${where}: missing area`);
+        } else if (!areas[area]) {
+            errors.push(`${where}: unknown area "${area}"`);
+        }
+    };
+
+    const checkTags = (where, tags) => {
+        if (tags === undefined) return;
+        if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !isValidTag(normalizeTag(tag)))) {
+            errors.push(`${where}: tags must be a list of single words`);
+        }
+    };
+
+    const seenNames = new Map();
+    const seenPaths = new Map();
+
+    Object.entries(layout.groups || {}).forEach(([groupKey, group]) => {
+        const where = `groups.${groupKey}`;
+        if (!group || typeof group !== 'object') {
+            errors.push(`${where}: group is empty`);
+            return;
+        }
+
+        checkArea(where, group.area);
+
+        if (!Array.isArray(group.files)) {
+            errors.push(`${where}: files must be a list`);
+            return;
+        }
+
+        group.files.forEach((file, i) => {
+            const fileWhere = `${where}.files[${i}]`;
+            if (!file || typeof file.path !== 'string' || file.path.trim() === '') {
+                errors.push(`${fileWhere}: missing path`);
+                return;
+            }
+
+            if (seenPaths.has(file.path)) {
+                errors.push(`${fileWhere}: duplicate path "${file.path}" (also in ${seenPaths.get(file.path)})`);
+            } else {
+                seenPaths.set(file.path, fileWhere);
+            }
+
+            checkTags(fileWhere, file.tags);
+            if (file.private !== undefined && typeof file.private !== 'boolean') {
+                errors.push(`${fileWhere}: private must be true or false`);
+            } else if (file.private && !isTextType(getFileType(file.path))) {
+                errors.push(`${fileWhere}: only text files can be private`);
+            }
+
+            const name = file.name || basename(file.path);
+            if (seenNames.has(name)) {
+                errors.push(`${fileWhere}: duplicate name "${name}" (also in ${seenNames.get(name)})`);
+            } else {
+                seenNames.set(name, fileWhere);
+            }
+        });
+    });
+
+    const seenFolders = new Set();
+
+    (layout.folders || []).forEach((folder, i) => {
+        const where = `folders[${i}]`;
+        if (!folder || !folder.name) {
+            errors.push(`${where}: missing name`);
+            return;
+        }
+
+        checkArea(where, folder.area);
+        checkTags(where, folder.tags);
+
+        if (seenFolders.has(folder.name)) {
+            errors.push(`${where}: duplicate folder name "${folder.name}"`);
+        }
+        seenFolders.add(folder.name);
+    });
+
+    const positions = layout.positions;
+    if (positions !== undefined && positions !== null) {
+        if (typeof positions !== 'object' || Array.isArray(positions)) {
+            errors.push('positions must map paths to { x, y, z }');
+        } else {
+            Object.entries(positions).forEach(([path, position]) => {
+                if (!position || ['x', 'y', 'z'].some(axis => typeof position[axis] !== 'number')) {
+                    errors.push(`positions."${path}": needs numeric x, y and z`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Check that every path the layout mentions exists in the manifest - returns warnings
+ */
+export function checkLayoutAgainstManifest(layout, manifest) {
+    const warnings = [];
+    const filePaths = new Set(manifest.files.map(file => file.path));
+    const folderNames = new Set(manifest.folders
+        .filter(folder => folder.parent === manifest.root)
+        .map(folder => folder.name));
+
+    Object.entries(layout.groups || {}).forEach(([groupKey, group]) => {
+        group.files.forEach(file => {
+            if (!filePaths.has(file.path)) {
+                warnings.push(`groups.${groupKey}: "${file.path}" does not exist`);
+            }
+        });
+    });
+
+    (layout.folders || []).forEach(folder => {
+        if (!folderNames.has(folder.name)) {
+            warnings.push(`folders: "${folder.name}" does not exist`);
+        }
+    });
+
+    return warnings;
+}
+
+/**
+ * Populate areaPositions, fileData and the per-model file lists from a validated layout.
+ * With a manifest, every file on disk gets an object - files the layout
+ * doesn't mention go to the center area.
+ */
+export function applyLayout(tank, layout, manifest = null) {
+    tank.layout = layout;
+    tank.manifest = manifest;
+    tank.layoutPositions = layout.positions || {};
+
+    tank.areaPositions = {};
+    Object.entries(layout.areas).forEach(([key, area]) => {
+        tank.areaPositions[key] = {
+            x: area.position.x,
+            z: area.position.z,
+            name: area.name || key,
+            description: area.description || ''
+        };
+    });
+
+    // Layout entries by path
+    const layoutFiles = new Map();
+    Object.entries(layout.groups || {}).forEach(([groupKey, group]) => {
+        group.files.forEach(file => {
+            layoutFiles.set(file.path, { name: file.name, area: group.area, group: groupKey, tags: file.tags?.map(normalizeTag), private: file.private === true });
+        });
+    });
+
+    const layoutFolders = new Map((layout.folders || []).map(folder => [folder.name, folder]));
+
+    if (manifest) {
+        checkLayoutAgainstManifest(layout, manifest)
+            .forEach(warning => console.warn(`${LAYOUT_PATH}: ${warning}`));
+
+        tank.files = manifest.files.map(file => createFileEntry(file, layoutFiles.get(file.path)));
+
+        tank.fileData = manifest.folders
+            .filter(folder => folder.parent === manifest.root)
+            .map(folder => ({
+                name: folder.name,
+                type: 'folder',
+                area: layoutFolders.get(folder.name)?.area || 'center',
+                tags: layoutFolders.get(folder.name)?.tags?.map(normalizeTag) || [],
+                path: folder.path,
+                files: folder.files,
+                bytes: folder.bytes,
+                size: formatFileSize(folder.bytes)
+            }));
+    } else {
+        tank.files = [...layoutFiles.entries()].map(([path, entry]) => createFileEntry({
+            path,
+            name: basename(path),
+            folder: path.split('/').slice(0, -1).join('/'),
+            type: getFileType(path)
+        }, entry));
+
+        tank.fileData = (layout.folders || []).map(folder => ({
+            name: folder.name,
+            type: 'folder',
+            area: folder.area,
+            tags: folder.tags?.map(normalizeTag) || [],
+            path: `content/${folder.name}`,
+            files: tank.files.filter(file => file.path.startsWith(`content/${folder.name}/`)).length
+        }));
+    }
+
+    assignFileModels(tank);
+}
+
+/**
+ * Split the files by the model they float as - PDFs and audio have their own,
+ * every other type uses the txt model until it gets a model of its own
+ */
+export function assignFileModels(tank) {
+    tank.pdfData = tank.files.filter(file => file.type === 'pdf');
+    tank.audioData = tank.files.filter(file => file.type === 'audio');
+    tank.txtData = tank.files.filter(file => file.type !== 'pdf' && file.type !== 'audio');
+}
+
+/**
+ * Combine a manifest file record with its (optional) layout entry
+ */
+export function createFileEntry(file, layoutEntry) {
+    return {
+        name: layoutEntry?.name || file.name,
+        type: file.type,
+        area: layoutEntry?.area || 'center',
+        group: layoutEntry?.group || null,
+        tags: layoutEntry?.tags || file.tags || [],
+        // Private files are encrypted on disk - or will be once the tank is unlocked
+        private: layoutEntry?.private === true || file.encrypted === true,
+        encrypted: file.encrypted === true,
+        path: file.path,
+        folder: file.folder,
+        bytes: file.bytes,
+        size: file.bytes !== undefined ? formatFileSize(file.bytes) : undefined,
+        modified: file.modified
+    };
+}
+
+/**
+ * Last segment of a slash-separated path
+ */
+function basename(path) {
+    return path.split('/').pop();
+}
@@ -0,0 +1,268 @@
+/**
+ * Line-based edits to content/file-layout.yaml
+ *
+ * The layout file is hand-written and commented, so instead of re-serializing
+ * the parsed YAML these helpers change only the lines they need to.
+ * Shared between the dev server and the browser, so no imports.
+ */
+
+const PATH_LINE = /^(\s*)-\s*path:\s*(["']?)(.*?)\2\s*$/;
+const NAME_LINE = /^(\s*)name:\s*(["']?)(.*?)\2\s*$/;
+const FOLDER_NAME_LINE = /^(\s*)-\s*name:\s*(["']?)(.*?)\2\s*$/;
+const TOP_LEVEL_KEY = /^([A-Za-z_][\w-]*):/;
+
+/**
+ * Point a file entry at a new path (and its name at the new file name)
+ */
+export function renameLayoutPath(text, from, to) {
+    const lines = text.split('\n');
+    const index = findPathLine(lines, from);
+    if (index === -1) return text;
+
+    const [, indent, quote] = lines[index].match(PATH_LINE);
+    lines[index] = `${indent}- path: ${quoteValue(to, quote)}`;
+
+    const end = findEntryEnd(lines, index);
+    for (let i = index + 1; i < end; i++) {
+        const name = lines[i].match(NAME_LINE);
+        if (name && unquoteValue(name[3], name[2]) === basename(from)) {
+            lines[i] = `${name[1]}name: ${quoteValue(basename(to), name[2])}`;
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Place a file in an area: its entry moves to the first group of that area
+ * (a new group is added when the area has none)
+ */
+export function setLayoutFileArea(text, path, area) {
+    let lines = text.split('\n');
+
+    // Take the existing entry out, keeping its extra fields (e.g. name)
+    let entry = [`- path: ${quoteValue(path)}`];
+    const index = findPathLine(lines, path);
+    if (index !== -1) {
+        const end = findEntryEnd(lines, index);
+        const indent = lines[index].match(PATH_LINE)[1].length;
+        entry = lines.slice(index, end).map(line => line.slice(indent));
+        lines.splice(index, end - index);
+    }
+
+    const groups = findSection(lines, 'groups');
+    if (!groups) {
+        lines = [...trimTrailingBlank(lines), '', 'groups:'];
+        return insertGroup(lines, lines.length, area, entry).join('\n');
+    }
+
+    const group = findGroupForArea(lines, groups, area);
+    if (!group) {
+        // New group at the end of the groups section
+        return insertGroup(lines, groups.end, area, entry).join('\n');
+    }
+
+    const itemIndent = ' '.repeat(group.itemIndent);
+    lines.splice(group.filesLine + 1, 0, ...entry.map(line => itemIndent + line));
+    return lines.join('\n');
+}
+
+/**
+ * Put a folder object in an area
+ */
+export function setLayoutFolderArea(text, name, area) {
+    let lines = text.split('\n');
+    const folders = findSection(lines, 'folders');
+
+    if (folders) {
+        for (let i = folders.start + 1; i < folders.end; i++) {
+            const match = lines[i].match(FOLDER_NAME_LINE);
+            if (!match || unquoteValue(match[3], match[2]) !== name) continue;
+
+            const end = findEntryEnd(lines, i);
+            for (let j = i + 1; j < end; j++) {
+                const areaLine = lines[j].match(/^(\s*)area:/);
+                if (areaLine) {
+                    lines[j] = `${areaLine[1]}area: ${area}`;
+                    return lines.join('\n');
+                }
+            }
+
+            const fieldIndent = ' '.repeat(match[1].length + 2);
+            lines.splice(i + 1, 0, `${fieldIndent}area: ${area}`);
+            return lines.join('\n');
+        }
+
+        lines.splice(lastContentLine(lines, folders) + 1, 0, `  - name: ${quoteValue(name)}`, `    area: ${area}`);
+        return lines.join('\n');
+    }
+
+    lines = [...trimTrailingBlank(lines), '', 'folders:', `  - name: ${quoteValue(name)}`, `    area: ${area}`, ''];
+    return lines.join('\n');
+}
+
+/**
+ * Replace the positions section with the given { path: { x, y, z } } map
+ */
+export function setLayoutPositions(text, positions) {
+    let lines = text.split('\n');
+
+    const section = findSection(lines, 'positions');
+    if (section) {
+        // Drop the old section together with the comment right above it
+        let start = section.start;
+        while (start > 0 && lines[start - 1].startsWith('# Object positions')) start--;
+        lines.splice(start, section.end - start);
+    }
+
+    const entries = Object.keys(positions).sort().map(path => {
+        const { x, y, z } = positions[path];
+        return `  ${quoteValue(path)}: { x: ${round(x)}, y: ${round(y)}, z: ${round(z)} }`;
+    });
+
+    lines = trimTrailingBlank(lines);
+    if (entries.length > 0) {
+        lines.push('', '# Object positions arranged in the tank (saved with "Save arrangement")', 'positions:', ...entries);
+    }
+    lines.push('');
+
+    return lines.join('\n');
+}
+
+/**
+ * Index of the "- path:" line for a path, or -1
+ */
+function findPathLine(lines, path) {
+    return lines.findIndex(line => {
+        const match = line.match(PATH_LINE);
+        return match && unquoteValue(match[3], match[2]) === path;
+    });
+}
+
+/**
+ * First line after a list entry (the next item, a dedent or the end)
+ */
+function findEntryEnd(lines, index) {
+    const indent = lines[index].match(/^\s*/)[0].length;
+    let end = index + 1;
+
+    while (end < lines.length) {
+        const line = lines[end];
+        const lineIndent = line.match(/^\s*/)[0].length;
+        if (line.trim() === '' || line.trim().startsWith('#') || lineIndent <= indent) break;
+        end++;
+    }
+
+    return end;
+}
+
+/**
+ * Line range of a top-level key: { start, end } where end is the next top-level key
+ */
+function findSection(lines, key) {
+    const start = lines.findIndex(line => line.startsWith(`${key}:`));
+    if (start === -1) return null;
+
+    let end = start + 1;
+    while (end < lines.length && !TOP_LEVEL_KEY.test(lines[end])) end++;
+
+    // Leave comments and blank lines that introduce the next section where they are
+    while (end > start + 1 && (lines[end - 1].trim() === '' || lines[end - 1].startsWith('#'))) end--;
+
+    return { start, end };
+}
+
+/**
+ * Last non-blank line of a section
+ */
+function lastContentLine(lines, section) {
+    let last = section.end - 1;
+    while (last > section.start && lines[last].trim() === '') last--;
+    return last;
+}
+
+/**
+ * First group in the groups section with the given area, with the line of its
+ * "files:" key and the indentation of its list items
+ */
+function findGroupForArea(lines, groups, area) {
+    let current = null;
+
+    for (let i = groups.start + 1; i <= groups.end; i++) {
+        const line = lines[i] ?? '';
+        const isGroupKey = /^ {2}[^\s#][^:]*:\s*$/.test(line);
+
+        if (isGroupKey || i === groups.end) {
+            if (current && current.area === area && current.filesLine !== -1) {
+                return current;
+            }
+            current = { area: null, filesLine: -1, itemIndent: 6 };
+            continue;
+        }
+
+        const areaMatch = line.match(/^ {4}area:\s*(\S+)/);
+        if (areaMatch && current) current.area = areaMatch[1];
+
+        if (/^ {4}files:\s*$/.test(line) && current) current.filesLine = i;
+
+        const item = line.match(PATH_LINE);
+        if (item && current && current.filesLine !== -1) current.itemIndent = item[1].length;
+    }
+
+    return null;
+}
+
+/**
+ * Insert a new group holding one entry
+ */
+function insertGroup(lines, at, area, entry) {
+    const block = [
+        '',
+        `  ${area}Files:`,
+        `    area: ${area}`,
+        '    files:',
+        ...entry.map(line => '      ' + line)
+    ];
+    lines.splice(at, 0, ...block);
+    return lines;
+}
+
+/**
+ * Lines without the blank lines at the end
+ */
+function trimTrailingBlank(lines) {
+    const trimmed = [...lines];
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1].trim() === '') trimmed.pop();
+    return trimmed;
+}
+
+/**
+ * Round a coordinate to two decimals
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Quote a value the same way as the line it replaces - double quotes when it had none
+ */
+function quoteValue(value, quote = '"') {
+    if (quote === '\'') return `'${value.replace(/'/g, "''")}'`;
+    return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * A value as written in a line back to plain text
+ */
+function unquoteValue(raw, quote) {
+    if (quote === '\'') return raw.replace(/''/g, "'");
+    if (quote === '"') return raw.replace(/\\(.)/g, '$1');
+    return raw;
+}
+
+/**
+ * Last segment of a slash-separated path
+ */
+function basename(path) {
+    return path.split('/').pop();
+}
@@ -0,0 +1,323 @@
+/**
+ * Local folders - open a directory from disk (File System Access API,
+ * drag-and-drop or a directory <input>) and show it in the tank
+ */
+import { getFileType } from './filetypes.js';
+import { formatFileSize } from './utils.js';
+import { clearFileObjects, createFileFolders, createTxtFiles, createPDFFiles, createAudioFiles } from './objects.js';
+import { TRASH_AREA, assignFileModels } from './layout.js';
+import { findDuplicates } from './duplicates.js';
+import { applyClusterLayout } from './clusterlayout.js';
+
+// Keep the scene usable when someone drops their home directory
+const MAX_LOCAL_FILES = 500;
+const SKIPPED_DIRECTORIES = new Set(['node_modules']);
+
+/**
+ * Ask the user for a folder and load it into the tank
+ */
+export async function openFolderPicker(tank) {
+    if (!window.showDirectoryPicker) {
+        openFolderInput(tank);
+        return;
+    }
+
+    try {
+        const dirHandle = await window.showDirectoryPicker();
+        const isCurrent = beginFolderLoad(tank);
+        const listing = await readDirectoryHandle(dirHandle);
+        if (isCurrent()) loadLocalFolder(tank, listing);
+    } catch (error) {
+        // AbortError just means the picker was cancelled
+        if (error.name !== 'AbortError') {
+            console.error('Error opening folder:', error);
+        }
+    }
+}
+
+/**
+ * Fallback for browsers without showDirectoryPicker - a hidden directory <input>
+ */
+function openFolderInput(tank) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.webkitdirectory = true;
+    input.multiple = true;
+
+    input.addEventListener('change', () => {
+        if (input.files.length > 0) {
+            beginFolderLoad(tank);
+            loadLocalFolder(tank, readFileList(input.files));
+        }
+    });
+
+    input.click();
+}
+
+/**
+ * Accept folders dropped anywhere on the page
+ */
+export function setupFolderDrop(tank) {
+    const overlay = document.getElementById('drop-overlay');
+
+    const isFileDrag = (event) => event.dataTransfer && [...event.dataTransfer.types].includes('Files');
+
+    document.addEventListener('dragover', (event) => {
+        if (!isFileDrag(event) || tank.sideScrollerMode) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        if (overlay) overlay.classList.add('visible');
+    });
+
+    document.addEventListener('dragleave', (event) => {
+        // Only hide when the drag leaves the window, not when it crosses child elements
+        if (overlay && event.relatedTarget === null) {
+            overlay.classList.remove('visible');
+        }
+    });
+
+    document.addEventListener('drop', async (event) => {
+        if (!isFileDrag(event) || tank.sideScrollerMode) return;
+        event.preventDefault();
+        if (overlay) overlay.classList.remove('visible');
+
+        const item = [...event.dataTransfer.items].find(i => i.kind === 'file');
+        if (!item) return;
+
+        const isCurrent = beginFolderLoad(tank);
+        try {
+            const listing = await readDataTransferItem(item);
+            if (!isCurrent()) return;
+            if (listing) {
+                loadLocalFolder(tank, listing);
+            } else {
+                console.warn('Drop a folder (not a single file) to open it in the tank');
+            }
+        } catch (error) {
+            console.error('Error reading dropped folder:', error);
+        }
+    });
+}
+
+/**
+ * Note that a folder is being read - the returned check turns false once
+ * another one is picked or dropped, so the slower read is dropped
+ */
+function beginFolderLoad(tank) {
+    const load = (tank.localFolderLoad || 0) + 1;
+    tank.localFolderLoad = load;
+    return () => tank.localFolderLoad === load;
+}
+
+/**
+ * Read a dropped item - prefers a FileSystemHandle so files can be re-read later
+ */
+async function readDataTransferItem(item) {
+    // Both APIs must be called synchronously inside the drop handler
+    const handlePromise = item.getAsFileSystemHandle ? item.getAsFileSystemHandle() : null;
+    const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+
+    if (handlePromise) {
+        const handle = await handlePromise;
+        if (handle && handle.kind === 'directory') {
+            return readDirectoryHandle(handle);
+        }
+    }
+
+    if (entry && entry.isDirectory) {
+        return readDirectoryEntry(entry);
+    }
+
+    return null;
+}
+
+/**
+ * Build a manifest-shaped listing from a FileSystemDirectoryHandle
+ */
+export async function readDirectoryHandle(dirHandle) {
+    const listing = createListing(dirHandle.name);
+
+    const walk = async (handle, dir) => {
+        for await (const child of handle.values()) {
+            if (listing.files.length >= MAX_LOCAL_FILES) return;
+            if (isSkipped(child.name, child.kind === 'directory')) continue;
+
+            const childPath = `${dir}/${child.name}`;
+
+            if (child.kind === 'directory') {
+                listing.folders.push({ path: childPath, name: child.name, parent: dir, handle: child });
+                await walk(child, childPath);
+            } else {
+                const file = await child.getFile();
+                listing.files.push(createFileRecord(childPath, dir, file, child));
+            }
+        }
+    };
+
+    await walk(dirHandle, dirHandle.name);
+    return finishListing(listing);
+}
+
+/**
+ * Build a listing from a (webkit) FileSystemDirectoryEntry
+ */
+async function readDirectoryEntry(dirEntry) {
+    const listing = createListing(dirEntry.name);
+
+    const readEntries = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    const getFile = (fileEntry) => new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+
+    const walk = async (entry, dir) => {
+        const reader = entry.createReader();
+        let batch;
+
+        // readEntries returns results in batches until it returns an empty array
+        while ((batch = await readEntries(reader)).length > 0) {
+            for (const child of batch) {
+                if (listing.files.length >= MAX_LOCAL_FILES) return;
+                if (isSkipped(child.name, child.isDirectory)) continue;
+
+                const childPath = `${dir}/${child.name}`;
+
+                if (child.isDirectory) {
+                    listing.folders.push({ path: childPath, name: child.name, parent: dir });
+                    await walk(child, childPath);
+                } else {
+                    const file = await getFile(child);
+                    listing.files.push(createFileRecord(childPath, dir, file, null));
+                }
+            }
+        }
+    };
+
+    await walk(dirEntry, dirEntry.name);
+    return finishListing(listing);
+}
+
+/**
+ * Build a listing from the FileList of a webkitdirectory <input>
+ */
+function readFileList(fileList) {
+    const files = [...fileList];
+    const root = files[0].webkitRelativePath.split('/')[0];
+    const listing = createListing(root);
+    const folderPaths = new Set();
+
+    files.forEach(file => {
+        if (listing.files.length >= MAX_LOCAL_FILES) return;
+
+        const parts = file.webkitRelativePath.split('/');
+        if (parts.slice(1).some((part, i) => isSkipped(part, i < parts.length - 2))) return;
+
+        // Register every ancestor folder below the root
+        for (let i = 2; i < parts.length; i++) {
+            const folderPath = parts.slice(0, i).join('/');
+            if (!folderPaths.has(folderPath)) {
+                folderPaths.add(folderPath);
+                listing.folders.push({ path: folderPath, name: parts[i - 1], parent: parts.slice(0, i - 1).join('/') });
+            }
+        }
+
+        listing.files.push(createFileRecord(file.webkitRelativePath, parts.slice(0, -1).join('/'), file, null));
+    });
+
+    return finishListing(listing);
+}
+
+/**
+ * Replace the tank's files and folders with a local folder listing
+ */
+export function loadLocalFolder(tank, listing) {
+    if (listing.files.length >= MAX_LOCAL_FILES) {
+        console.warn(`Only the first ${MAX_LOCAL_FILES} files of "${listing.root}" are shown`);
+    }
+
+    // Spread top-level folders across the landmark areas (not the trash); loose files go to the center
+    const areaKeys = Object.keys(tank.areaPositions).filter(key => key !== 'center' && key !== TRASH_AREA);
+    const folderAreas = new Map();
+
+    tank.fileData = listing.folders
+        .filter(folder => folder.parent === listing.root)
+        .map((folder, i) => {
+            const area = areaKeys.length > 0 ? areaKeys[i % areaKeys.length] : 'center';
+            folderAreas.set(folder.path, area);
+
+            return {
+                name: folder.name,
+                type: 'folder',
+                area,
+                path: folder.path,
+                files: folder.files,
+                bytes: folder.bytes,
+                size: formatFileSize(folder.bytes),
+                handle: folder.handle
+            };
+        });
+
+    tank.files = listing.files.map(file => {
+        const topFolder = file.path.split('/').slice(0, 2).join('/');
+        return {
+            ...file,
+            area: folderAreas.get(topFolder) || 'center',
+            group: null,
+            size: formatFileSize(file.bytes)
+        };
+    });
+    assignFileModels(tank);
+
+    tank.manifest = null;
+    tank.localRoot = listing.root;
+
+    clearFileObjects(tank);
+    createFileFolders(tank);
+    createTxtFiles(tank);
+    createPDFFiles(tank);
+    createAudioFiles(tank);
+    findDuplicates(tank)
+        .catch(error => console.warn('Duplicate scan failed:', error))
+        .then(() => applyClusterLayout(tank));
+
+    console.log(`Opened local folder "${listing.root}": ${tank.fileData.length} folders, ${tank.files.length} files`);
+}
+
+/**
+ * Empty listing in the same shape as content/manifest.json
+ */
+function createListing(root) {
+    return { root, folders: [], files: [] };
+}
+
+/**
+ * Roll file counts and sizes up into every folder (same as the manifest script)
+ */
+function finishListing(listing) {
+    listing.folders.forEach(folder => {
+        const inside = listing.files.filter(file => file.path.startsWith(folder.path + '/'));
+        folder.files = inside.length;
+        folder.bytes = inside.reduce((total, file) => total + file.bytes, 0);
+    });
+    return listing;
+}
+
+/**
+ * Manifest-style record for a File, keeping the File (and handle, if any) for reading
+ */
+function createFileRecord(path, folder, file, handle) {
+    return {
+        path,
+        name: file.name,
+        folder,
+        type: getFileType(file.name),
+        bytes: file.size,
+        modified: new Date(file.lastModified).toISOString(),
+        file,
+        handle
+    };
+}
+
+/**
+ * Hidden entries and dependency folders are left out
+ */
+function isSkipped(name, isDirectory) {
+    return name.startsWith('.') || (isDirectory && SKIPPED_DIRECTORIES.has(name));
+}
@@ -8,10 +8,23 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 // Import modules
 import { createScene, createEnvironment, updateEnvironment } from './scene.js';
 import {
-    loadFrogModel, updateCameraPosition, updateMovement, updateFrogAnimation,
-    updateAdditionalFrogs, makeFrogsSwimToFolder, updateAutopilot, realignCamera
+    loadFrogModel, updateMovement, updateFrogAnimation,
+    updateAdditionalFrogs, makeFrogsSwimToFolder, updateAutopilot
 } from './frog.js';
-import { createFileFolders, createTxtFiles, checkCollisions, updateCombinedObjects } from './objects.js';
+import { createFileFolders, createTxtFiles, createPDFFiles, createAudioFiles, checkCollisions, updateCombinedObjects, updateSwimmingObjects } from './objects.js';
+import { updateGrabbedObject } from './arrange.js';
+import { setupCamera, updateCameraPosition } from './camera.js';
+import { setupGamepad, updateGamepad } from './gamepad.js';
+import { setupTouchControls, updateTouchControls } from './touch.js';
+import { setupMinimap, updateMinimap } from './minimap.js';
+import { setupAudio } from './audio.js';
+import { updateCompareMarks } from './compare.js';
+import { findDuplicates, updateDuplicateTethers } from './duplicates.js';
+import { updateTags } from './tags.js';
+import { setupPrivacy, updatePrivateFiles } from './privacy.js';
+import { updateTargetHud } from './targeting.js';
+import { applyClusterLayout } from './clusterlayout.js';
+import { loadTours, updateTour } from './tour.js';
 import {
     createBubbleMaterial, getBubbleFromPool, returnBubbleToPool,
     createBubbleTrail, createDashBubbles, updateBubbleTrail,
@@ -22,6 +35,7 @@ import {
     setupLightPanel, hideLoadingScreen, showInitialMessage, showErrorMessage
 } from './ui.js';
 import { setupControls, setupEventListeners } from './controls.js';
+import { loadLayout } from './layout.js';
 import { updateSideScroller } from './sidescroller.js';
 
 class SwimmingTank {
@@ -49,8 +63,9 @@ class SwimmingTank {
         // Physics
         this.velocity = new THREE.Vector3();
         this.direction = new THREE.Vector3();
+        this.analogMovement = new THREE.Vector3();  // Gamepad sticks and triggers, -1 to 1
 
-        // Mouse look
+        // Mouse look (orbit and first-person cameras)
         this.mouseX = 0;
         this.mouseY = 0;
         this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
@@ -71,6 +86,7 @@ class SwimmingTank {
         this.dashCooldown = 0;
         this.dashForce = 15.0;
         this.selectedObject = null;
+        this.pinnedObject = null;
         this.selectionBorder = null;
         this.fileInfoPanel = null;
 
@@ -83,23 +99,6 @@ class SwimmingTank {
         this.bubblePool = [];
         this.maxPoolSize = 100;
 
-        // Sample content pools
-        this.samplePools = {
-            text: [
-                { type: 'text', url: 'samples/meeting-notes.txt' },
-                { type: 'text', url: 'samples/project-readme.txt' },
-                { type: 'text', url: 'samples/todo-list.txt' },
-            ],
-            image: [
-                { type: 'image', url: 'samples/chart.svg' },
-                { type: 'image', url: 'samples/landscape.svg' },
-                { type: 'image', url: 'samples/profile.svg' },
-            ],
-            doc: [
-                { type: 'doc', url: 'samples/report.html' },
-            ]
-        };
-
         // Configuration
         this.config = {
             movement: {
@@ -130,102 +129,17 @@ class SwimmingTank {
             }
         };
 
-        // Area positions for semantic grouping
-        this.areaPositions = {
-            rockCircle: { x: 10, z: -8, name: 'Daily Life' },        // Daily essentials
-            sandcastle: { x: 0, z: 15, name: 'Dreams' },             // Aspirations
-            seaweedGrove: { x: -30, z: 15, name: 'Inner World' },    // Private thoughts
-            starfishBeach: { x: 20, z: 30, name: 'Memories' },       // Past & relationships
-            mixedGarden: { x: -20, z: -25, name: 'Work' },           // Work life
-            center: { x: 0, z: 0, name: 'Misc' }                     // Unsorted
-        };
-
-        // File data - folders assigned to semantic areas
-        this.fileData = [
-            { name: 'downloads', size: '2.1 GB', type: 'folder', files: 7, area: 'center' },
-            { name: 'drafts', size: '156 KB', type: 'folder', files: 3, area: 'seaweedGrove' },
-            { name: 'journal', size: '89 KB', type: 'folder', files: 6, area: 'seaweedGrove' },
-            { name: 'music', size: '1.2 GB', type: 'folder', files: 4, area: 'sandcastle' },
-            { name: 'old', size: '45 KB', type: 'folder', files: 5, area: 'starfishBeach' },
-            { name: 'photos', size: '8.4 GB', type: 'folder', files: 6, area: 'starfishBeach' },
-            { name: 'random', size: '23 KB', type: 'folder', files: 3, area: 'sandcastle' },
-            { name: 'recipes', size: '34 KB', type: 'folder', files: 4, area: 'center' },
-            { name: 'work', size: '567 KB', type: 'folder', files: 5, area: 'mixedGarden' }
-        ];
-
-        this.pdfData = [
-            { name: 'Q4_Report_2024.pdf', size: '3.2 MB', type: 'pdf', pages: 67, cluster: 'work' },
-            { name: 'Project_Proposal.pdf', size: '2.8 MB', type: 'pdf', pages: 34, cluster: 'work' },
-            { name: 'Meeting_Minutes.pdf', size: '0.8 MB', type: 'pdf', pages: 5, cluster: 'work' },
-            { name: 'Contract_Template.pdf', size: '1.5 MB', type: 'pdf', pages: 12, cluster: 'work' },
-            { name: 'Client_Presentation.pdf', size: '4.7 MB', type: 'pdf', pages: 28, cluster: 'work' },
-            { name: 'Tax_Return_2024.pdf', size: '2.1 MB', type: 'pdf', pages: 23, cluster: 'personal' },
-            { name: 'Insurance_Policy.pdf', size: '4.7 MB', type: 'pdf', pages: 89, cluster: 'personal' },
-            { name: 'Recipe_Collection.pdf', size: '1.9 MB', type: 'pdf', pages: 45, cluster: 'personal' },
-            { name: 'Travel_Itinerary.pdf', size: '0.6 MB', type: 'pdf', pages: 8, cluster: 'personal' },
-            { name: 'Bank_Statement.pdf', size: '1.2 MB', type: 'pdf', pages: 12, cluster: 'personal' },
-            { name: 'kdfgkjdfgl.jpg', size: '2.4 MB', type: 'pdf', pages: 1, cluster: 'misc' },
-            { name: 'IMG_20241201_143022.jpg', size: '4.1 MB', type: 'pdf', pages: 1, cluster: 'misc' },
-            { name: 'screenshot_2024-11-15.png', size: '1.8 MB', type: 'pdf', pages: 1, cluster: 'misc' },
-            { name: 'untitled_document.pdf', size: '0.3 MB', type: 'pdf', pages: 2, cluster: 'misc' },
-            { name: 'copy_of_copy_final_v2.pdf', size: '1.2 MB', type: 'pdf', pages: 15, cluster: 'misc' },
-            { name: 'asdfghjkl.pdf', size: '0.7 MB', type: 'pdf', pages: 3, cluster: 'misc' },
-            { name: 'New Document (1).pdf', size: '0.5 MB', type: 'pdf', pages: 1, cluster: 'misc' },
-            { name: 'scan_20241201.pdf', size: '3.1 MB', type: 'pdf', pages: 4, cluster: 'misc' }
-        ];
-
-        this.txtData = [
-            // === DAILY LIFE (Rock Circle) ===
-            { name: 'todo.txt', size: '3 KB', type: 'txt', area: 'rockCircle', path: 'content/todo.txt' },
-            { name: 'groceries.txt', size: '1 KB', type: 'txt', area: 'rockCircle', path: 'content/groceries.txt' },
-            { name: 'sleep-schedule.txt', size: '1 KB', type: 'txt', area: 'rockCircle', path: 'content/sleep-schedule.txt' },
-            { name: 'passwords.txt', size: '1 KB', type: 'txt', area: 'rockCircle', path: 'content/passwords.txt' },
-            { name: 'new-apartment.txt', size: '4 KB', type: 'txt', area: 'rockCircle', path: 'content/new-apartment.txt' },
-
-            // === DREAMS & ASPIRATIONS (Sandcastle) ===
-            { name: 'ideas.txt', size: '3 KB', type: 'txt', area: 'sandcastle', path: 'content/ideas.txt' },
-            { name: 'books.txt', size: '2 KB', type: 'txt', area: 'sandcastle', path: 'content/books.txt' },
-            { name: 'movies to watch.txt', size: '2 KB', type: 'txt', area: 'sandcastle', path: 'content/movies to watch.txt' },
-            { name: 'names-for-future-pet.txt', size: '1 KB', type: 'txt', area: 'sandcastle', path: 'content/random/names-for-future-pet.txt' },
-            { name: 'shower-thoughts.txt', size: '2 KB', type: 'txt', area: 'sandcastle', path: 'content/random/shower-thoughts.txt' },
-            { name: 'learning-guitar.txt', size: '2 KB', type: 'txt', area: 'sandcastle', path: 'content/music/learning-guitar.txt' },
-
-            // === INNER WORLD (Seaweed Grove) ===
-            { name: 'the-dream.txt', size: '2 KB', type: 'txt', area: 'seaweedGrove', path: 'content/journal/the-dream.txt' },
-            { name: 'therapy-homework.txt', size: '3 KB', type: 'txt', area: 'seaweedGrove', path: 'content/journal/therapy-homework.txt' },
-            { name: 'jan-15.txt', size: '4 KB', type: 'txt', area: 'seaweedGrove', path: 'content/journal/jan-15.txt' },
-            { name: 'mar-3.txt', size: '3 KB', type: 'txt', area: 'seaweedGrove', path: 'content/journal/mar-3.txt' },
-            { name: 'gratitude-list.txt', size: '2 KB', type: 'txt', area: 'seaweedGrove', path: 'content/journal/gratitude-list.txt' },
-            { name: 'good-things.txt', size: '3 KB', type: 'txt', area: 'seaweedGrove', path: 'content/journal/good-things.txt' },
-            { name: 'reasons.txt', size: '2 KB', type: 'txt', area: 'seaweedGrove', path: 'content/reasons.txt' },
-            { name: 'dating-profile.txt', size: '2 KB', type: 'txt', area: 'seaweedGrove', path: 'content/drafts/dating-profile.txt' },
-            { name: 'do-not-open.txt', size: '1 KB', type: 'txt', area: 'seaweedGrove', path: 'content/music/do-not-open.txt' },
-
-            // === MEMORIES & RELATIONSHIPS (Starfish Beach) ===
-            { name: 'letter-never-sent.txt', size: '3 KB', type: 'txt', area: 'starfishBeach', path: 'content/old/letter-never-sent.txt' },
-            { name: 'anniversary-ideas.txt', size: '2 KB', type: 'txt', area: 'starfishBeach', path: 'content/old/anniversary-ideas.txt' },
-            { name: 'pros-and-cons.txt', size: '2 KB', type: 'txt', area: 'starfishBeach', path: 'content/old/pros-and-cons.txt' },
-            { name: 'voicemail-transcript.txt', size: '1 KB', type: 'txt', area: 'starfishBeach', path: 'content/old/voicemail-transcript.txt' },
-            { name: 'text-to-alex.txt', size: '1 KB', type: 'txt', area: 'starfishBeach', path: 'content/drafts/text-to-alex.txt' },
-            { name: 'text-to-danny.txt', size: '1 KB', type: 'txt', area: 'starfishBeach', path: 'content/drafts/text-to-danny.txt' },
-            { name: 'things to talk about.txt', size: '2 KB', type: 'txt', area: 'starfishBeach', path: 'content/things to talk about.txt' },
-            { name: 'compliments.txt', size: '1 KB', type: 'txt', area: 'starfishBeach', path: 'content/random/compliments.txt' },
-
-            // === WORK LIFE (Mixed Garden) ===
-            { name: 'email-draft.txt', size: '2 KB', type: 'txt', area: 'mixedGarden', path: 'content/work/email-draft.txt' },
-            { name: 'resume-v2-FINAL.txt', size: '4 KB', type: 'txt', area: 'mixedGarden', path: 'content/downloads/resume-v2-FINAL.txt' },
-            { name: 'tax-stuff-2024.txt', size: '3 KB', type: 'txt', area: 'mixedGarden', path: 'content/downloads/tax-stuff-2024.txt' },
-
-            // === MISC / UNSORTED (Center) ===
-            { name: 'untitled.txt', size: '1 KB', type: 'txt', area: 'center', path: 'content/untitled.txt' },
-            { name: 'readme.txt', size: '1 KB', type: 'txt', area: 'center', path: 'content/downloads/readme.txt' },
-            { name: 'apartment-listing.txt', size: '2 KB', type: 'txt', area: 'center', path: 'content/downloads/apartment-listing.txt' },
-            { name: 'cricket-crunch-alexs.txt', size: '2 KB', type: 'txt', area: 'center', path: 'content/recipes/cricket-crunch-alexs.txt' },
-            { name: 'grandmas-fly-casserole.txt', size: '2 KB', type: 'txt', area: 'center', path: 'content/recipes/grandmas-fly-casserole.txt' },
-            { name: 'green-smoothie.txt', size: '1 KB', type: 'txt', area: 'center', path: 'content/recipes/green-smoothie.txt' },
-            { name: 'night-swimming.txt', size: '2 KB', type: 'txt', area: 'center', path: 'content/music/night-swimming.txt' },
-            { name: 'workout.txt', size: '1 KB', type: 'txt', area: 'center', path: 'content/music/workout.txt' },
-        ];
+        // Areas, folders and files - populated from content/file-layout.yaml
+        // and the generated content/manifest.json (npm run manifest)
+        this.layout = null;
+        this.manifest = null;
+        this.layoutPositions = {};
+        this.areaPositions = {};
+        this.fileData = [];
+        this.files = [];
+        this.txtData = [];
+        this.pdfData = [];
+        this.audioData = [];
 
         this.imageData = [
             { name: 'vacation_photo.jpg', size: '4.2 MB', type: 'jpeg', cluster: 'personal' },
@@ -243,6 +157,7 @@ class SwimmingTank {
         // Arrays for different file type objects
         this.txtFiles = [];
         this.imageFiles = [];
+        this.audioFiles = [];
 
         // Side-scroller state
         this.sideScrollerMode = false;
@@ -282,16 +197,39 @@ class SwimmingTank {
 
             loadFrogModel(this);
             console.log('Frog model loading initiated');
-            createFileFolders(this);
-            console.log('File folders created');
-            createTxtFiles(this);
-            console.log('TXT files created');
-            // PDFs and images removed - all content is txt files
+            loadLayout(this)
+                .then(() => {
+                    createFileFolders(this);
+                    console.log('File folders created');
+                    createTxtFiles(this);
+                    console.log('TXT files created');
+                    createPDFFiles(this);
+                    console.log('PDF files created');
+                    createAudioFiles(this);
+                    console.log('Audio files created');
+                    findDuplicates(this)
+                        .catch(error => console.warn('Duplicate scan failed:', error))
+                        .then(() => applyClusterLayout(this));
+                    loadTours(this);
+                })
+                .catch((error) => {
+                    console.error('Error loading file layout:', error);
+                    clearTimeout(this.initTimeout);
+                    this.loadError = error;
+                    this.showErrorMessage(error);
+                });
+            // Images removed - every other file is a txt object
             setupControls(this);
             console.log('Controls setup');
             setupEventListeners(this);
             console.log('Event listeners setup');
+            setupCamera(this);
+            setupGamepad(this);
+            setupTouchControls(this);
             setupLightPanel(this);
+            setupMinimap(this);
+            setupAudio(this);
+            setupPrivacy(this);
             console.log('Panels setup');
             this.startAnimation();
             console.log('Animation started');
@@ -302,7 +240,11 @@ class SwimmingTank {
     }
 
     // Delegate methods to modules
-    hideLoadingScreen() { hideLoadingScreen(); }
+    hideLoadingScreen() {
+        // Keep the error visible if the layout failed to load
+        if (this.loadError) return;
+        hideLoadingScreen();
+    }
     showInitialMessage() { showInitialMessage(); }
     showErrorMessage(error) { showErrorMessage(error); }
 
@@ -322,6 +264,10 @@ class SwimmingTank {
 
         const delta = this.clock.getDelta();
 
+        updateGamepad(this, delta);
+        updateTouchControls(this);
+        updateTour(this);
+
         if (this.sideScrollerMode) {
             // Side-scroller mode updates
             updateSideScroller(this, delta);
@@ -330,15 +276,23 @@ class SwimmingTank {
             // Swimming tank mode updates
             updateMovement(this, delta);
             updateAutopilot(this, delta);
+            updateSwimmingObjects(this, delta);
+            updateGrabbedObject(this, delta);
             updateFrogAnimation(this, delta);
             updateAdditionalFrogs(this, delta);
             updateCameraPosition(this);
             updateBubbleTrail(this, delta);
             updateObjectSelection(this);
+            updateTargetHud(this);
             updateEnvironment(this);
             updateObjectBubbleStreams(this);
+            updateCompareMarks(this);
+            updateDuplicateTethers(this);
+            updateTags(this);
+            updatePrivateFiles(this);
             checkCollisions(this);
             checkObjectVisibility(this);
+            updateMinimap(this);
 
             this.renderer.render(this.scene, this.camera);
         }
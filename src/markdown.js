@@ -0,0 +1,161 @@
+/**
+ * Markdown - a small renderer for the markdown files in the tank.
+ * Everything is escaped first, so a file can never inject its own HTML.
+ */
+import { escapeHtml } from './utils.js';
+
+/**
+ * Markdown text to HTML - headings, paragraphs, lists, quotes, code, rules,
+ * emphasis, links and images
+ */
+export function renderMarkdown(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // Fenced code block
+        const fence = line.match(/^\s*(```|~~~)\s*([\w-]*)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            const language = fence[2] ? ` class="language-${fence[2]}"` : '';
+            html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                i++;
+            }
+            html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        const listMatch = line.match(/^\s*([-*+]|\d+[.)])\s+/);
+        if (listMatch) {
+            const ordered = /\d/.test(listMatch[1]);
+            const items = [];
+            while (i < lines.length) {
+                const item = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+                if (item && /\d/.test(item[1]) === ordered) {
+                    items.push(item[2]);
+                } else if (lines[i].trim() && /^\s{2,}/.test(lines[i]) && items.length) {
+                    // Indented continuation of the previous item
+                    items[items.length - 1] += ' ' + lines[i].trim();
+                } else {
+                    break;
+                }
+                i++;
+            }
+            const tag = ordered ? 'ol' : 'ul';
+            html.push(`<${tag}>${items.map(item => `<li>${renderListItem(item)}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+
+        // Paragraph - runs until a blank line or the start of another block
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        html.push(`<p>${renderInline(paragraph.join('\n')).replace(/\n/g, ' ')}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+/**
+ * Whether a line starts a block other than a paragraph
+ */
+function startsBlock(line) {
+    return /^(#{1,6}\s|\s*(```|~~~)|\s*>|\s*([-*+]|\d+[.)])\s+)/.test(line) ||
+        /^\s*([-*_])(\s*\1){2,}\s*$/.test(line);
+}
+
+/**
+ * List item text, with [ ] / [x] task boxes
+ */
+function renderListItem(text) {
+    const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+    if (task) {
+        const checked = task[1] !== ' ' ? ' checked' : '';
+        return `<input type="checkbox" disabled${checked}> ${renderInline(task[2])}`;
+    }
+    return renderInline(text);
+}
+
+/**
+ * Inline markup - code spans, images, links, bold and italics
+ */
+function renderInline(text) {
+    // Pull code spans out first so nothing inside them is formatted
+    const codeSpans = [];
+    let result = text.replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${escapeHtml(code)}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    result = escapeHtml(result);
+
+    // Destinations with spaces can be written as <movies to watch.txt>
+    const destination = '(?:&lt;(.+?)&gt;|([^)\\s]+))(?:\\s+&quot;[^&]*&quot;)?';
+
+    result = result.replace(new RegExp(`!\\[([^\\]]*)\\]\\(${destination}\\)`, 'g'), (match, alt, spaced, plain) => {
+        const url = spaced || plain;
+        return isSafeUrl(url) ? `<img src="${url}" alt="${alt}">` : match;
+    });
+
+    result = result.replace(new RegExp(`\\[([^\\]]+)\\]\\(${destination}\\)`, 'g'), (match, label, spaced, plain) => {
+        const url = spaced || plain;
+        if (!isSafeUrl(url)) return label;
+        const external = /^[a-z][a-z0-9+.-]*:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${url}"${external}>${label}</a>`;
+    });
+
+    // Underscores only count at word edges, so snake_case names stay intact
+    result = result
+        .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(?<!\w)__(?=\S)(.+?)(?<=\S)__(?!\w)/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+        .replace(/(?<!\w)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '<em>$1</em>')
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>');
+
+    return result.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+/**
+ * Links may be relative or web/mail addresses - never javascript: and friends
+ */
+function isSafeUrl(url) {
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase());
+}
@@ -0,0 +1,203 @@
+/**
+ * Minimap - a top-down sonar view of the tank in the corner of the screen.
+ * Shows the areas, every file and folder, and the frog; click to swim there.
+ */
+import { swimToPoint } from './frog.js';
+
+const MAP_PADDING = 10;     // Pixels between the tank bounds and the canvas edge
+const AREA_RADIUS = 7;      // World units covered by an area's circle
+const REDRAW_INTERVAL = 100;
+const SWEEP_PERIOD = 4000;  // One turn of the sonar sweep, in ms
+
+// Dot colours per object type - folders stand out, everything else by kind
+const TYPE_COLORS = {
+    folder: '#ffd54a',
+    txt: '#e0f7ff',
+    markdown: '#7fdbff',
+    pdf: '#ff6b6b',
+    jpeg: '#ff9ff3',
+    png: '#ff9ff3',
+    svg: '#c39bff',
+    html: '#ffa94d',
+    json: '#9be564',
+    csv: '#63e6be',
+    audio: '#74c0fc'
+};
+const DEFAULT_COLOR = '#aaaaaa';
+
+/**
+ * Hook up the minimap canvas - clicking a spot sends the frog there
+ */
+export function setupMinimap(tank) {
+    const canvas = document.getElementById('minimap');
+    if (!canvas) return;
+
+    tank.minimap = { canvas, lastDraw: 0, destination: null };
+
+    canvas.addEventListener('click', (event) => {
+        if (!tank.frog) return;
+
+        const rect = canvas.getBoundingClientRect();
+        const point = toWorld(tank, event.clientX - rect.left, event.clientY - rect.top, rect.width);
+
+        tank.minimap.destination = point;
+        swimToPoint(tank, point, () => {
+            tank.minimap.destination = null;
+        });
+        console.log(`Swimming to (${point.x.toFixed(1)}, ${point.z.toFixed(1)})`);
+    });
+}
+
+/**
+ * Show or hide the minimap (M)
+ */
+export function toggleMinimap(tank) {
+    if (!tank.minimap) return;
+    tank.minimap.canvas.classList.toggle('hidden');
+}
+
+/**
+ * Redraw the minimap a few times a second
+ */
+export function updateMinimap(tank) {
+    const minimap = tank.minimap;
+    if (!minimap || minimap.canvas.classList.contains('hidden')) return;
+
+    const now = performance.now();
+    if (now - minimap.lastDraw < REDRAW_INTERVAL) return;
+    minimap.lastDraw = now;
+
+    // The destination is gone once the guided swim ends or is cancelled
+    if (minimap.destination && !tank.autopilot?.guide) {
+        minimap.destination = null;
+    }
+
+    drawMinimap(tank, now);
+}
+
+/**
+ * Draw the tank bounds, areas, objects and frog
+ */
+function drawMinimap(tank, now) {
+    const canvas = tank.minimap.canvas;
+    const size = canvas.clientWidth;
+    const ratio = window.devicePixelRatio || 1;
+
+    // Keep the backing store sharp on high-DPI screens
+    if (canvas.width !== Math.round(size * ratio)) {
+        canvas.width = Math.round(size * ratio);
+        canvas.height = Math.round(size * ratio);
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, size, size);
+
+    const center = size / 2;
+    const scale = (size - MAP_PADDING * 2) / (tank.config.tank.width * 2);
+    const toMap = (x, z) => [center + x * scale, center + z * scale];
+
+    // Sonar rings and sweep
+    ctx.strokeStyle = 'rgba(0, 255, 255, 0.12)';
+    ctx.lineWidth = 1;
+    for (let ring = 1; ring <= 3; ring++) {
+        ctx.beginPath();
+        ctx.arc(center, center, (center - MAP_PADDING) * ring / 3, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    const sweep = (now % SWEEP_PERIOD) / SWEEP_PERIOD * Math.PI * 2;
+    const gradient = ctx.createConicGradient(sweep - Math.PI / 3, center, center);
+    gradient.addColorStop(0, 'rgba(0, 255, 255, 0)');
+    gradient.addColorStop(1 / 6, 'rgba(0, 255, 255, 0.18)');
+    gradient.addColorStop(1 / 6 + 0.001, 'rgba(0, 255, 255, 0)');
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(center, center, center - MAP_PADDING, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Tank bounds
+    const [left, top] = toMap(-tank.config.tank.width, -tank.config.tank.width);
+    const span = tank.config.tank.width * 2 * scale;
+    ctx.strokeStyle = 'rgba(0, 255, 255, 0.5)';
+    ctx.strokeRect(left, top, span, span);
+
+    // Areas
+    ctx.font = '9px "Geist Mono", monospace';
+    ctx.textAlign = 'center';
+    Object.values(tank.areaPositions || {}).forEach(area => {
+        const [x, y] = toMap(area.x, area.z);
+        ctx.fillStyle = 'rgba(0, 255, 255, 0.06)';
+        ctx.strokeStyle = 'rgba(0, 255, 255, 0.25)';
+        ctx.beginPath();
+        ctx.arc(x, y, AREA_RADIUS * scale, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(180, 255, 255, 0.8)';
+        ctx.fillText(area.name || '', x, y - AREA_RADIUS * scale - 3);
+    });
+
+    // Files and folders
+    tank.allObjects.forEach(object => {
+        if (!object.visible) return;
+
+        const [x, y] = toMap(object.position.x, object.position.z);
+        const isFolder = object.userData.type === 'folder';
+        const selected = object === tank.selectedObject;
+
+        ctx.fillStyle = TYPE_COLORS[object.userData.type] || DEFAULT_COLOR;
+        ctx.beginPath();
+        ctx.arc(x, y, selected ? 4 : isFolder ? 3 : 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (selected) {
+            ctx.strokeStyle = '#00ff00';
+            ctx.stroke();
+        }
+    });
+
+    // Where the frog was sent
+    const destination = tank.minimap.destination;
+    if (destination) {
+        const [x, y] = toMap(destination.x, destination.z);
+        ctx.strokeStyle = '#00ff00';
+        ctx.beginPath();
+        ctx.moveTo(x - 4, y - 4);
+        ctx.lineTo(x + 4, y + 4);
+        ctx.moveTo(x + 4, y - 4);
+        ctx.lineTo(x - 4, y + 4);
+        ctx.stroke();
+    }
+
+    // Frog, as an arrow pointing where it's heading
+    if (tank.frog) {
+        const [x, y] = toMap(tank.frog.position.x, tank.frog.position.z);
+        const heading = tank.frog.rotation.y;
+
+        ctx.save();
+        ctx.translate(x, y);
+        // Forward is +z rotated by heading; on the map +z points down
+        ctx.rotate(-heading);
+        ctx.fillStyle = '#00ff00';
+        ctx.beginPath();
+        ctx.moveTo(0, 7);
+        ctx.lineTo(-4.5, -4);
+        ctx.lineTo(0, -1.5);
+        ctx.lineTo(4.5, -4);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+/**
+ * Canvas pixel to a world position on the tank floor plan
+ */
+function toWorld(tank, px, py, size) {
+    const scale = (size - MAP_PADDING * 2) / (tank.config.tank.width * 2);
+    return {
+        x: (px - size / 2) / scale,
+        z: (py - size / 2) / scale
+    };
+}
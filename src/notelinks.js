@@ -0,0 +1,126 @@
+/**
+ * Note links - relative links in markdown previews point at other files in the tank.
+ * Click one to open its preview, Shift+click to swim the frog over to it.
+ */
+import { swimToObject } from './frog.js';
+import { openPreview, selectObject } from './ui.js';
+import { readFileBlob } from './fileapi.js';
+
+/**
+ * Wire up the links and images of a rendered markdown file.
+ * Returns a cleanup function that frees the image URLs.
+ */
+export function linkNotes(tank, container, fileData) {
+    const objectUrls = [];
+    if (!tank || !fileData.path) return null;
+
+    container.querySelectorAll('a[href]').forEach(link => {
+        const href = link.getAttribute('href');
+        if (href.startsWith('#')) {
+            // There are no heading anchors - don't let it scroll the page
+            link.addEventListener('click', (event) => event.preventDefault());
+            return;
+        }
+        if (isExternal(href)) return;
+
+        const path = resolveNotePath(fileData.path, href);
+        const object = findObject(tank, path);
+
+        if (!object) {
+            link.classList.add('broken-link');
+            link.title = `${path} is not in the tank`;
+            link.addEventListener('click', (event) => event.preventDefault());
+            return;
+        }
+
+        link.classList.add('note-link');
+        link.title = `Open ${object.userData.name} - Shift+click to swim there`;
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            followLink(tank, object, event.shiftKey);
+        });
+    });
+
+    // Images next to the note are read like any other file, so local folders work too
+    container.querySelectorAll('img[src]').forEach(img => {
+        const src = img.getAttribute('src');
+        if (isExternal(src)) return;
+
+        const path = resolveNotePath(fileData.path, src);
+        const file = tank.files.find(entry => entry.path === path);
+        img.removeAttribute('src');
+
+        if (!file) {
+            img.alt = `${img.alt} (${path} not found)`;
+            return;
+        }
+
+        readFileBlob(file)
+            .then(blob => {
+                const url = URL.createObjectURL(blob);
+                objectUrls.push(url);
+                img.src = url;
+            })
+            .catch(error => console.warn(`Could not load ${path}:`, error.message));
+    });
+
+    return () => objectUrls.forEach(url => URL.revokeObjectURL(url));
+}
+
+/**
+ * Open the linked file, or swim to it and open it on arrival
+ */
+function followLink(tank, object, swim) {
+    if (swim && !tank.sideScrollerMode) {
+        console.log(`Following link - swimming to ${object.userData.name}`);
+        swimToObject(tank, object, () => {
+            selectObject(tank, object);
+            openPreview(tank, object);
+        });
+        return;
+    }
+
+    openPreview(tank, object);
+}
+
+/**
+ * The tank object for a file or folder path
+ */
+function findObject(tank, path) {
+    return tank.allObjects.find(object => object.userData.path === path) || null;
+}
+
+/**
+ * Whether a URL points outside the tank (has a scheme, or is protocol-relative)
+ */
+function isExternal(url) {
+    return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+/**
+ * Resolve a link relative to the note it's in, e.g.
+ * ("content/journal/mar-3.md", "../todo.txt") -> "content/todo.txt"
+ */
+function resolveNotePath(notePath, href) {
+    let target = href.split(/[?#]/)[0];
+    try {
+        target = decodeURIComponent(target);
+    } catch (error) {
+        // Keep malformed escapes as they are
+    }
+
+    // A leading slash means the served root, where content/ lives
+    const parts = target.startsWith('/') ?
+        [] :
+        notePath.split('/').slice(0, -1);
+
+    target.split('/').forEach(part => {
+        if (part === '..') {
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    });
+
+    return parts.join('/');
+}
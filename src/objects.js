@@ -2,13 +2,22 @@
  * File folders and PDF objects - creation, collision, selection
  */
 import * as THREE from 'three';
-import { generateRandomFileName, generateRandomPDFName, generateRandomFileSize, parseSizeToGB, parseSizeToMB } from './utils.js';
+import { generateRandomFileName, generateRandomFileSize, parseSizeToGB, hashString, createSeededRandom } from './utils.js';
+import { getSavedPosition } from './positions.js';
+
+// How far files and folders spread around their area's center
+const FOLDER_SPREAD = 5;
+const FILE_SPREAD = 6;
 
 /**
  * Create floating file folders using Folder.glb - one for each folder in fileData
  */
 export function createFileFolders(tank) {
+    const generation = tank.objectGeneration;
     tank.loader.load('./models/Folder.glb', (gltf) => {
+        // The objects were cleared for another folder while the model loaded
+        if (tank.objectGeneration !== generation) return;
+
         const folderModel = gltf.scene;
 
         // Normalize model size based on bounding box
@@ -19,34 +28,22 @@ export function createFileFolders(tank) {
         const targetSize = 1.0;
         const normalizeScale = targetSize / maxDimension;
 
-        const floorY = tank.config.tank.floorY;
-        const ceilingY = tank.config.tank.ceilingY;
-
         // Create one folder for each entry in fileData
         tank.fileData.forEach((fileData, i) => {
             const folderInstance = folderModel.clone();
 
-            // Position based on semantic area
-            const areaKey = fileData.area || 'center';
-            const area = tank.areaPositions[areaKey] || tank.areaPositions.center;
-            const spreadRadius = 5;  // Tighter clusters
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * spreadRadius;
-
-            const x = area.x + Math.cos(angle) * distance;
-            // Spawn at 0-60% of tank height (not at top)
-            const heightRange = (ceilingY - floorY) * 0.6;
-            const y = floorY + 2 + Math.random() * heightRange;
-            const z = area.z + Math.sin(angle) * distance;
+            // Seeded by path, so every folder comes back to the same spot in its area
+            const random = createPathRandom(fileData);
+            const position = getAreaPosition(tank, fileData.area, FOLDER_SPREAD, random);
 
             const baseScale = 3.0;
             const finalScale = normalizeScale * baseScale;
 
             folderInstance.scale.setScalar(finalScale);
-            folderInstance.position.set(x, y, z);
-            folderInstance.rotation.x = (Math.random() - 0.5) * 0.3;
-            folderInstance.rotation.y = Math.random() * Math.PI * 2;
-            folderInstance.rotation.z = (Math.random() - 0.5) * 0.2;
+            folderInstance.position.copy(getSavedPosition(tank, fileData.path) || position);
+            folderInstance.rotation.x = (random() - 0.5) * 0.3;
+            folderInstance.rotation.y = random() * Math.PI * 2;
+            folderInstance.rotation.z = (random() - 0.5) * 0.2;
 
             folderInstance.userData = { ...fileData };
 
@@ -61,6 +58,7 @@ export function createFileFolders(tank) {
             collisionSphere.position.copy(folderInstance.position);
             collisionSphere.scale.copy(folderInstance.scale);
             collisionSphere.visible = false;  // Hidden by default
+            collisionSphere.userData.owner = folderInstance;
 
             tank.scene.add(folderInstance);
             tank.scene.add(collisionSphere);
@@ -123,10 +121,16 @@ function createFileFoldersOriginal(tank) {
 }
 
 /**
- * Create PDF files using pdf.gltf
+ * Create PDF files using pdf3.glb - one for each file in pdfData
  */
 export function createPDFFiles(tank) {
+    if (tank.pdfData.length === 0) return;
+
+    const generation = tank.objectGeneration;
     tank.loader.load('./models/pdf3.glb', (gltf) => {
+        // Superseded, as in createFileFolders
+        if (tank.objectGeneration !== generation) return;
+
         const pdfModel = gltf.scene;
 
         // Model is upright by default, no base rotation needed
@@ -142,50 +146,27 @@ export function createPDFFiles(tank) {
 
         console.log(`PDF model original size: ${maxDimension.toFixed(2)}, normalize scale: ${normalizeScale.toFixed(4)}`);
 
-        // PDFs - front area, above floor
-        const clusters = {
-            work: { x: -10, y: 3, z: -10, radius: 6 },
-            personal: { x: 10, y: 5, z: -12, radius: 6 },
-            system: { x: 0, y: 2, z: -8, radius: 5 },
-            misc: { x: 5, y: 4, z: -15, radius: 6 }
-        };
-
-        const pdfCount = Math.floor(tank.config.world.objectCount * 0.4);
-
-        for (let i = 0; i < pdfCount; i++) {
-            const randomPdfData = tank.pdfData[Math.floor(Math.random() * tank.pdfData.length)];
-            const cluster = randomPdfData.cluster || 'misc';
-            const clusterCenter = clusters[cluster] || { x: 0, y: 8, z: 0, radius: 10 };
-
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * clusterCenter.radius;
-            const x = clusterCenter.x + Math.cos(angle) * distance;
-            const y = clusterCenter.y + (Math.random() - 0.5) * 4;
-            const z = clusterCenter.z + Math.sin(angle) * distance;
-
+        tank.pdfData.forEach((fileData) => {
             const pdfInstance = pdfModel.clone();
-            const pdfData = {
-                ...randomPdfData,
-                originalName: randomPdfData.name,
-                name: generateRandomPDFName(randomPdfData.name),
-                size: generateRandomFileSize(randomPdfData.size),
-                pages: Math.floor(randomPdfData.pages * (0.7 + Math.random() * 0.6))
-            };
+
+            // Seeded by path, so every PDF comes back to the same spot in its area
+            const random = createPathRandom(fileData);
+            const position = getAreaPosition(tank, fileData.area, FILE_SPREAD, random);
 
             // Apply normalize scale first, then file size multiplier
-            const sizeInMB = parseSizeToMB(pdfData.size);
+            const sizeInMB = (fileData.bytes || 0) / (1024 * 1024);
             const baseScale = 2.0; // Base visual size after normalization
-            const sizeMultiplier = Math.max(0.5, Math.min(2.0, sizeInMB / 5));
+            const sizeMultiplier = Math.max(0.75, Math.min(1.5, 0.75 + sizeInMB / 4));
             const finalScale = normalizeScale * baseScale * sizeMultiplier;
 
             pdfInstance.scale.setScalar(finalScale);
-            pdfInstance.position.set(x, y, z);
+            pdfInstance.position.copy(getStartPosition(tank, fileData, position));
             // Random wobble only (model is upright by default)
-            pdfInstance.rotation.x = (Math.random() - 0.5) * 0.3;
-            pdfInstance.rotation.y = Math.random() * Math.PI * 2;
-            pdfInstance.rotation.z = (Math.random() - 0.5) * 0.2;
+            pdfInstance.rotation.x = (random() - 0.5) * 0.3;
+            pdfInstance.rotation.y = random() * Math.PI * 2;
+            pdfInstance.rotation.z = (random() - 0.5) * 0.2;
 
-            pdfInstance.userData = pdfData;
+            pdfInstance.userData = { ...fileData };
 
             const collisionGeometry = new THREE.SphereGeometry(tank.config.world.collisionDistance, 16, 8);
             const collisionMaterial = new THREE.MeshBasicMaterial({
@@ -198,25 +179,21 @@ export function createPDFFiles(tank) {
             collisionSphere.position.copy(pdfInstance.position);
             collisionSphere.scale.copy(pdfInstance.scale);
             collisionSphere.visible = false;  // Hidden by default
+            collisionSphere.userData.owner = pdfInstance;
 
             tank.scene.add(pdfInstance);
             tank.scene.add(collisionSphere);
             tank.pdfs.push(pdfInstance);
             tank.collisionSpheres.push(collisionSphere);
-        }
+        });
 
-        console.log(`Created ${pdfCount} PDF instances`);
+        console.log(`Created ${tank.pdfData.length} PDF instances`);
         updateCombinedObjects(tank);
 
-        // Create bubble streams after all objects loaded
-        if (tank.createObjectBubbleStreams) {
-            tank.createObjectBubbleStreams();
-        }
-
     }, (progress) => {
-        console.log('Loading PDF.gltf progress:', (progress.loaded / progress.total * 100) + '%');
+        console.log('Loading pdf3.glb progress:', (progress.loaded / progress.total * 100) + '%');
     }, (error) => {
-        console.error('Error loading PDF.gltf:', error);
+        console.error('Error loading pdf3.glb:', error);
         createPDFFilesOriginal(tank);
     });
 }
@@ -225,45 +202,37 @@ export function createPDFFiles(tank) {
  * Fallback PDF creation
  */
 function createPDFFilesOriginal(tank) {
-    const clusters = {
-        work: { x: -10, y: 5, z: -8, radius: 5 },
-        personal: { x: 10, y: 5, z: -8, radius: 5 },
-        system: { x: 0, y: 5, z: 10, radius: 5 },
-        misc: { x: -5, y: 5, z: 5, radius: 6 }
-    };
+    tank.pdfData.forEach((fileData) => {
+        const random = createPathRandom(fileData);
+        const position = getStartPosition(tank, fileData, getAreaPosition(tank, fileData.area, FILE_SPREAD, random));
 
-    const pdfCount = Math.floor(tank.config.world.objectCount * 0.4);
+        const object = createCutePDF(tank, position.x, position.y, position.z, fileData.name);
+        object.userData = { ...fileData };
 
-    for (let i = 0; i < pdfCount; i++) {
-        const randomPdfData = tank.pdfData[Math.floor(Math.random() * tank.pdfData.length)];
-        const cluster = randomPdfData.cluster || 'misc';
-        const clusterCenter = clusters[cluster] || { x: 0, y: 8, z: 0, radius: 10 };
-
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * clusterCenter.radius;
-        const x = clusterCenter.x + Math.cos(angle) * distance;
-        const y = clusterCenter.y + (Math.random() - 0.5) * 4;
-        const z = clusterCenter.z + Math.sin(angle) * distance;
+        tank.pdfs.push(object);
+    });
 
-        const label = generateRandomPDFName(randomPdfData.name);
-        const object = createCutePDF(tank, x, y, z, label);
+    updateCombinedObjects(tank);
+}
 
-        object.userData = {
-            ...randomPdfData,
-            originalName: randomPdfData.name,
-            name: label,
-            size: generateRandomFileSize(randomPdfData.size),
-            pages: Math.floor(randomPdfData.pages * (0.7 + Math.random() * 0.6))
-        };
+/**
+ * Create a music note for each file in audioData - there is no glb for audio, so it's built here
+ */
+export function createAudioFiles(tank) {
+    tank.audioData.forEach((fileData) => {
+        // Seeded by path, so every track comes back to the same spot in its area
+        const random = createPathRandom(fileData);
+        const position = getStartPosition(tank, fileData, getAreaPosition(tank, fileData.area, FILE_SPREAD, random));
 
-        tank.pdfs.push(object);
-    }
+        const note = createCuteNote(tank, position.x, position.y, position.z);
+        note.rotation.y = random() * Math.PI * 2;
+        note.userData = { ...fileData };
 
-    tank.allObjects = [...tank.folders, ...tank.pdfs];
+        tank.audioFiles.push(note);
+    });
 
-    if (tank.createObjectBubbleStreams) {
-        tank.createObjectBubbleStreams();
-    }
+    console.log(`Created ${tank.audioData.length} audio instances`);
+    updateCombinedObjects(tank);
 }
 
 /**
@@ -274,15 +243,57 @@ export function updateCombinedObjects(tank) {
         ...tank.folders,
         ...tank.pdfs,
         ...(tank.txtFiles || []),
-        ...(tank.imageFiles || [])
+        ...(tank.imageFiles || []),
+        ...(tank.audioFiles || [])
     ];
 }
 
+/**
+ * Remove every file and folder object from the scene, e.g. before loading another folder
+ */
+export function clearFileObjects(tank) {
+    [...tank.folders, ...tank.pdfs, ...tank.txtFiles, ...tank.imageFiles, ...tank.audioFiles].forEach(object => {
+        tank.scene.remove(object);
+    });
+
+    tank.collisionSpheres.forEach(sphere => {
+        tank.scene.remove(sphere);
+        sphere.geometry.dispose();
+        sphere.material.dispose();
+    });
+
+    if (tank.objectBubbleStreams) {
+        tank.objectBubbleStreams.forEach(stream => tank.scene.remove(stream));
+        tank.objectBubbleStreams = [];
+    }
+
+    tank.folders = [];
+    tank.pdfs = [];
+    tank.txtFiles = [];
+    tank.imageFiles = [];
+    tank.audioFiles = [];
+    tank.collisionSpheres = [];
+    tank.swimmingObjects = [];
+    // Models still loading for the old objects check this and drop their results
+    tank.objectGeneration = (tank.objectGeneration || 0) + 1;
+
+    if (tank.autopilot) {
+        tank.autopilot.targetObject = null;
+    }
+
+    // updateObjectSelection clears the stale selection on the next frame
+    updateCombinedObjects(tank);
+}
+
 /**
  * Create text files using txt.glb - one for each file in txtData
  */
 export function createTxtFiles(tank) {
+    const generation = tank.objectGeneration;
     tank.loader.load('./models/txt.glb', (gltf) => {
+        // Superseded, as in createFileFolders
+        if (tank.objectGeneration !== generation) return;
+
         const txtModel = gltf.scene;
 
         // Normalize model size
@@ -292,46 +303,149 @@ export function createTxtFiles(tank) {
         const maxDimension = Math.max(modelSize.x, modelSize.y, modelSize.z);
         const normalizeScale = 1.0 / maxDimension;
 
-        const floorY = tank.config.tank.floorY;
-        const ceilingY = tank.config.tank.ceilingY;
+        // Kept so files created later can reuse the model
+        tank.txtModel = { model: txtModel, normalizeScale };
 
         // Create one instance for each actual file in txtData
-        tank.txtData.forEach((fileData, i) => {
-            const instance = txtModel.clone();
+        tank.txtData.forEach((fileData) => {
+            createTxtInstance(tank, fileData);
+        });
 
-            // Position based on semantic area
-            const areaKey = fileData.area || 'center';
-            const area = tank.areaPositions[areaKey] || tank.areaPositions.center;
-            const spreadRadius = 6;  // Tighter clusters
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * spreadRadius;
+        console.log(`Created ${tank.txtData.length} TXT instances`);
+        updateCombinedObjects(tank);
 
-            const x = area.x + Math.cos(angle) * distance;
-            // Spawn at 0-60% of tank height (not at top)
-            const heightRange = (ceilingY - floorY) * 0.6;
-            const y = floorY + 2 + Math.random() * heightRange;
-            const z = area.z + Math.sin(angle) * distance;
+    }, undefined, (error) => {
+        console.error('Error loading txt.glb:', error);
+    });
+}
 
-            const baseScale = 2.0;
-            const finalScale = normalizeScale * baseScale;
+/**
+ * Add a txt object for one file (e.g. a newly created one) - null until txt.glb has loaded
+ */
+export function addTxtFile(tank, fileData) {
+    if (!tank.txtModel) return null;
 
-            instance.scale.setScalar(finalScale);
-            instance.position.set(x, y, z);
-            instance.rotation.x = (Math.random() - 0.5) * 0.3;
-            instance.rotation.y = Math.random() * Math.PI * 2;
-            instance.rotation.z = (Math.random() - 0.5) * 0.2;
+    const instance = createTxtInstance(tank, fileData);
+    updateCombinedObjects(tank);
+    return instance;
+}
 
-            instance.userData = { ...fileData };
+/**
+ * Place a clone of the txt model in the file's area
+ */
+function createTxtInstance(tank, fileData) {
+    const { model, normalizeScale } = tank.txtModel;
+    const instance = model.clone();
 
-            tank.scene.add(instance);
-            tank.txtFiles.push(instance);
-        });
+    // Seeded by path, so every file comes back to the same spot in its area
+    const random = createPathRandom(fileData);
+    const position = getAreaPosition(tank, fileData.area, FILE_SPREAD, random);
 
-        console.log(`Created ${tank.txtData.length} TXT instances`);
-        updateCombinedObjects(tank);
+    const baseScale = 2.0;
+    const finalScale = normalizeScale * baseScale;
 
-    }, undefined, (error) => {
-        console.error('Error loading txt.glb:', error);
+    instance.scale.setScalar(finalScale);
+    instance.position.copy(getStartPosition(tank, fileData, position));
+    instance.rotation.x = (random() - 0.5) * 0.3;
+    instance.rotation.y = random() * Math.PI * 2;
+    instance.rotation.z = (random() - 0.5) * 0.2;
+
+    instance.userData = { ...fileData };
+
+    tank.scene.add(instance);
+    tank.txtFiles.push(instance);
+    return instance;
+}
+
+/**
+ * Random spot in an area - within spreadRadius of its center, at 0-60% of tank height
+ */
+function getAreaPosition(tank, areaKey, spreadRadius, random = Math.random) {
+    const area = tank.areaPositions[areaKey || 'center'] || tank.areaPositions.center;
+    const floorY = tank.config.tank.floorY;
+    const ceilingY = tank.config.tank.ceilingY;
+
+    const angle = random() * Math.PI * 2;
+    const distance = random() * spreadRadius;
+    const heightRange = (ceilingY - floorY) * 0.6;
+
+    return new THREE.Vector3(
+        area.x + Math.cos(angle) * distance,
+        floorY + 2 + random() * heightRange,
+        area.z + Math.sin(angle) * distance
+    );
+}
+
+/**
+ * Where a file or folder sits in its area when the user hasn't placed it
+ */
+export function getHomePosition(tank, fileData) {
+    const spread = fileData.type === 'folder' ? FOLDER_SPREAD : FILE_SPREAD;
+    return getAreaPosition(tank, fileData.area, spread, createPathRandom(fileData));
+}
+
+/**
+ * Where a file object starts out: its spot in the cluster layout while that's on,
+ * otherwise where the user put it, otherwise the given home spot
+ */
+function getStartPosition(tank, fileData, home) {
+    return tank.clusterLayout?.positions.get(fileData.path)?.clone() ||
+        getSavedPosition(tank, fileData.path) ||
+        home;
+}
+
+/**
+ * Random sequence seeded by a file's path
+ */
+function createPathRandom(fileData) {
+    return createSeededRandom(hashString(fileData.path || fileData.name));
+}
+
+/**
+ * Send an object swimming to a new position (e.g. after it was moved to another area)
+ */
+export function swimObjectTo(tank, object, target) {
+    if (!tank.swimmingObjects) {
+        tank.swimmingObjects = [];
+    }
+    tank.swimmingObjects = tank.swimmingObjects.filter(swim => swim.object !== object);
+
+    const start = object.position.clone();
+    const distance = start.distanceTo(target);
+
+    tank.swimmingObjects.push({
+        object,
+        start,
+        target: target.clone(),
+        elapsed: 0,
+        duration: Math.max(1.5, distance / 8),  // ~8 units per second
+        startRotationY: object.rotation.y
+    });
+}
+
+/**
+ * Move swimming objects along their path - eased, with a gentle wave and wiggle
+ */
+export function updateSwimmingObjects(tank, delta) {
+    if (!tank.swimmingObjects || tank.swimmingObjects.length === 0) return;
+
+    tank.swimmingObjects = tank.swimmingObjects.filter(swim => {
+        swim.elapsed += delta;
+        const t = Math.min(1, swim.elapsed / swim.duration);
+        const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+
+        swim.object.position.lerpVectors(swim.start, swim.target, eased);
+        swim.object.position.y += Math.sin(t * Math.PI) * 2;
+        swim.object.rotation.y = swim.startRotationY + Math.sin(swim.elapsed * 6) * 0.3 * (1 - t);
+
+        // Folders carry their collision sphere along
+        tank.collisionSpheres.forEach(sphere => {
+            if (sphere.userData.owner === swim.object) {
+                sphere.position.copy(swim.object.position);
+            }
+        });
+
+        return t < 1;
     });
 }
 
@@ -477,6 +591,42 @@ function createCutePDF(tank, x, y, z, label) {
     return pdfGroup;
 }
 
+/**
+ * Create a cute music note (two beamed eighth notes)
+ */
+function createCuteNote(tank, x, y, z, scale = 1.2) {
+    const noteGroup = new THREE.Group();
+    const noteMaterial = createSoftMaterial(0x74c0fc, false, 1.0);
+
+    [-0.3, 0.3].forEach((offset, i) => {
+        const headGeometry = new THREE.SphereGeometry(0.22, 16, 12);
+        const headMesh = new THREE.Mesh(headGeometry, noteMaterial);
+        headMesh.scale.set(1.3, 1.0, 0.8);
+        headMesh.rotation.z = 0.4;
+        headMesh.position.set(offset, -0.5 + i * 0.15, 0);
+        noteGroup.add(headMesh);
+
+        const stemHeight = 1.1 - i * 0.15;
+        const stemGeometry = new THREE.CylinderGeometry(0.04, 0.04, stemHeight, 8);
+        const stemMesh = new THREE.Mesh(stemGeometry, noteMaterial);
+        stemMesh.position.set(offset + 0.24, -0.5 + i * 0.15 + stemHeight / 2, 0);
+        noteGroup.add(stemMesh);
+    });
+
+    const beamGeometry = createRoundedBoxGeometry(0.68, 0.14, 0.08, 0.03);
+    beamGeometry.computeVertexNormals();
+    const beamMesh = new THREE.Mesh(beamGeometry, noteMaterial);
+    beamMesh.position.set(0.24, 0.55, 0);
+    noteGroup.add(beamMesh);
+
+    noteGroup.scale.setScalar(scale);
+    noteGroup.position.set(x, y, z);
+    noteGroup.rotation.z = (Math.random() - 0.5) * 0.2;
+
+    tank.scene.add(noteGroup);
+    return noteGroup;
+}
+
 /**
  * Create rounded box geometry
  */
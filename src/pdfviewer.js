@@ -0,0 +1,334 @@
+/**
+ * PDF viewer - renders PDFs with the bundled pdf.js (node_modules/pdfjs-dist, loaded on first use),
+ * with page navigation, thumbnails, zoom and text search
+ */
+import { readFileBlob } from './fileapi.js';
+import { escapeHtml } from './utils.js';
+
+const THUMBNAIL_WIDTH = 90;
+const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+
+let pdfjsPromise = null;
+const pageCounts = new WeakMap();
+
+/**
+ * pdf.js module, imported once and pointed at its worker
+ */
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist/build/pdf.min.mjs')
+            .then(pdfjs => {
+                pdfjs.GlobalWorkerOptions.workerSrc = import.meta.resolve('pdfjs-dist/build/pdf.worker.min.mjs');
+                return pdfjs;
+            })
+            .catch(error => {
+                // Let the next preview try again (e.g. after running npm install)
+                pdfjsPromise = null;
+                throw error;
+            });
+    }
+    return pdfjsPromise;
+}
+
+/**
+ * Open a PDF from a Blob
+ */
+async function openDocument(blob) {
+    const pdfjs = await loadPdfjs();
+    const data = new Uint8Array(await blob.arrayBuffer());
+    return pdfjs.getDocument({ data }).promise;
+}
+
+/**
+ * Number of pages in a PDF, read from the document (cached on the file data)
+ */
+export function getPdfPageCount(fileData) {
+    if (fileData.pages !== undefined) {
+        return Promise.resolve(fileData.pages);
+    }
+
+    if (!pageCounts.has(fileData)) {
+        const count = readFileBlob(fileData)
+            .then(openDocument)
+            .then(async (pdf) => {
+                fileData.pages = pdf.numPages;
+                await pdf.destroy();
+                return fileData.pages;
+            })
+            .finally(() => pageCounts.delete(fileData));
+        pageCounts.set(fileData, count);
+    }
+
+    return pageCounts.get(fileData);
+}
+
+/**
+ * Preview renderer for PDFs - resolves to a cleanup function that frees the document
+ */
+export async function renderPdf(container, blob, fileData) {
+    const pdf = await openDocument(blob);
+    const pdfjs = await loadPdfjs();
+    fileData.pages = pdf.numPages;
+
+    container.classList.add('pdf-preview');
+    container.innerHTML = `
+        <div class="pdf-toolbar">
+            <button class="preview-btn" data-pdf="prev" title="Previous page">◀</button>
+            <input class="pdf-page-input" type="number" min="1" max="${pdf.numPages}" value="1">
+            <span class="pdf-page-count">/ ${pdf.numPages}</span>
+            <button class="preview-btn" data-pdf="next" title="Next page">▶</button>
+            <span class="pdf-toolbar-gap"></span>
+            <button class="preview-btn" data-pdf="zoom-out" title="Zoom out">−</button>
+            <span class="pdf-zoom">100%</span>
+            <button class="preview-btn" data-pdf="zoom-in" title="Zoom in">+</button>
+            <span class="pdf-toolbar-gap"></span>
+            <input class="pdf-search" type="search" placeholder="Search…">
+            <span class="pdf-search-status"></span>
+            <button class="preview-btn" data-pdf="find-prev" title="Previous match (Shift+Enter)">↑</button>
+            <button class="preview-btn" data-pdf="find-next" title="Next match (Enter)">↓</button>
+        </div>
+        <div class="pdf-body">
+            <div class="pdf-thumbnails"></div>
+            <div class="pdf-page">
+                <div class="pdf-page-inner">
+                    <canvas></canvas>
+                    <div class="pdf-highlights"></div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    const viewer = {
+        pdf,
+        pdfjs,
+        container,
+        pageNumber: 1,
+        zoomIndex: ZOOM_STEPS.indexOf(1),
+        renderTask: null,
+        textPages: null,      // Per page: text items, read on the first search
+        matches: [],          // { pageNumber, itemIndex }
+        matchIndex: -1
+    };
+
+    const button = (name) => container.querySelector(`[data-pdf="${name}"]`);
+    button('prev').addEventListener('click', () => showPage(viewer, viewer.pageNumber - 1));
+    button('next').addEventListener('click', () => showPage(viewer, viewer.pageNumber + 1));
+    button('zoom-out').addEventListener('click', () => setZoom(viewer, viewer.zoomIndex - 1));
+    button('zoom-in').addEventListener('click', () => setZoom(viewer, viewer.zoomIndex + 1));
+    button('find-prev').addEventListener('click', () => findMatch(viewer, -1));
+    button('find-next').addEventListener('click', () => findMatch(viewer, 1));
+
+    const pageInput = container.querySelector('.pdf-page-input');
+    pageInput.addEventListener('change', () => showPage(viewer, parseInt(pageInput.value, 10) || 1));
+
+    const searchInput = container.querySelector('.pdf-search');
+    searchInput.addEventListener('input', () => runSearch(viewer, searchInput.value));
+    searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            findMatch(viewer, event.shiftKey ? -1 : 1);
+        } else if (event.key === 'Escape') {
+            searchInput.blur();
+        }
+    });
+
+    const thumbnailObserver = createThumbnails(viewer);
+    await showPage(viewer, 1);
+
+    return () => {
+        thumbnailObserver.disconnect();
+        viewer.renderTask?.cancel();
+        pdf.destroy();
+    };
+}
+
+/**
+ * Render a page into the main canvas, with any search highlights on it
+ */
+async function showPage(viewer, pageNumber) {
+    const { pdf, container } = viewer;
+    if (pageNumber < 1 || pageNumber > pdf.numPages) return;
+
+    viewer.pageNumber = pageNumber;
+    container.querySelector('.pdf-page-input').value = pageNumber;
+    container.querySelector('[data-pdf="prev"]').disabled = pageNumber === 1;
+    container.querySelector('[data-pdf="next"]').disabled = pageNumber === pdf.numPages;
+    container.querySelectorAll('.pdf-thumbnail').forEach(thumb => {
+        thumb.classList.toggle('current', Number(thumb.dataset.page) === pageNumber);
+    });
+    container.querySelector(`.pdf-thumbnail[data-page="${pageNumber}"]`)?.scrollIntoView({ block: 'nearest' });
+
+    const page = await pdf.getPage(pageNumber);
+    const scale = ZOOM_STEPS[viewer.zoomIndex];
+    const viewport = page.getViewport({ scale });
+    const ratio = window.devicePixelRatio || 1;
+
+    const canvas = container.querySelector('.pdf-page canvas');
+    canvas.width = Math.floor(viewport.width * ratio);
+    canvas.height = Math.floor(viewport.height * ratio);
+    canvas.style.width = `${Math.floor(viewport.width)}px`;
+    canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+    // A newer request (fast paging, zooming) replaces the one still drawing
+    viewer.renderTask?.cancel();
+    const renderTask = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+    });
+    viewer.renderTask = renderTask;
+
+    try {
+        await renderTask.promise;
+    } catch (error) {
+        if (error.name !== 'RenderingCancelledException') throw error;
+        return;
+    } finally {
+        if (viewer.renderTask === renderTask) viewer.renderTask = null;
+    }
+
+    drawHighlights(viewer, viewport);
+}
+
+/**
+ * Zoom to one of the preset steps
+ */
+function setZoom(viewer, zoomIndex) {
+    viewer.zoomIndex = Math.max(0, Math.min(ZOOM_STEPS.length - 1, zoomIndex));
+    viewer.container.querySelector('.pdf-zoom').textContent = `${Math.round(ZOOM_STEPS[viewer.zoomIndex] * 100)}%`;
+    showPage(viewer, viewer.pageNumber);
+}
+
+/**
+ * Clickable page thumbnails, drawn as they scroll into view
+ */
+function createThumbnails(viewer) {
+    const { pdf, container } = viewer;
+    const strip = container.querySelector('.pdf-thumbnails');
+
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            drawThumbnail(viewer, entry.target).catch(error => {
+                console.warn(`Could not draw thumbnail ${entry.target.dataset.page}:`, error.message);
+            });
+        });
+    }, { root: strip });
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const thumb = document.createElement('button');
+        thumb.className = 'pdf-thumbnail';
+        thumb.dataset.page = pageNumber;
+        thumb.title = `Page ${pageNumber}`;
+        thumb.innerHTML = `<canvas></canvas><span>${pageNumber}</span>`;
+        thumb.addEventListener('click', () => showPage(viewer, pageNumber));
+        strip.appendChild(thumb);
+        observer.observe(thumb);
+    }
+
+    return observer;
+}
+
+/**
+ * Render one page small into its thumbnail
+ */
+async function drawThumbnail(viewer, thumb) {
+    const page = await viewer.pdf.getPage(Number(thumb.dataset.page));
+    const unscaled = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMBNAIL_WIDTH / unscaled.width });
+
+    const canvas = thumb.querySelector('canvas');
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+}
+
+/**
+ * Find the text items that contain the query on every page
+ */
+async function runSearch(viewer, query) {
+    const status = viewer.container.querySelector('.pdf-search-status');
+    const term = query.trim().toLowerCase();
+
+    viewer.matches = [];
+    viewer.matchIndex = -1;
+
+    if (!term) {
+        status.textContent = '';
+        showPage(viewer, viewer.pageNumber);
+        return;
+    }
+
+    if (!viewer.textPages) {
+        status.textContent = 'Reading…';
+        viewer.textPages = [];
+        for (let pageNumber = 1; pageNumber <= viewer.pdf.numPages; pageNumber++) {
+            const page = await viewer.pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            viewer.textPages.push(content.items.filter(item => item.str));
+        }
+    }
+
+    // The query may have changed while the text was being read
+    const input = viewer.container.querySelector('.pdf-search');
+    if (input.value.trim().toLowerCase() !== term) return;
+
+    viewer.textPages.forEach((items, index) => {
+        items.forEach((item, itemIndex) => {
+            if (item.str.toLowerCase().includes(term)) {
+                viewer.matches.push({ pageNumber: index + 1, itemIndex });
+            }
+        });
+    });
+
+    if (viewer.matches.length === 0) {
+        status.textContent = 'No matches';
+        showPage(viewer, viewer.pageNumber);
+        return;
+    }
+
+    // Start at the first match on or after the current page
+    const next = viewer.matches.findIndex(match => match.pageNumber >= viewer.pageNumber);
+    viewer.matchIndex = (next === -1 ? 0 : next) - 1;
+    findMatch(viewer, 1);
+}
+
+/**
+ * Step to the next (1) or previous (-1) match and show its page
+ */
+function findMatch(viewer, step) {
+    const count = viewer.matches.length;
+    if (count === 0) return;
+
+    viewer.matchIndex = (viewer.matchIndex + step + count) % count;
+    const match = viewer.matches[viewer.matchIndex];
+    const pages = new Set(viewer.matches.map(m => m.pageNumber)).size;
+
+    viewer.container.querySelector('.pdf-search-status').textContent =
+        `${viewer.matchIndex + 1} of ${count}${pages > 1 ? ` on ${pages} pages` : ''}`;
+    showPage(viewer, match.pageNumber);
+}
+
+/**
+ * Mark the search matches on the current page
+ */
+function drawHighlights(viewer, viewport) {
+    const layer = viewer.container.querySelector('.pdf-highlights');
+    const current = viewer.matches[viewer.matchIndex];
+    const items = viewer.textPages?.[viewer.pageNumber - 1] || [];
+
+    layer.innerHTML = viewer.matches
+        .filter(match => match.pageNumber === viewer.pageNumber)
+        .map(match => {
+            const item = items[match.itemIndex];
+            const tx = viewer.pdfjs.Util.transform(viewport.transform, item.transform);
+            const height = Math.hypot(tx[2], tx[3]);
+            const width = item.width * viewport.scale;
+            const className = match === current ? 'pdf-highlight current' : 'pdf-highlight';
+            return `<div class="${className}" title="${escapeHtml(item.str)}" style="left: ${tx[4]}px; top: ${tx[5] - height}px; width: ${width}px; height: ${height}px;"></div>`;
+        })
+        .join('');
+
+    layer.querySelector('.current')?.scrollIntoView({ block: 'center' });
+}
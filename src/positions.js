@@ -0,0 +1,105 @@
+/**
+ * Object positions - where the user put things, kept in localStorage and
+ * saved into the positions section of content/file-layout.yaml
+ */
+import * as THREE from 'three';
+import { LAYOUT_PATH } from './layout.js';
+import { setLayoutPositions } from './layoutedit.js';
+import { createRootStore, downloadText } from './utils.js';
+
+const positionStore = createRootStore('swimming-tank:positions:', 'positions');
+
+/**
+ * Position the user gave a file or folder, or null to use its seeded home spot
+ */
+export function getSavedPosition(tank, path) {
+    if (!path) return null;
+
+    const stored = positionStore.get(tank);
+    if (path in stored) {
+        // null marks a position that was reset or made stale by a move
+        return stored[path] ? toVector(stored[path]) : null;
+    }
+
+    const fromLayout = !tank.localRoot && tank.layoutPositions?.[path];
+    return fromLayout ? toVector(fromLayout) : null;
+}
+
+/**
+ * Remember an object's current position
+ */
+export function savePosition(tank, object) {
+    const path = object.userData.path;
+    if (!path) return;
+
+    const { x, y, z } = object.position;
+    positionStore.update(tank, stored => {
+        stored[path] = { x, y, z };
+    });
+}
+
+/**
+ * Drop the position of a path so it goes back to its seeded spot
+ */
+export function forgetPosition(tank, path) {
+    positionStore.update(tank, stored => {
+        stored[path] = null;
+    });
+}
+
+/**
+ * Every arranged position - the layout file's, updated with the ones stored in this browser
+ */
+export function getArrangement(tank) {
+    const merged = { ...(tank.localRoot ? {} : tank.layoutPositions) };
+
+    Object.entries(positionStore.get(tank)).forEach(([path, position]) => {
+        if (position) {
+            merged[path] = position;
+        } else {
+            delete merged[path];
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Write the arrangement into file-layout.yaml through the dev server,
+ * or download the updated layout file when there is no server to save it
+ */
+export async function saveArrangement(tank) {
+    const positions = getArrangement(tank);
+
+    if (tank.localRoot) {
+        downloadText(`${tank.localRoot}-positions.yaml`, setLayoutPositions('', positions), 'text/yaml');
+        return 'downloaded';
+    }
+
+    try {
+        const response = await fetch('/api/layout/positions', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ positions })
+        });
+        if (response.ok) {
+            tank.layoutPositions = positions;
+            console.log(`Saved ${Object.keys(positions).length} positions to ${LAYOUT_PATH}`);
+            return 'saved';
+        }
+        console.warn(`Saving positions failed (${response.status}) - downloading the layout instead`);
+    } catch (error) {
+        console.warn('Dev server not reachable - downloading the layout instead:', error.message);
+    }
+
+    const response = await fetch(LAYOUT_PATH, { cache: 'no-cache' });
+    downloadText('file-layout.yaml', setLayoutPositions(await response.text(), positions), 'text/yaml');
+    return 'downloaded';
+}
+
+/**
+ * { x, y, z } to a Vector3
+ */
+function toVector(position) {
+    return new THREE.Vector3(position.x, position.y, position.z);
+}
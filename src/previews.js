@@ -0,0 +1,351 @@
+/**
+ * Preview renderers - show a file's real contents in a preview window,
+ * picked by its type (from the extension, or the MIME type when that says nothing)
+ */
+import { readFileVersion, readFileBlob, getFileMimeType } from './fileapi.js';
+import { getTypeForMime } from './filetypes.js';
+import { renderMarkdown } from './markdown.js';
+import { linkNotes } from './notelinks.js';
+import { escapeHtml } from './utils.js';
+import { renderPdf } from './pdfviewer.js';
+import { renderAudio } from './audioplayer.js';
+
+const MAX_CSV_ROWS = 500;
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 20;
+
+// type -> { text, render(container, contents, fileData, tank) }
+// Text renderers get the file's text (and can be edited), the others a Blob.
+// render may return (or resolve to) a cleanup function, run when the preview goes away.
+const renderers = new Map();
+const cleanups = new WeakMap();
+
+/**
+ * Add or replace the renderer for a file type
+ */
+export function registerPreviewRenderer(type, renderer) {
+    renderers.set(type, renderer);
+}
+
+/**
+ * Render a file into a preview container. Resolves to { text, version } for
+ * text types so the window can offer editing, null otherwise.
+ */
+export async function renderPreview(tank, fileData, container) {
+    disposePreview(container);
+    container.className = 'preview-content';
+
+    try {
+        if (!fileData.path && !fileData.handle && !fileData.file) {
+            renderUnsupported(container, fileData, 'There is no file behind this object.');
+            return null;
+        }
+
+        let type = fileData.type;
+        if (!renderers.has(type)) {
+            // The extension didn't help - ask what the file actually is
+            type = getTypeForMime(await getFileMimeType(fileData));
+        }
+
+        const renderer = renderers.get(type);
+        if (!renderer) {
+            renderUnsupported(container, fileData);
+            return null;
+        }
+
+        if (renderer.text) {
+            const loaded = await readFileVersion(fileData);
+            setCleanup(container, await renderer.render(container, loaded.text, fileData, tank));
+            return loaded;
+        }
+
+        setCleanup(container, await renderer.render(container, await readFileBlob(fileData), fileData, tank));
+        return null;
+
+    } catch (error) {
+        console.error('Error loading preview:', error);
+        container.className = 'preview-content';
+        container.innerHTML = `
+            <div class="pdf-placeholder">
+                <div class="pdf-icon">⚠️</div>
+                <p>Failed to load preview</p>
+                <p style="color: #666; font-size: 12px;">${escapeHtml(error.message)}</p>
+            </div>
+        `;
+        return null;
+    }
+}
+
+/**
+ * Show text in a container with the renderer for the file's type
+ * (used again after the text was edited)
+ */
+export function renderPreviewText(container, fileData, text, tank) {
+    const renderer = renderers.get(fileData.type);
+    disposePreview(container);
+    container.className = 'preview-content';
+
+    if (renderer && renderer.text) {
+        setCleanup(container, renderer.render(container, text, fileData, tank));
+    } else {
+        renderPlainText(container, text);
+    }
+}
+
+/**
+ * Free whatever the last renderer of a container holds on to (e.g. a PDF document)
+ */
+export function disposePreview(container) {
+    const cleanup = cleanups.get(container);
+    if (cleanup) {
+        cleanups.delete(container);
+        cleanup();
+    }
+}
+
+/**
+ * Remember a renderer's cleanup function, if it returned one
+ */
+function setCleanup(container, cleanup) {
+    if (typeof cleanup === 'function') {
+        cleanups.set(container, cleanup);
+    }
+}
+
+/**
+ * Card for files that can't be previewed
+ */
+function renderUnsupported(container, fileData, reason = null) {
+    container.className = 'preview-content';
+    container.innerHTML = `
+        <div class="pdf-placeholder unsupported-preview">
+            <div class="pdf-icon">🫧</div>
+            <p>No preview for this type of file</p>
+            <p class="unsupported-detail">${escapeHtml(reason || `${fileData.name} (${fileData.type})`)}</p>
+            ${fileData.size ? `<p class="unsupported-detail">${escapeHtml(fileData.size)}</p>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Plain text, as is
+ */
+function renderPlainText(container, text) {
+    container.classList.add('text-preview');
+    container.textContent = text;
+}
+
+/**
+ * Markdown, formatted - links to other files in the tank open them
+ */
+function renderMarkdownPreview(container, text, fileData, tank) {
+    container.classList.add('markdown-preview');
+    container.innerHTML = renderMarkdown(text);
+    return linkNotes(tank, container, fileData);
+}
+
+/**
+ * JSON, pretty-printed with syntax colours - or as text with the parse error
+ */
+function renderJson(container, text) {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        container.classList.add('text-preview');
+        container.innerHTML = `<div class="preview-warning">Invalid JSON: ${escapeHtml(error.message)}</div>${escapeHtml(text)}`;
+        return;
+    }
+
+    const json = escapeHtml(JSON.stringify(value, null, 2));
+    container.classList.add('text-preview', 'json-preview');
+    container.innerHTML = json.replace(
+        /(&quot;(?:[^&\\]|&(?!quot;)|\\.)*&quot;)(\s*:)?|\b(true|false|null)\b|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/g,
+        (match, string, colon, literal, number) => {
+            if (string) {
+                return colon ? `<span class="json-key">${string}</span>${colon}` : `<span class="json-string">${string}</span>`;
+            }
+            if (literal) return `<span class="json-literal">${literal}</span>`;
+            return `<span class="json-number">${number}</span>`;
+        }
+    );
+}
+
+/**
+ * CSV as a table, first row as the header
+ */
+function renderCsv(container, text) {
+    const rows = parseCsv(text);
+    container.classList.add('csv-preview');
+
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="unsupported-detail">Empty file</p>';
+        return;
+    }
+
+    const [header, ...body] = rows;
+    const shown = body.slice(0, MAX_CSV_ROWS);
+    const cells = (row, tag) => row.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('');
+
+    container.innerHTML = `
+        <table>
+            <thead><tr>${cells(header, 'th')}</tr></thead>
+            <tbody>${shown.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody>
+        </table>
+        ${body.length > shown.length ? `<p class="unsupported-detail">Showing ${shown.length} of ${body.length} rows</p>` : ''}
+    `;
+}
+
+/**
+ * Split CSV text into rows of cells - quoted cells may hold commas, quotes ("") and newlines
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * HTML in a sandboxed iframe - no scripts, no access to the tank
+ */
+function renderHtml(container, text) {
+    container.classList.add('doc-preview');
+
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('sandbox', '');
+    iframe.title = 'Document Preview';
+    iframe.srcdoc = text;
+    container.replaceChildren(iframe);
+}
+
+/**
+ * SVG source shown as an image
+ */
+function renderSvg(container, text, fileData) {
+    renderImage(container, new Blob([text], { type: 'image/svg+xml' }), fileData);
+}
+
+/**
+ * Image with zoom (scroll) and pan (drag); double-click resets the view
+ */
+function renderImage(container, blob, fileData) {
+    const url = URL.createObjectURL(blob);
+
+    container.classList.add('image-preview');
+    container.innerHTML = `
+        <div class="image-viewport">
+            <img src="${url}" alt="${escapeHtml(fileData.name)}" draggable="false" />
+        </div>
+        <div class="zoom-level">100%</div>
+    `;
+
+    // Listen on the viewport, not the container - it outlives this render
+    const viewport = container.querySelector('.image-viewport');
+    const img = viewport.querySelector('img');
+    const label = container.querySelector('.zoom-level');
+    const view = { scale: 1, x: 0, y: 0 };
+
+    const apply = () => {
+        img.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        label.textContent = `${Math.round(view.scale * 100)}%`;
+    };
+
+    // Once decoded the image doesn't need the URL any more
+    img.addEventListener('load', () => URL.revokeObjectURL(url), { once: true });
+    img.addEventListener('error', () => {
+        URL.revokeObjectURL(url);
+        renderUnsupported(container, fileData, 'The image could not be decoded.');
+    }, { once: true });
+
+    viewport.addEventListener('wheel', (event) => {
+        event.preventDefault();
+
+        // Zoom around the pointer
+        const rect = viewport.getBoundingClientRect();
+        const px = event.clientX - rect.left - rect.width / 2;
+        const py = event.clientY - rect.top - rect.height / 2;
+        const factor = Math.exp(-event.deltaY * 0.0015);
+        const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.scale * factor));
+        const applied = scale / view.scale;
+
+        view.x = px - (px - view.x) * applied;
+        view.y = py - (py - view.y) * applied;
+        view.scale = scale;
+        apply();
+    }, { passive: false });
+
+    viewport.addEventListener('mousedown', (event) => {
+        if (event.button !== 0) return;
+        event.preventDefault();
+
+        const start = { x: event.clientX - view.x, y: event.clientY - view.y };
+        viewport.classList.add('panning');
+
+        const onMouseMove = (e) => {
+            view.x = e.clientX - start.x;
+            view.y = e.clientY - start.y;
+            apply();
+        };
+        const onMouseUp = () => {
+            viewport.classList.remove('panning');
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    });
+
+    viewport.addEventListener('dblclick', () => {
+        Object.assign(view, { scale: 1, x: 0, y: 0 });
+        apply();
+    });
+}
+
+registerPreviewRenderer('txt', { text: true, render: renderPlainText });
+registerPreviewRenderer('markdown', { text: true, render: renderMarkdownPreview });
+registerPreviewRenderer('json', { text: true, render: renderJson });
+registerPreviewRenderer('csv', { text: true, render: renderCsv });
+registerPreviewRenderer('html', { text: true, render: renderHtml });
+registerPreviewRenderer('svg', { text: true, render: renderSvg });
+registerPreviewRenderer('png', { render: renderImage });
+registerPreviewRenderer('jpeg', { render: renderImage });
+registerPreviewRenderer('image', { render: renderImage });
+registerPreviewRenderer('pdf', { render: renderPdf });
+registerPreviewRenderer('audio', { render: renderAudio });
@@ -0,0 +1,383 @@
+/**
+ * Private files - text files whose contents are stored encrypted, shown behind
+ * frosted glass with a padlock. Opening one asks for the passphrase (P locks or
+ * unlocks by hand), and everything locks again after a few idle minutes.
+ *
+ * Files are private when file-layout.yaml says private: true or when they're
+ * already encrypted on disk. `npm run seal` encrypts content/'s private files
+ * and chooses the passphrase - the tank only checks it. Only an opened local
+ * folder, which is the visitor's own, can get its first passphrase here.
+ * Unlocking encrypts private files that are still plain text on disk.
+ */
+import * as THREE from 'three';
+import { isSessionUnlocked, unlockSession, lockSession } from './encryption.js';
+import { readFileText, readFileVersion, writeFileText, canWriteFile } from './fileapi.js';
+import { closePreviewWindow } from './ui.js';
+import { formatFileSize } from './utils.js';
+
+const IDLE_TIMEOUT = 5 * 60 * 1000;   // Lock after this long without input
+const MIN_PASSPHRASE_LENGTH = 8;
+const LOCKED_COLOR = '#ff8787';
+const UNLOCKED_COLOR = '#8ce99a';
+
+/**
+ * Track input for the idle timeout and wire up the passphrase dialog
+ */
+export function setupPrivacy(tank) {
+    tank.privacy = {
+        lastActivity: Date.now(),
+        locks: new Map(),
+        frostGeometry: new THREE.BoxGeometry(1, 1, 1),
+        frostMaterial: new THREE.MeshStandardMaterial({
+            color: 0xdde8f0,
+            transparent: true,
+            opacity: 0.45,
+            roughness: 1,
+            metalness: 0,
+            depthWrite: false
+        }),
+        textures: {
+            locked: createPadlockTexture(false),
+            unlocked: createPadlockTexture(true)
+        },
+        unlock: null
+    };
+
+    const touch = () => { tank.privacy.lastActivity = Date.now(); };
+    ['keydown', 'pointerdown', 'pointermove', 'wheel', 'touchstart'].forEach(type => {
+        window.addEventListener(type, touch, { passive: true });
+    });
+
+    setupUnlockDialog(tank);
+}
+
+/**
+ * Whether a file is private and the passphrase hasn't been given
+ */
+export function isPrivateLocked(fileData) {
+    return Boolean(fileData.private) && !isSessionUnlocked();
+}
+
+/**
+ * Lock or unlock private files (P)
+ */
+export function togglePrivacyLock(tank) {
+    if (isSessionUnlocked()) {
+        lockPrivateFiles(tank);
+    } else {
+        requestUnlock(tank);
+    }
+}
+
+/**
+ * Ask for the passphrase - resolves to true once unlocked, false if cancelled
+ */
+export function requestUnlock(tank) {
+    if (isSessionUnlocked()) return Promise.resolve(true);
+    if (tank.privacy.unlock) return tank.privacy.unlock.promise;
+
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    tank.privacy.unlock = { promise, resolve };
+
+    // With no encrypted file yet there's nothing to check against. A local folder
+    // gets its passphrase typed twice; served files must be sealed by their owner
+    const unsealed = !tank.files.some(file => file.encrypted);
+    const choosing = unsealed && Boolean(tank.localRoot);
+    const dialog = document.getElementById('unlock-dialog');
+    dialog.classList.toggle('choosing', choosing);
+    dialog.classList.toggle('unavailable', unsealed && !choosing);
+    dialog.querySelector('.unlock-note').textContent = choosing ?
+        'Choose a passphrase for your private files. It can\'t be recovered - without it they stay encrypted.' :
+        unsealed ?
+            'No private file is encrypted yet. Run "npm run seal" where the tank is served to choose the passphrase.' :
+            `Enter the passphrase for your private files. They lock again after ${IDLE_TIMEOUT / 60000} idle minutes.`;
+    document.getElementById('unlock-passphrase').value = '';
+    document.getElementById('unlock-confirm').value = '';
+    setUnlockError('');
+    dialog.classList.remove('hidden');
+    document.getElementById('unlock-passphrase').focus();
+
+    return promise;
+}
+
+/**
+ * Forget the passphrase and close every window showing private contents
+ */
+export function lockPrivateFiles(tank) {
+    if (!isSessionUnlocked()) return;
+
+    lockSession();
+    tank.previewWindows
+        .filter(windowData => windowData.fileData.private)
+        .forEach(windowData => closePreviewWindow(tank, windowData.id, true));
+    console.log('Private files locked');
+}
+
+/**
+ * Make a file private (encrypting it on disk) or public again
+ */
+export async function setFilePrivate(tank, object, makePrivate) {
+    const data = object.userData;
+    if (!(await requestUnlock(tank))) {
+        throw new Error('Private files are still locked');
+    }
+    if (!makePrivate && isPrivateInLayout(tank, data.path)) {
+        throw new Error('It is marked private in file-layout.yaml - remove "private: true" there first');
+    }
+
+    const { text, version } = await readFileVersion(data);
+    const saved = await writeFileText({ ...data, private: makePrivate }, text, version);
+    updateFileRecord(tank, data.path, {
+        private: makePrivate,
+        encrypted: makePrivate,
+        bytes: saved.bytes,
+        size: formatFileSize(saved.bytes),
+        modified: saved.modified
+    });
+    tank.searchIndex = null;
+
+    console.log(`${data.name} is now ${makePrivate ? 'private' : 'public'}`);
+}
+
+/**
+ * Lock after the idle timeout, and keep the padlocks and frosted glass on the private objects
+ */
+export function updatePrivateFiles(tank) {
+    if (!tank.privacy) return;
+
+    if (isSessionUnlocked() && Date.now() - tank.privacy.lastActivity > IDLE_TIMEOUT) {
+        console.log('Idle - locking private files');
+        lockPrivateFiles(tank);
+    }
+
+    syncLocks(tank);
+
+    const locked = !isSessionUnlocked();
+    const box = new THREE.Box3();
+    const size = new THREE.Vector3();
+    tank.privacy.locks.forEach((lock, object) => {
+        if (lock.locked !== locked) {
+            lock.locked = locked;
+            lock.padlock.material.map = locked ? tank.privacy.textures.locked : tank.privacy.textures.unlocked;
+        }
+
+        // Measured before the glass is placed, so it only covers the object
+        box.setFromObject(object);
+        box.getCenter(lock.frost.position);
+        lock.frost.scale.copy(box.getSize(size).multiplyScalar(1.1));
+        lock.frost.visible = locked && object.visible;
+
+        lock.padlock.visible = object.visible;
+        lock.padlock.position.set(object.position.x, box.max.y + 0.5 + Math.sin(tank.swimTime * 2) * 0.08, object.position.z);
+    });
+}
+
+/**
+ * Add a padlock and glass for new private objects, drop them for ones that went away
+ */
+function syncLocks(tank) {
+    const locks = tank.privacy.locks;
+    const current = new Set(tank.allObjects);
+
+    locks.forEach((lock, object) => {
+        if (!current.has(object) || !object.userData.private) removeLock(tank, object);
+    });
+
+    tank.allObjects.forEach(object => {
+        if (!object.userData.private || locks.has(object)) return;
+
+        const frost = new THREE.Mesh(tank.privacy.frostGeometry, tank.privacy.frostMaterial);
+        const padlock = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: tank.privacy.textures.locked,
+            transparent: true,
+            depthTest: false
+        }));
+        padlock.scale.set(0.6, 0.6, 1);
+
+        tank.scene.add(frost);
+        tank.scene.add(padlock);
+        locks.set(object, { frost, padlock, locked: true });
+    });
+}
+
+/**
+ * Take an object's padlock and glass out of the scene
+ */
+function removeLock(tank, object) {
+    const lock = tank.privacy.locks.get(object);
+    tank.scene.remove(lock.frost);
+    tank.scene.remove(lock.padlock);
+    lock.padlock.material.dispose();
+    tank.privacy.locks.delete(object);
+}
+
+/**
+ * Padlock badge, open or closed
+ */
+function createPadlockTexture(open) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    const color = open ? UNLOCKED_COLOR : LOCKED_COLOR;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.beginPath();
+    ctx.arc(32, 32, 30, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Shackle - an open lock has it raised, one leg out of the body
+    const top = open ? 18 : 24;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 5;
+    ctx.beginPath();
+    ctx.moveTo(23, 32);
+    ctx.lineTo(23, top);
+    ctx.arc(32, top, 9, Math.PI, 0);
+    ctx.lineTo(41, open ? top + 4 : 32);
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    ctx.fillRect(17, 31, 30, 21);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.beginPath();
+    ctx.arc(32, 40, 3.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillRect(30.5, 41, 3, 6);
+
+    return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * Wire up the passphrase form (once)
+ */
+function setupUnlockDialog(tank) {
+    const dialog = document.getElementById('unlock-dialog');
+    if (!dialog) return;
+
+    const form = dialog.querySelector('form');
+    const passphraseInput = document.getElementById('unlock-passphrase');
+    const confirmInput = document.getElementById('unlock-confirm');
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const passphrase = passphraseInput.value;
+        if (dialog.classList.contains('unavailable')) return;
+
+        if (dialog.classList.contains('choosing')) {
+            if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                setUnlockError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters`);
+                return;
+            }
+            if (passphrase !== confirmInput.value) {
+                setUnlockError('The passphrases don\'t match');
+                return;
+            }
+        }
+
+        setUnlockError('Unlocking…');
+        try {
+            await tryPassphrase(tank, passphrase);
+        } catch (error) {
+            setUnlockError(error.message);
+            passphraseInput.select();
+            return;
+        }
+
+        finishUnlock(tank, true);
+        console.log('Private files unlocked');
+        sealPrivateFiles(tank);
+    });
+
+    dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => finishUnlock(tank, false));
+    form.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') finishUnlock(tank, false);
+    });
+}
+
+/**
+ * Take a passphrase if it opens an encrypted file - or throw
+ */
+async function tryPassphrase(tank, passphrase) {
+    unlockSession(passphrase);
+
+    const sample = tank.files.find(file => file.encrypted);
+    if (!sample) return;
+
+    try {
+        await readFileText(sample);
+    } catch (error) {
+        lockSession();
+        throw error;
+    }
+}
+
+/**
+ * Close the dialog and answer whoever asked to unlock
+ */
+function finishUnlock(tank, unlocked) {
+    document.getElementById('unlock-dialog')?.classList.add('hidden');
+    document.getElementById('unlock-passphrase').value = '';
+    document.getElementById('unlock-confirm').value = '';
+
+    const pending = tank.privacy.unlock;
+    tank.privacy.unlock = null;
+    pending?.resolve(unlocked);
+}
+
+/**
+ * Line under the passphrase fields
+ */
+function setUnlockError(text) {
+    const error = document.getElementById('unlock-error');
+    if (error) error.textContent = text;
+}
+
+/**
+ * Encrypt the private files that are still plain text on disk
+ */
+async function sealPrivateFiles(tank) {
+    const pending = tank.files.filter(file => file.private && !file.encrypted && canWriteFile(file));
+
+    for (const file of pending) {
+        try {
+            const { text, version } = await readFileVersion(file);
+            const saved = await writeFileText(file, text, version);
+            updateFileRecord(tank, file.path, {
+                encrypted: true,
+                bytes: saved.bytes,
+                size: formatFileSize(saved.bytes),
+                modified: saved.modified
+            });
+            console.log(`Encrypted ${file.path}`);
+        } catch (error) {
+            if (error.code === 'conflict') {
+                console.warn(`Could not encrypt ${file.path}:`, error.message);
+                continue;
+            }
+            // Without the dev server nothing can be saved - no use trying the rest
+            console.warn(`Private files stay unencrypted on disk until they can be saved: ${error.message}`);
+            return;
+        }
+    }
+}
+
+/**
+ * Update a file's entry and its object's copy of it
+ */
+function updateFileRecord(tank, path, changes) {
+    const entry = tank.files.find(file => file.path === path);
+    if (entry) Object.assign(entry, changes);
+
+    const object = tank.allObjects.find(candidate => candidate.userData.path === path);
+    if (object && object.userData !== entry) Object.assign(object.userData, changes);
+}
+
+/**
+ * Whether file-layout.yaml marks a path as private
+ */
+function isPrivateInLayout(tank, path) {
+    return Object.values(tank.layout?.groups || {})
+        .some(group => group.files.some(file => file.path === path && file.private === true));
+}
@@ -100,7 +100,7 @@ export function createEnvironment(tank) {
     // Create water particles
     createWaterParticles(tank);
 
-    // Tank bounds on by default (press T to toggle)
+    // Tank bounds on by default (Alt+Shift+T toggles them)
     tank.tankBoundsVisible = true;
     createTankBounds(tank);
 }
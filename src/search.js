@@ -0,0 +1,271 @@
+/**
+ * Full-text search overlay - press / to search file contents and swim to a result
+ */
+import { readFileText } from './fileapi.js';
+import { swimToObject } from './frog.js';
+import { openPreview, selectObject } from './ui.js';
+import { escapeHtml } from './utils.js';
+import { isTextType } from './filetypes.js';
+
+const MAX_INDEXED_BYTES = 512 * 1024;
+const MAX_RESULTS = 20;
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Read every text file into an in-memory index (rebuilt when the file list changes)
+ */
+export async function buildSearchIndex(tank) {
+    if (tank.searchIndex && tank.searchIndex.source === tank.files) {
+        return tank.searchIndex;
+    }
+
+    const source = tank.files;
+    // Unknown types are often source code, so they are tried too.
+    // Private files stay out - their text shouldn't turn up in results.
+    const candidates = source.filter(file =>
+        (isTextType(file.type) || file.type === 'file') && !file.private && !(file.bytes > MAX_INDEXED_BYTES));
+
+    const entries = await Promise.all(candidates.map(async (fileData) => {
+        try {
+            const text = await readFileText(fileData);
+            // Skip binaries that slipped through as unknown types
+            if (text.includes('\u0000')) return null;
+            return { fileData, text, lower: text.toLowerCase(), name: fileData.name.toLowerCase() };
+        } catch (error) {
+            console.warn(`Search: could not index ${fileData.path}:`, error.message);
+            return null;
+        }
+    }));
+
+    tank.searchIndex = { source, entries: entries.filter(Boolean) };
+    console.log(`Search index built: ${tank.searchIndex.entries.length} files`);
+    return tank.searchIndex;
+}
+
+/**
+ * Rank indexed files against a query - every term must appear in the name or text
+ */
+export function searchIndex(index, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const results = [];
+
+    index.entries.forEach(entry => {
+        let score = 0;
+
+        for (const term of terms) {
+            const inName = entry.name.includes(term);
+            const count = countOccurrences(entry.lower, term);
+            if (!inName && count === 0) return;
+
+            // Name hits weigh most; repeated text hits have diminishing returns
+            score += (inName ? 5 : 0) + Math.log2(1 + count);
+        }
+
+        results.push({ entry, score, snippet: createSnippet(entry, terms) });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+        .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Count non-overlapping occurrences of a term
+ */
+function countOccurrences(text, term) {
+    let count = 0;
+    let index = text.indexOf(term);
+    while (index !== -1) {
+        count++;
+        index = text.indexOf(term, index + term.length);
+    }
+    return count;
+}
+
+/**
+ * Text around the first match with every term highlighted (HTML)
+ */
+function createSnippet(entry, terms) {
+    const first = terms
+        .map(term => entry.lower.indexOf(term))
+        .filter(index => index !== -1)
+        .sort((a, b) => a - b)[0];
+
+    if (first === undefined) {
+        return escapeHtml(entry.text.slice(0, SNIPPET_RADIUS * 2).replace(/\s+/g, ' '));
+    }
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(entry.text.length, first + SNIPPET_RADIUS);
+    const excerpt = entry.text.slice(start, end).replace(/\s+/g, ' ');
+
+    // Split on the raw text and escape each piece so <mark> is the only markup
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    const highlighted = excerpt.split(pattern)
+        .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+
+    return (start > 0 ? '…' : '') + highlighted + (end < entry.text.length ? '…' : '');
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Open the search overlay
+ */
+export function openSearch(tank) {
+    const overlay = document.getElementById('search-overlay');
+    const input = document.getElementById('search-input');
+    if (!overlay || !input) return;
+
+    if (!tank.searchUI) {
+        setupSearchUI(tank, overlay, input);
+    }
+
+    overlay.classList.remove('hidden');
+    input.value = '';
+    input.focus();
+    renderResults(tank, []);
+    setStatus('Indexing files…');
+
+    buildSearchIndex(tank).then(index => {
+        setStatus(`${index.entries.length} files indexed`);
+        if (input.value) runSearch(tank, input.value);
+    });
+}
+
+/**
+ * Close the search overlay
+ */
+export function closeSearch() {
+    const overlay = document.getElementById('search-overlay');
+    if (overlay) overlay.classList.add('hidden');
+    document.getElementById('search-input')?.blur();
+}
+
+/**
+ * Wire up input, keyboard navigation and clicks (once)
+ */
+function setupSearchUI(tank, overlay, input) {
+    tank.searchUI = { results: [], activeIndex: 0 };
+
+    input.addEventListener('input', () => runSearch(tank, input.value));
+
+    input.addEventListener('keydown', (event) => {
+        const ui = tank.searchUI;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                setActiveResult(tank, Math.min(ui.activeIndex + 1, ui.results.length - 1));
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                setActiveResult(tank, Math.max(ui.activeIndex - 1, 0));
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (ui.results[ui.activeIndex]) {
+                    pickResult(tank, ui.results[ui.activeIndex]);
+                }
+                break;
+            case 'Escape':
+                event.preventDefault();
+                closeSearch();
+                break;
+        }
+    });
+
+    // Clicking the backdrop closes the overlay
+    overlay.addEventListener('mousedown', (event) => {
+        if (event.target === overlay) closeSearch();
+    });
+}
+
+/**
+ * Search the index and show the results
+ */
+function runSearch(tank, query) {
+    if (!tank.searchIndex || tank.searchIndex.source !== tank.files) return;
+
+    const results = searchIndex(tank.searchIndex, query);
+    renderResults(tank, results);
+
+    if (query.trim()) {
+        setStatus(results.length === 0 ? 'No matches' : `${results.length} match${results.length === 1 ? '' : 'es'}`);
+    }
+}
+
+/**
+ * Render the result list
+ */
+function renderResults(tank, results) {
+    const list = document.getElementById('search-results');
+    if (!list) return;
+
+    tank.searchUI.results = results;
+    tank.searchUI.activeIndex = 0;
+
+    list.innerHTML = results.map((result, i) => `
+        <div class="search-result${i === 0 ? ' active' : ''}" data-index="${i}">
+            <div class="search-result-name">${escapeHtml(result.entry.fileData.name)}</div>
+            <div class="search-result-path">${escapeHtml(result.entry.fileData.path)}</div>
+            <div class="search-result-snippet">${result.snippet}</div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.search-result').forEach(element => {
+        element.addEventListener('click', () => {
+            pickResult(tank, results[Number(element.dataset.index)]);
+        });
+    });
+}
+
+/**
+ * Highlight a result for keyboard navigation
+ */
+function setActiveResult(tank, index) {
+    tank.searchUI.activeIndex = index;
+
+    document.querySelectorAll('#search-results .search-result').forEach((element, i) => {
+        element.classList.toggle('active', i === index);
+        if (i === index) element.scrollIntoView({ block: 'nearest' });
+    });
+}
+
+/**
+ * Show indexing progress and match counts under the input
+ */
+function setStatus(text) {
+    const status = document.getElementById('search-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Swim to the object for a result, then select it and open its preview
+ */
+function pickResult(tank, result) {
+    closeSearch();
+
+    const path = result.entry.fileData.path;
+    const object = tank.allObjects.find(obj => obj.userData.path === path);
+
+    if (!object) {
+        console.warn(`Search: no object in the tank for ${path}`);
+        return;
+    }
+
+    console.log(`Swimming to search result: ${result.entry.fileData.name}`);
+
+    swimToObject(tank, object, () => {
+        selectObject(tank, object);
+        openPreview(tank, object);
+    });
+}
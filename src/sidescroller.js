@@ -3,6 +3,8 @@
  */
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { escapeHtml, formatFileSize } from './utils.js';
+import { getKeyLabel } from './keybindings.js';
 
 // Side-scroller configuration
 const CONFIG = {
@@ -32,6 +34,46 @@ export function enterSideScrollerMode(tank, folder) {
 
     tank.sideScrollerMode = true;
     tank.currentFolder = folder;
+    tank.sideScrollerLevels = [];
+
+    pushSideScrollerLevel(tank, {
+        name: folder.userData.name,
+        path: folder.userData.path || `content/${folder.userData.name}`
+    });
+}
+
+/**
+ * Enter a subfolder - pushes a new level onto the level stack
+ */
+export function pushSideScrollerLevel(tank, level) {
+    const parent = tank.sideScrollerLevels[tank.sideScrollerLevels.length - 1];
+    if (parent && tank.sideScrollerPlayer) {
+        // Remember where we were so going back lands at the same door
+        parent.playerX = tank.sideScrollerPlayer.position.x;
+    }
+
+    tank.sideScrollerLevels.push(level);
+    buildSideScrollerLevel(tank, level);
+}
+
+/**
+ * Go back one level - leaves side-scroller mode from the top-level folder
+ */
+export function popSideScrollerLevel(tank) {
+    if (tank.sideScrollerLevels.length <= 1) {
+        exitSideScrollerMode(tank);
+        return;
+    }
+
+    tank.sideScrollerLevels.pop();
+    buildSideScrollerLevel(tank, tank.sideScrollerLevels[tank.sideScrollerLevels.length - 1]);
+}
+
+/**
+ * Build the scene for one folder level, replacing the previous one
+ */
+function buildSideScrollerLevel(tank, level) {
+    disposeSideScrollerScene(tank);
 
     // Create side-scroller scene
     tank.sideScrollerScene = new THREE.Scene();
@@ -41,6 +83,7 @@ export function enterSideScrollerMode(tank, folder) {
     tank.sideScrollerScene.fog = new THREE.Fog(0x87CEEB, 30, 80);
 
     // Setup camera (orthographic for true 2D feel)
+    const startX = level.playerX || 0;
     const aspect = window.innerWidth / window.innerHeight;
     const viewSize = 15;
     tank.sideScrollerCamera = new THREE.OrthographicCamera(
@@ -48,12 +91,12 @@ export function enterSideScrollerMode(tank, folder) {
         viewSize, -viewSize,
         0.1, 100
     );
-    tank.sideScrollerCamera.position.set(0, CONFIG.cameraHeight, CONFIG.cameraDistance);
-    tank.sideScrollerCamera.lookAt(0, CONFIG.cameraHeight, 0);
+    tank.sideScrollerCamera.position.set(startX, CONFIG.cameraHeight, CONFIG.cameraDistance);
+    tank.sideScrollerCamera.lookAt(startX, CONFIG.cameraHeight, 0);
 
     // Initialize player state
     tank.sideScrollerPlayer = {
-        position: new THREE.Vector3(0, CONFIG.groundY, 0),
+        position: new THREE.Vector3(startX, CONFIG.groundY, 0),
         velocity: new THREE.Vector3(0, 0, 0),
         isGrounded: true,
         jumpCount: 0,
@@ -72,16 +115,16 @@ export function enterSideScrollerMode(tank, folder) {
     createPlayer(tank);
 
     // Generate and place folder contents using actual content
-    const contents = generateFolderContents(folder, tank);
+    const contents = generateFolderContents(tank, level.path);
     placeFilesOnPlatforms(tank, contents);
 
     // Add lighting
     createSideScrollerLighting(tank);
 
     // Hide swimming tank UI elements
-    hideSwimmingTankUI(folder.userData.name);
+    hideSwimmingTankUI(tank, tank.sideScrollerLevels.map(l => l.name));
 
-    console.log('Side-scroller mode initialized');
+    console.log(`Side-scroller level initialized: ${level.path}`);
 }
 
 /**
@@ -92,7 +135,23 @@ export function exitSideScrollerMode(tank) {
 
     tank.sideScrollerMode = false;
     tank.currentFolder = null;
+    tank.sideScrollerLevels = [];
+
+    disposeSideScrollerScene(tank);
 
+    tank.sideScrollerCamera = null;
+    tank.sideScrollerPlayer = null;
+    tank.sideScrollerPlatforms = [];
+    tank.sideScrollerFiles = [];
+
+    // Show swimming tank UI
+    showSwimmingTankUI();
+}
+
+/**
+ * Stop the player animation and dispose the current side-scroller scene
+ */
+function disposeSideScrollerScene(tank) {
     // Clean up player mixer
     if (tank.sideScrollerPlayer && tank.sideScrollerPlayer.mixer) {
         tank.sideScrollerPlayer.mixer.stopAllAction();
@@ -113,14 +172,6 @@ export function exitSideScrollerMode(tank) {
         });
         tank.sideScrollerScene = null;
     }
-
-    tank.sideScrollerCamera = null;
-    tank.sideScrollerPlayer = null;
-    tank.sideScrollerPlatforms = [];
-    tank.sideScrollerFiles = [];
-
-    // Show swimming tank UI
-    showSwimmingTankUI();
 }
 
 /**
@@ -732,36 +783,43 @@ function createSideScrollerLighting(tank) {
 }
 
 /**
- * Generate contents for a folder based on actual content
+ * Generate contents for a folder level - its own files plus a door for each subfolder
  */
-function generateFolderContents(folder, tank) {
-    const folderName = folder.userData.name.toLowerCase();
-    const contents = [];
-
-    // Get txtData from tank (passed from main)
-    const txtData = tank.txtData || [];
-
-    // Filter files that belong to this folder
-    txtData.forEach(file => {
-        if (file.path) {
-            // Check if file path contains this folder name
-            // e.g., 'content/downloads/readme.txt' contains 'downloads'
-            const pathParts = file.path.split('/');
-            // pathParts might be ['content', 'downloads', 'readme.txt']
-            // Check if folder name is in the path (not in filename)
-            const folderPath = pathParts.slice(0, -1).join('/').toLowerCase();
-
-            if (folderPath.includes(folderName)) {
-                contents.push({
-                    name: file.name,
-                    type: file.type || 'txt',
-                    size: file.size || '1 KB',
-                    path: file.path
-                });
-            }
+function generateFolderContents(tank, folderPath) {
+    const prefix = folderPath + '/';
+    const files = [];
+    const subfolders = new Map();
+
+    (tank.files || []).forEach(file => {
+        if (!file.path || !file.path.startsWith(prefix)) return;
+
+        // e.g. 'photos/the-trip/day1.txt' relative to 'content/' -> ['photos', 'the-trip', 'day1.txt']
+        const rest = file.path.slice(prefix.length).split('/');
+
+        if (rest.length === 1) {
+            files.push({
+                ...file,
+                type: file.type || 'txt',
+                size: file.size || '1 KB'
+            });
+        } else {
+            const name = rest[0];
+            const subfolder = subfolders.get(name) || { files: 0, bytes: 0 };
+            subfolder.files++;
+            subfolder.bytes += file.bytes || 0;
+            subfolders.set(name, subfolder);
         }
     });
 
+    // Folders first so the doors land on the first platforms
+    const contents = [...subfolders.entries()].map(([name, info]) => ({
+        name,
+        type: 'folder',
+        path: prefix + name,
+        files: info.files,
+        size: formatFileSize(info.bytes)
+    })).concat(files);
+
     // If no files found, return a placeholder
     if (contents.length === 0) {
         contents.push({
@@ -771,7 +829,7 @@ function generateFolderContents(folder, tank) {
         });
     }
 
-    console.log(`Folder "${folderName}" contains ${contents.length} files:`, contents.map(f => f.name));
+    console.log(`Folder "${folderPath}" contains ${contents.length} items:`, contents.map(f => f.name));
     return contents;
 }
 
@@ -798,6 +856,7 @@ function placeFilesOnPlatforms(tank, contents) {
         txt: 0x4444ff,
         jpeg: 0xff8800,
         png: 0x44ff44,
+        audio: 0x74c0fc,
         folder: 0xffff00
     };
 
@@ -826,6 +885,9 @@ function placeFilesOnPlatforms(tank, contents) {
 
     // Wait for all models to load, then place files
     Promise.all(modelPromises).then(() => {
+        // The level may have changed while models were loading
+        if (tank.sideScrollerScene !== scene) return;
+
         // Track used positions to avoid overlap
         const usedPositions = [];
         const minSpacing = 4; // Minimum distance between files
@@ -1130,16 +1192,16 @@ function highlightNearestFile(tank) {
         nearest.scale.copy(nearest.userData.originalScale).multiplyScalar(pulse * 1.2);
 
         // Show file name hint
-        showFileHint(nearest.userData.name, nearest.userData.type);
+        showFileHint(nearest.userData.name, nearest.userData.type, getKeyLabel(tank, 'sideScroller', 'open'));
     } else {
         hideFileHint();
     }
 }
 
 /**
- * Show file name hint near selection
+ * Show file name hint near selection, with the key that opens it
  */
-function showFileHint(name, type) {
+function showFileHint(name, type, openKey) {
     let hint = document.getElementById('file-select-hint');
     if (!hint) {
         hint = document.createElement('div');
@@ -1162,7 +1224,7 @@ function showFileHint(name, type) {
         `;
         document.body.appendChild(hint);
     }
-    hint.innerHTML = `<span style="color: #00ffff; font-weight: 600;">${name}</span><br><span style="color: #88aaaa; font-size: 11px;"><span style="color: #00ffff;">Enter</span> to open</span>`;
+    hint.innerHTML = `<span style="color: #00ffff; font-weight: 600;">${escapeHtml(name)}</span><br><span style="color: #88aaaa; font-size: 11px;"><span style="color: #00ffff;">${escapeHtml(openKey || 'Tap')}</span> ${type === 'folder' ? 'to go inside' : 'to open'}</span>`;
     hint.style.display = 'block';
 }
 
@@ -1182,10 +1244,10 @@ export function handleSideScrollerInput(tank, input) {
 }
 
 /**
- * Hide swimming tank UI elements
+ * Hide swimming tank UI elements and show the breadcrumb header
  */
-function hideSwimmingTankUI(folderName) {
-    const elements = ['controls', 'selection-hint', 'light-panel', 'crosshair', 'fileInfoPanel', 'controls-panel'];
+function hideSwimmingTankUI(tank, breadcrumbs) {
+    const elements = ['controls', 'selection-hint', 'light-panel', 'crosshair', 'fileInfoPanel', 'controls-panel', 'open-folder-btn', 'minimap', 'target-hud'];
     elements.forEach(id => {
         const el = document.getElementById(id);
         if (el) el.style.display = 'none';
@@ -1198,6 +1260,7 @@ function hideSwimmingTankUI(folderName) {
         hint.id = 'sidescroller-hint';
         document.body.appendChild(hint);
     }
+    const backKey = getKeyLabel(tank, 'sideScroller', 'back');
     hint.innerHTML = `
         <div style="
             position: fixed;
@@ -1214,7 +1277,7 @@ function hideSwimmingTankUI(folderName) {
             font-weight: 600;
             z-index: 1000;
             text-shadow: 0 0 10px rgba(0, 255, 255, 0.5);
-        ">${folderName || 'Folder'}</div>
+        ">${breadcrumbs.map(escapeHtml).join(' <span style="color: #88aaaa;">›</span> ') || 'Folder'}</div>
         <div style="
             position: fixed;
             bottom: 20px;
@@ -1228,8 +1291,9 @@ function hideSwimmingTankUI(folderName) {
             font-family: 'Geist Mono', monospace;
             font-size: 13px;
             z-index: 1000;
+            ${backKey ? '' : 'display: none;'}
         ">
-            <span style="color: #00ffff;">Esc</span> to go back
+            <span style="color: #00ffff;">${escapeHtml(backKey)}</span> ${breadcrumbs.length > 1 ? `back to ${escapeHtml(breadcrumbs[breadcrumbs.length - 2])}` : 'to go back'}
         </div>
     `;
     hint.style.display = 'block';
@@ -1239,7 +1303,7 @@ function hideSwimmingTankUI(folderName) {
  * Show swimming tank UI elements
  */
 function showSwimmingTankUI() {
-    const elements = ['controls', 'crosshair', 'controls-panel'];
+    const elements = ['controls', 'crosshair', 'controls-panel', 'open-folder-btn', 'minimap', 'target-hud'];
     elements.forEach(id => {
         const el = document.getElementById(id);
         if (el) el.style.display = '';
@@ -0,0 +1,121 @@
+/**
+ * Tag queries - "work AND NOT done", "music || (photos && 2023)", "-draft"
+ *
+ * No imports, so the parser is tested on its own in test/tagquery.test.js.
+ * Words next to each other are ANDed; NOT binds tightest, then AND, then OR.
+ */
+
+const OPERATORS = {
+    and: 'and', '&&': 'and', '&': 'and',
+    or: 'or', '||': 'or', '|': 'or',
+    not: 'not', '!': 'not', '-': 'not'
+};
+
+/**
+ * Tag as it's stored and matched - lowercase, with dashes for spaces
+ */
+export function normalizeTag(tag) {
+    return String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Whether a word can be used as a tag (operator words can't)
+ */
+export function isValidTag(tag) {
+    return /^[^\s()!&|]+$/.test(tag) && !tag.startsWith('-') && !(tag in OPERATORS);
+}
+
+/**
+ * Compile a query into a predicate over a file's tags (an array or Set) -
+ * an empty query gives null, a malformed one throws
+ */
+export function parseTagQuery(query) {
+    const tokens = tokenize(query);
+    if (tokens.length === 0) return null;
+
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (peek()?.type === 'or') {
+            next();
+            const left = node;
+            const right = parseAnd();
+            node = tags => left(tags) || right(tags);
+        }
+        return node;
+    };
+
+    const parseAnd = () => {
+        let node = parseNot();
+        // An explicit AND, or a term right after another one
+        while (peek() && (peek().type === 'and' || peek().type === 'tag' ||
+            peek().type === 'not' || peek().type === '(')) {
+            if (peek().type === 'and') next();
+            const left = node;
+            const right = parseNot();
+            node = tags => left(tags) && right(tags);
+        }
+        return node;
+    };
+
+    const parseNot = () => {
+        if (peek()?.type === 'not') {
+            next();
+            const operand = parseNot();
+            return tags => !operand(tags);
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+        if (!token) throw new Error('Query ends too early');
+
+        if (token.type === '(') {
+            const node = parseOr();
+            if (next()?.type !== ')') throw new Error('Missing )');
+            return node;
+        }
+        if (token.type === 'tag') {
+            return tags => tags.has(token.value);
+        }
+        throw new Error(`Unexpected "${token.text}"`);
+    };
+
+    const predicate = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position].text}"`);
+    }
+
+    return tags => predicate(tags instanceof Set ? tags : new Set(tags));
+}
+
+/**
+ * Split a query into parentheses, operators and tags
+ */
+function tokenize(query) {
+    const tokens = [];
+    const pattern = /\s*(\(|\)|&&|\|\||[&|!]|-(?=\S)|[^\s()!&|]+)/gy;
+    let end = 0;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        end = pattern.lastIndex;
+        const text = match[1];
+        const operator = OPERATORS[text.toLowerCase()];
+        if (text === '(' || text === ')') {
+            tokens.push({ type: text, text });
+        } else if (operator) {
+            tokens.push({ type: operator, text });
+        } else {
+            tokens.push({ type: 'tag', text, value: normalizeTag(text) });
+        }
+    }
+
+    const rest = query.slice(end).trim();
+    if (rest) throw new Error(`Can't read "${rest}"`);
+    return tokens;
+}
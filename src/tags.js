@@ -0,0 +1,411 @@
+/**
+ * Tags - labels on files and folders, shown as coloured halos around their objects.
+ * Press I to edit the selected object's tags in its info panel, and H for a filter
+ * bar that dims or hides everything not matching a query like "work AND NOT done".
+ *
+ * Tags come from the tags: lists in file-layout.yaml; tags edited here are kept in
+ * localStorage per root and take precedence.
+ */
+import * as THREE from 'three';
+import { parseTagQuery, normalizeTag, isValidTag } from './tagquery.js';
+import { createOutline, disposeOutline } from './ui.js';
+import { getKeyLabel } from './keybindings.js';
+import { createRootStore, escapeHtml, hashString } from './utils.js';
+
+const tagStore = createRootStore('swimming-tank:tags:', 'tags');
+const MAX_RINGS = 3;          // Halo rings per object - further tags are only listed
+const RING_SCALE = 1.06;      // First ring's size relative to the object
+const RING_SPACING = 0.06;    // Each further ring is this much bigger
+const DIM_OPACITY = 0.15;     // Opacity of objects the filter dims
+
+/**
+ * Tags of a file or folder - edited ones, or the layout's
+ */
+export function getTags(tank, fileData) {
+    const stored = tagStore.get(tank);
+    if (fileData.path && fileData.path in stored) return stored[fileData.path];
+    return fileData.tags || [];
+}
+
+/**
+ * Give an object new tags and refresh its halo and the filter
+ */
+export function setTags(tank, object, tags) {
+    const path = object.userData.path;
+    if (!path) return;
+
+    tagStore.update(tank, stored => {
+        stored[path] = tags;
+    });
+    refreshTagHalos(tank);
+    if (tank.tagFilter?.predicate) applyTagFilter(tank);
+}
+
+/**
+ * Carry edited tags over when a file is renamed or moved
+ */
+export function moveTags(tank, from, to) {
+    if (from === to || !(from in tagStore.get(tank))) return;
+
+    tagStore.update(tank, stored => {
+        stored[to] = stored[from];
+        delete stored[from];
+    });
+}
+
+/**
+ * Every tag in use, most used first
+ */
+export function getAllTags(tank) {
+    const counts = new Map();
+    tank.allObjects.forEach(object => {
+        getTags(tank, object.userData).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag]) => tag);
+}
+
+/**
+ * Hue of a tag - the same tag always gets the same colour
+ */
+function getTagHue(tag) {
+    return hashString(tag) % 360;
+}
+
+/**
+ * Tag colour as a CSS colour
+ */
+function getTagCss(tag) {
+    return `hsl(${getTagHue(tag)}, 80%, 65%)`;
+}
+
+/**
+ * Chips for a list of tags - removable ones get a × button
+ */
+function renderChips(tags, removable = false) {
+    return tags.map((tag, index) => `
+        <span class="tag-chip" style="--tag-color: ${getTagCss(tag)}">
+            ${escapeHtml(tag)}${removable ? `<button class="tag-remove" data-index="${index}" title="Remove tag">&times;</button>` : ''}
+        </span>
+    `).join('');
+}
+
+/**
+ * Tags row of the file info panel
+ */
+export function renderTagRow(tank, fileData) {
+    return `<div class="file-info-tags">${renderChips(getTags(tank, fileData))}</div>`;
+}
+
+/**
+ * Edit the selected object's tags in its info panel (I) - Enter adds,
+ * Backspace in the empty field removes the last tag, Escape finishes
+ */
+export function editTags(tank) {
+    const object = tank.selectedObject;
+    const panel = tank.fileInfoPanel;
+    if (!object || !panel || !object.userData.path) return;
+
+    // Stay selected while typing, even if the frog drifts
+    tank.pinnedObject = object;
+    panel.classList.add('editing');
+    renderTagEditor(tank, object);
+}
+
+/**
+ * Chips with remove buttons and a field for new tags
+ */
+function renderTagEditor(tank, object) {
+    const row = tank.fileInfoPanel.querySelector('.file-info-tags');
+    if (!row) return;
+
+    const tags = getTags(tank, object.userData);
+    row.innerHTML = `
+        ${renderChips(tags, true)}
+        <input class="tag-input" type="text" placeholder="add tag…" autocomplete="off" spellcheck="false">
+    `;
+
+    const input = row.querySelector('.tag-input');
+    input.focus();
+
+    const update = (newTags) => {
+        setTags(tank, object, newTags);
+        renderTagEditor(tank, object);
+    };
+
+    row.querySelectorAll('.tag-remove').forEach(button => {
+        // Keep the field focused so the editor stays open
+        button.addEventListener('mousedown', event => event.preventDefault());
+        button.addEventListener('click', () => {
+            update(tags.filter((_, index) => index !== Number(button.dataset.index)));
+        });
+    });
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ',') {
+            event.preventDefault();
+            const added = input.value.split(/[,\s]+/).map(normalizeTag).filter(Boolean);
+            const invalid = added.filter(tag => !isValidTag(tag));
+            if (invalid.length > 0) {
+                console.warn(`Not a valid tag: ${invalid.join(', ')}`);
+                input.classList.add('invalid');
+                return;
+            }
+            const newTags = [...new Set([...tags, ...added])];
+            if (newTags.length !== tags.length) update(newTags);
+        } else if (event.key === 'Backspace' && input.value === '' && tags.length > 0) {
+            update(tags.slice(0, -1));
+        } else if (event.key === 'Escape') {
+            input.blur();
+        } else {
+            input.classList.remove('invalid');
+        }
+    });
+
+    input.addEventListener('blur', () => {
+        // Re-rendering the row also blurs the old field - only finish if the editor is gone
+        setTimeout(() => {
+            if (row.contains(document.activeElement)) return;
+            tank.fileInfoPanel.classList.remove('editing');
+            if (tank.selectedObject === object) row.innerHTML = renderChips(getTags(tank, object.userData));
+        }, 0);
+    });
+}
+
+/**
+ * Show or hide the tag filter bar (H) - hiding it clears the filter
+ */
+export function toggleTagFilter(tank) {
+    if (isTagFilterOpen(tank)) {
+        closeTagFilter(tank);
+        return;
+    }
+
+    const bar = document.getElementById('tag-filter');
+    const input = document.getElementById('tag-filter-input');
+    if (!bar || !input) return;
+
+    if (!tank.tagFilter) setupTagFilter(tank, input);
+
+    bar.classList.remove('hidden');
+    renderTagSuggestions(tank);
+    input.focus();
+}
+
+/**
+ * Clear the filter and hide its bar
+ */
+export function closeTagFilter(tank) {
+    document.getElementById('tag-filter')?.classList.add('hidden');
+    const input = document.getElementById('tag-filter-input');
+    if (input) {
+        input.value = '';
+        input.blur();
+    }
+    if (tank.tagFilter?.predicate) {
+        tank.tagFilter.predicate = null;
+        applyTagFilter(tank);
+    }
+}
+
+/**
+ * Whether the tag filter bar is showing
+ */
+export function isTagFilterOpen(tank) {
+    const bar = document.getElementById('tag-filter');
+    return Boolean(bar) && !bar.classList.contains('hidden');
+}
+
+/**
+ * Wire up the filter field and the dim/hide switch (once)
+ */
+function setupTagFilter(tank, input) {
+    tank.tagFilter = { predicate: null, mode: 'dim', excluded: new Set() };
+
+    input.addEventListener('input', () => setTagQuery(tank, input.value));
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            closeTagFilter(tank);
+        } else if (event.key === 'Enter') {
+            // Keep the filter and get back to swimming
+            input.blur();
+        }
+    });
+
+    const modeButton = document.getElementById('tag-filter-mode');
+    modeButton?.addEventListener('click', () => {
+        tank.tagFilter.mode = tank.tagFilter.mode === 'dim' ? 'hide' : 'dim';
+        modeButton.textContent = tank.tagFilter.mode === 'dim' ? 'Dim' : 'Hide';
+        applyTagFilter(tank);
+    });
+
+    document.getElementById('tag-filter-tags')?.addEventListener('click', (event) => {
+        const chip = event.target.closest('[data-tag]');
+        if (!chip) return;
+        input.value = input.value.trim() ? `${input.value.trim()} ${chip.dataset.tag}` : chip.dataset.tag;
+        setTagQuery(tank, input.value);
+        input.focus();
+    });
+}
+
+/**
+ * Filter by a query - a malformed one keeps the last good filter
+ */
+function setTagQuery(tank, query) {
+    let predicate;
+    try {
+        predicate = parseTagQuery(query);
+    } catch (error) {
+        setFilterStatus(error.message, true);
+        return;
+    }
+
+    tank.tagFilter.predicate = predicate;
+    applyTagFilter(tank);
+}
+
+/**
+ * Known tags under the filter field, to click into the query
+ */
+function renderTagSuggestions(tank) {
+    const container = document.getElementById('tag-filter-tags');
+    if (!container) return;
+
+    const tags = getAllTags(tank);
+    const editKey = getKeyLabel(tank, 'swim', 'editTags');
+    container.innerHTML = tags.length === 0 ?
+        `<span class="tag-filter-empty">No tags yet - select a file and ${editKey ? `press ${escapeHtml(editKey)}` : 'open its info panel'} to add some</span>` :
+        tags.map(tag => `
+            <button class="tag-chip" data-tag="${escapeHtml(tag)}" style="--tag-color: ${getTagCss(tag)}">${escapeHtml(tag)}</button>
+        `).join('');
+}
+
+/**
+ * Line under the filter field
+ */
+function setFilterStatus(text, isError = false) {
+    const status = document.getElementById('tag-filter-status');
+    if (!status) return;
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+}
+
+/**
+ * Dim or hide the objects that don't match the filter - or bring them all back
+ */
+function applyTagFilter(tank) {
+    const filter = tank.tagFilter;
+    filter.excluded.clear();
+
+    tank.allObjects.forEach(object => {
+        const matches = !filter.predicate || filter.predicate(getTags(tank, object.userData));
+        if (!matches) filter.excluded.add(object);
+
+        object.visible = matches || filter.mode !== 'hide';
+        setDimmed(object, !matches && filter.mode === 'dim');
+    });
+
+    if (filter.predicate) {
+        const count = tank.allObjects.length - filter.excluded.size;
+        setFilterStatus(`${count} of ${tank.allObjects.length} match`);
+    } else {
+        setFilterStatus('');
+    }
+}
+
+/**
+ * Swap an object's materials for faded copies, or back
+ */
+function setDimmed(object, dimmed) {
+    object.traverse(child => {
+        if (!child.isMesh) return;
+
+        const original = child.userData.undimmedMaterial;
+        if (dimmed && !original) {
+            child.userData.undimmedMaterial = child.material;
+            child.material = Array.isArray(child.material) ?
+                child.material.map(createDimMaterial) : createDimMaterial(child.material);
+        } else if (!dimmed && original) {
+            [child.material].flat().forEach(material => material.dispose());
+            child.material = original;
+            delete child.userData.undimmedMaterial;
+        }
+    });
+}
+
+/**
+ * See-through copy of a material (textures are shared, not copied)
+ */
+function createDimMaterial(material) {
+    const dim = material.clone();
+    dim.transparent = true;
+    dim.opacity = material.opacity * DIM_OPACITY;
+    dim.depthWrite = false;
+    return dim;
+}
+
+/**
+ * Keep the halos on their objects - and catch up when objects are added or replaced
+ */
+export function updateTags(tank) {
+    if (tank.tagObjects !== tank.allObjects) {
+        tank.tagObjects = tank.allObjects;
+        refreshTagHalos(tank);
+        if (tank.tagFilter?.predicate) applyTagFilter(tank);
+    }
+
+    if (!tank.tagHalos?.size) return;
+
+    const time = tank.swimTime;
+    const dimmed = tank.tagFilter?.mode === 'dim' ? tank.tagFilter.excluded : null;
+
+    tank.tagHalos.forEach(({ rings }, object) => {
+        const faded = dimmed?.has(object);
+        rings.forEach((ring, index) => {
+            ring.visible = object.visible;
+            ring.position.copy(object.position);
+            ring.rotation.copy(object.rotation);
+            ring.scale.copy(object.scale).multiplyScalar(RING_SCALE + index * RING_SPACING);
+
+            const opacity = faded ? DIM_OPACITY : 0.55 + Math.sin(time * 1.5 + index) * 0.2;
+            ring.children.forEach(line => { line.material.opacity = opacity; });
+        });
+    });
+}
+
+/**
+ * One ring per tag (up to MAX_RINGS) around every tagged object
+ */
+function refreshTagHalos(tank) {
+    if (!tank.tagHalos) tank.tagHalos = new Map();
+
+    const current = new Set(tank.allObjects);
+    tank.tagHalos.forEach((_, object) => {
+        if (!current.has(object)) removeHalo(tank, object);
+    });
+
+    tank.allObjects.forEach(object => {
+        const tags = getTags(tank, object.userData).slice(0, MAX_RINGS);
+        const key = tags.join(' ');
+        const halo = tank.tagHalos.get(object);
+        if (halo?.key === key) return;
+
+        if (halo) removeHalo(tank, object);
+        if (tags.length === 0) return;
+
+        const rings = tags.map(tag => {
+            const ring = createOutline(object, new THREE.Color(getTagCss(tag)));
+            tank.scene.add(ring);
+            return ring;
+        });
+        tank.tagHalos.set(object, { key, rings });
+    });
+}
+
+/**
+ * Take an object's halo out of the scene
+ */
+function removeHalo(tank, object) {
+    tank.tagHalos.get(object).rings.forEach(ring => disposeOutline(tank, ring));
+    tank.tagHalos.delete(object);
+}
@@ -0,0 +1,95 @@
+/**
+ * Targeting - Tab / Shift+Tab step through every object in selection range (best
+ * first, by the same score the automatic selection uses) and Q locks the target,
+ * so it stays selected while the frog swims. A small HUD lists the candidates.
+ */
+import { selectObject } from './ui.js';
+import { getKeyLabel } from './keybindings.js';
+import { escapeHtml } from './utils.js';
+
+const MAX_HUD_ROWS = 8;
+
+/**
+ * Select the next (step 1) or previous (step -1) candidate - moves the lock along if there is one
+ */
+export function cycleTarget(tank, step) {
+    const candidates = (tank.selectionCandidates || []).map(candidate => candidate.object);
+    if (candidates.length === 0) return;
+
+    const index = candidates.indexOf(tank.selectedObject);
+    let next;
+    if (index === -1) {
+        next = step > 0 ? 0 : candidates.length - 1;
+    } else {
+        next = (index + step + candidates.length) % candidates.length;
+    }
+
+    // Pinned, so the score doesn't take the selection straight back
+    selectObject(tank, candidates[next]);
+}
+
+/**
+ * Lock the selected object as the target (Q), or release the lock
+ */
+export function toggleTargetLock(tank) {
+    if (tank.lockedObject) {
+        console.log(`Released target: ${tank.lockedObject.userData.name}`);
+        tank.lockedObject = null;
+        // Keep it selected for now - it goes once the frog swims out of range
+        tank.pinnedObject = tank.selectedObject;
+        return;
+    }
+
+    if (!tank.selectedObject) return;
+    tank.lockedObject = tank.selectedObject;
+    console.log(`Locked target: ${tank.lockedObject.userData.name}`);
+}
+
+/**
+ * Show the candidates (and the locked target) in the HUD - redrawn only when something changed
+ */
+export function updateTargetHud(tank) {
+    const hud = document.getElementById('target-hud');
+    if (!hud) return;
+
+    const all = tank.selectionCandidates || [];
+    const candidates = all.slice(0, MAX_HUD_ROWS);
+    const locked = tank.lockedObject;
+    const rows = [...candidates];
+
+    // A locked target out of range still gets a row, on top
+    if (locked && !rows.some(row => row.object === locked)) {
+        rows.unshift({ object: locked, distance: tank.frog.position.distanceTo(locked.position) });
+    }
+
+    // Worth showing when there's a choice to make, or a lock to see
+    const visible = rows.length > 1 || Boolean(locked);
+    const keys = [
+        [getKeyLabel(tank, 'swim', 'nextTarget'), getKeyLabel(tank, 'swim', 'previousTarget')].filter(Boolean).join(' / '),
+        getKeyLabel(tank, 'swim', 'lockTarget') && `${getKeyLabel(tank, 'swim', 'lockTarget')} ${locked ? 'unlock' : 'lock'}`
+    ].filter(Boolean).join(' · ');
+    const key = visible ? rows.map(row => `${row.object.id}:${Math.round(row.distance)}`).join(',') +
+        `|${tank.selectedObject?.id}|${locked?.id}|${all.length}|${keys}` : '';
+
+    if (key === tank.targetHudKey) return;
+    tank.targetHudKey = key;
+
+    hud.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const more = all.length - candidates.length;
+    hud.innerHTML = `
+        <div class="target-hud-title">
+            Targets
+            <span class="target-hud-keys">${escapeHtml(keys)}</span>
+        </div>
+        ${rows.map(({ object, distance }) => `
+            <div class="target-hud-row${object === tank.selectedObject ? ' selected' : ''}">
+                <span class="target-hud-marker">${object === locked ? '🔒' : object === tank.selectedObject ? '▸' : ''}</span>
+                <span class="target-hud-name">${escapeHtml(object.userData.name)}</span>
+                <span class="target-hud-distance">${Math.round(distance)} m</span>
+            </div>
+        `).join('')}
+        ${more > 0 ? `<div class="target-hud-more">+${more} more</div>` : ''}
+    `;
+}
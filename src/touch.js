@@ -0,0 +1,271 @@
+/**
+ * Touch controls - an on-screen joystick and buttons for tablets and phones,
+ * shown once the screen is touched (or straight away on a touch-only device).
+ *
+ *   Swimming:       joystick swims (further out, more force), ▲ / ▼ swim up / down,
+ *                   Dash, tap an object to open it, pinch to zoom, drag to look
+ *                   around (orbit and first person)
+ *   Side-scroller:  left / right / jump zones along the bottom, ▼ drops through
+ *                   a platform, tap to open the selected file
+ *   Both:           Open and Back, like Enter and Escape
+ */
+import * as THREE from 'three';
+import { performDash } from './frog.js';
+import { zoomCamera } from './camera.js';
+import { pickObject } from './arrange.js';
+import { selectObject, openPreview } from './ui.js';
+import { openSelection, goBack } from './controls.js';
+
+const TAP_TIME = 300;    // ms - a longer press isn't a tap
+const TAP_SLOP = 10;     // px a tap may wander
+const LOOK_SCALE = 1.5;  // Finger drag to mouse movement
+
+/**
+ * Wire up the joystick, buttons and canvas gestures
+ */
+export function setupTouchControls(tank) {
+    const overlay = document.getElementById('touch-controls');
+    if (!overlay) return;
+
+    tank.touch = {
+        enabled: false,
+        sideScroller: false,
+        pointers: new Map(),   // Fingers on the canvas, by pointer id
+        pinchDistance: null,
+        gesture: false         // Set once fingers pinch or drag, so lifting them isn't a tap
+    };
+
+    if (window.matchMedia('(pointer: coarse)').matches) {
+        setTouchMode(tank, true);
+    }
+
+    // Touch shows the controls, a real mouse hides them again
+    window.addEventListener('pointerdown', (event) => {
+        if (event.pointerType === 'touch') setTouchMode(tank, true);
+    }, { capture: true });
+    window.addEventListener('pointermove', (event) => {
+        if (event.pointerType === 'mouse' && (event.movementX || event.movementY)) setTouchMode(tank, false);
+    });
+
+    setupJoystick(tank, overlay.querySelector('#touch-joystick'));
+    overlay.querySelectorAll('[data-hold]').forEach(element => setupHoldButton(tank, element));
+    overlay.querySelectorAll('[data-action]').forEach(element => setupActionButton(tank, element));
+    setupCanvasGestures(tank);
+}
+
+/**
+ * Swap the controls for the side-scroller's and back as the mode changes
+ */
+export function updateTouchControls(tank) {
+    if (!tank.touch?.enabled) return;
+
+    const sideScroller = Boolean(tank.sideScrollerMode);
+    if (sideScroller === tank.touch.sideScroller) return;
+
+    tank.touch.sideScroller = sideScroller;
+    document.getElementById('touch-controls').classList.toggle('side-scroller', sideScroller);
+}
+
+/**
+ * Show or hide the on-screen controls
+ */
+function setTouchMode(tank, enabled) {
+    if (tank.touch.enabled === enabled) return;
+
+    tank.touch.enabled = enabled;
+    tank.touch.sideScroller = null;    // Picked up on the next frame
+    document.body.classList.toggle('touch-mode', enabled);
+    document.getElementById('touch-controls').classList.toggle('hidden', !enabled);
+}
+
+/**
+ * Virtual joystick - the knob's offset from the centre is the swim direction and strength
+ */
+function setupJoystick(tank, base) {
+    if (!base) return;
+
+    const knob = base.querySelector('.touch-joystick-knob');
+    let active = null;
+
+    const move = (event) => {
+        const rect = base.getBoundingClientRect();
+        const radius = rect.width / 2;
+        const offset = new THREE.Vector2(
+            event.clientX - rect.left - radius,
+            event.clientY - rect.top - radius
+        ).clampLength(0, radius);
+
+        knob.style.transform = `translate(${offset.x}px, ${offset.y}px)`;
+        // Screen down is backwards, as with the S key
+        tank.analogMovement.x = offset.x / radius;
+        tank.analogMovement.z = offset.y / radius;
+    };
+
+    base.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        active = event.pointerId;
+        base.setPointerCapture(active);
+        move(event);
+    });
+
+    base.addEventListener('pointermove', (event) => {
+        if (event.pointerId === active) move(event);
+    });
+
+    const release = (event) => {
+        if (event.pointerId !== active) return;
+        active = null;
+        knob.style.transform = '';
+        tank.analogMovement.x = 0;
+        tank.analogMovement.z = 0;
+    };
+    base.addEventListener('pointerup', release);
+    base.addEventListener('pointercancel', release);
+}
+
+/**
+ * A button or zone that counts as a held key while a finger is on it
+ */
+function setupHoldButton(tank, element) {
+    const name = element.dataset.hold;
+    let held = null;
+
+    element.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        element.setPointerCapture(event.pointerId);
+        element.classList.add('active');
+
+        // Let go of the same input it pressed, even if the mode changed in between
+        held = tank.sideScrollerMode ? tank.sideScrollerInput : tank.movement;
+        held[name] = true;
+    });
+
+    const release = () => {
+        element.classList.remove('active');
+        if (held) held[name] = false;
+        held = null;
+    };
+    element.addEventListener('pointerup', release);
+    element.addEventListener('pointercancel', release);
+}
+
+/**
+ * A button that acts once per press
+ */
+function setupActionButton(tank, element) {
+    const actions = {
+        dash: () => performDash(tank),
+        open: () => openSelection(tank),
+        back: () => goBack(tank)
+    };
+
+    element.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        actions[element.dataset.action]?.();
+    });
+}
+
+/**
+ * Taps, pinches and drags on the tank itself
+ */
+function setupCanvasGestures(tank) {
+    const canvas = tank.renderer.domElement;
+    const touch = tank.touch;
+
+    canvas.addEventListener('pointerdown', (event) => {
+        if (event.pointerType !== 'touch') return;
+        // No emulated mouse events - they'd start an object drag
+        event.preventDefault();
+
+        touch.pointers.set(event.pointerId, {
+            x: event.clientX,
+            y: event.clientY,
+            startX: event.clientX,
+            startY: event.clientY,
+            time: performance.now()
+        });
+
+        if (touch.pointers.size === 2) {
+            touch.pinchDistance = getPinchDistance(touch);
+            touch.gesture = true;
+        }
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+        const finger = touch.pointers.get(event.pointerId);
+        if (!finger) return;
+
+        const dx = event.clientX - finger.x;
+        const dy = event.clientY - finger.y;
+        finger.x = event.clientX;
+        finger.y = event.clientY;
+
+        if (touch.pointers.size >= 2) {
+            // Fingers apart zooms in
+            const distance = getPinchDistance(touch);
+            if (touch.pinchDistance > 0 && distance > 0) {
+                zoomCamera(tank, touch.pinchDistance / distance);
+            }
+            touch.pinchDistance = distance;
+            return;
+        }
+
+        if (Math.hypot(finger.x - finger.startX, finger.y - finger.startY) > TAP_SLOP) {
+            touch.gesture = true;
+        }
+
+        // One finger looks around, like the mouse
+        if (touch.gesture && !tank.sideScrollerMode && tank.cameraMode !== 'chase') {
+            tank.mouseX += dx * LOOK_SCALE;
+            tank.mouseY += dy * LOOK_SCALE;
+        }
+    });
+
+    const release = (event) => {
+        const finger = touch.pointers.get(event.pointerId);
+        if (!finger) return;
+        touch.pointers.delete(event.pointerId);
+
+        if (touch.pointers.size < 2) touch.pinchDistance = null;
+        if (touch.pointers.size > 0) return;
+
+        const tapped = event.type === 'pointerup' && !touch.gesture &&
+            performance.now() - finger.time < TAP_TIME;
+        touch.gesture = false;
+        if (tapped) handleTap(tank, event);
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+}
+
+/**
+ * Open what was tapped - the object under the finger, or the side-scroller's selected file
+ */
+function handleTap(tank, event) {
+    if (tank.sideScrollerMode) {
+        openSelection(tank);
+        return;
+    }
+
+    const rect = tank.renderer.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, tank.camera);
+
+    const object = pickObject(tank, raycaster);
+    if (!object || !object.visible) return;
+
+    selectObject(tank, object);
+    openPreview(tank, object);
+}
+
+/**
+ * Distance between the first two fingers on the canvas
+ */
+function getPinchDistance(touch) {
+    const [a, b] = touch.pointers.values();
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
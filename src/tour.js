@@ -0,0 +1,440 @@
+/**
+ * Guided tours - the frog swims from area to area on its own, pausing at each
+ * landmark with a caption card (the area's description from file-layout.yaml,
+ * or the tour's own words) and rings around a few files worth a look.
+ *
+ * Tours are scripted in content/tours.yaml; without one, the tour visits every
+ * area in layout order. Y starts a tour (or picks one when there are several),
+ * any movement input or Escape ends it.
+ */
+import * as THREE from 'three';
+import { load as parseYaml } from 'js-yaml';
+import { swimToPoint, hasMovementInput } from './frog.js';
+import { realignCamera } from './camera.js';
+import { TOURS_PATH, TRASH_AREA } from './layout.js';
+import { getTags } from './tags.js';
+import { createOutline, disposeOutline, selectObject, openPreview } from './ui.js';
+import { getKeyLabel } from './keybindings.js';
+import { escapeHtml } from './utils.js';
+
+const DEFAULT_PAUSE = 8;           // Seconds at each stop
+const MAX_HIGHLIGHTS = 3;          // Files ringed per stop when the tour doesn't list them
+const VIEW_DISTANCE = 14;          // How far from an area's landmark the frog stops
+const VIEW_HEIGHT = 0.3;           // Share of the tank height to look from
+const HIGHLIGHT_COLOR = 0xffd43b;
+const HIGHLIGHT_SCALE = 1.35;
+
+/**
+ * Fetch, parse and validate the tours file - falls back to a tour of every
+ * area when the file is missing or broken. Call once the layout is applied.
+ */
+export async function loadTours(tank) {
+    tank.tours = [createDefaultTour(tank)];
+
+    let data;
+    try {
+        const response = await fetch(TOURS_PATH);
+        if (!response.ok) {
+            console.log(`No ${TOURS_PATH} (${response.status}) - touring every area`);
+            return tank.tours;
+        }
+        data = parseYaml(await response.text());
+    } catch (error) {
+        console.error(`${TOURS_PATH}: ${error.message}`);
+        return tank.tours;
+    }
+
+    const errors = validateTours(data, Object.keys(tank.areaPositions));
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`${TOURS_PATH}: ${error}`));
+        console.warn(`Ignoring ${TOURS_PATH} - touring every area instead`);
+        return tank.tours;
+    }
+
+    tank.tours = Object.entries(data.tours).map(([key, tour]) => ({
+        key,
+        name: tour.name || key,
+        description: tour.description || '',
+        stops: tour.stops.map(stop => ({
+            area: stop.area,
+            caption: stop.caption || null,
+            files: stop.files || null,
+            pause: stop.pause ?? tour.pause ?? DEFAULT_PAUSE
+        }))
+    }));
+    console.log(`Tours loaded: ${tank.tours.map(tour => tour.name).join(', ')}`);
+
+    return tank.tours;
+}
+
+/**
+ * Check parsed tours for problems - returns a list of error messages
+ */
+export function validateTours(data, areaKeys) {
+    if (!data || typeof data !== 'object' || !data.tours || typeof data.tours !== 'object') {
+        return ['tours must map tour keys to { name, stops }'];
+    }
+
+    const errors = [];
+    const areas = new Set(areaKeys);
+    const checkPause = (where, pause) => {
+        if (pause !== undefined && (typeof pause !== 'number' || pause <= 0)) {
+            errors.push(`${where}: pause must be a number of seconds`);
+        }
+    };
+
+    Object.entries(data.tours).forEach(([key, tour]) => {
+        const where = `tours.${key}`;
+        if (!tour || typeof tour !== 'object') {
+            errors.push(`${where}: tour is empty`);
+            return;
+        }
+
+        checkPause(where, tour.pause);
+
+        if (!Array.isArray(tour.stops) || tour.stops.length === 0) {
+            errors.push(`${where}: stops must be a non-empty list`);
+            return;
+        }
+
+        tour.stops.forEach((stop, i) => {
+            const stopWhere = `${where}.stops[${i}]`;
+            if (!stop || !stop.area) {
+                errors.push(`${stopWhere}: missing area`);
+                return;
+            }
+            if (!areas.has(stop.area)) {
+                errors.push(`${stopWhere}: unknown area "${stop.area}"`);
+            }
+            if (stop.caption !== undefined && typeof stop.caption !== 'string') {
+                errors.push(`${stopWhere}: caption must be text`);
+            }
+            if (stop.files !== undefined &&
+                (!Array.isArray(stop.files) || stop.files.some(path => typeof path !== 'string'))) {
+                errors.push(`${stopWhere}: files must be a list of paths`);
+            }
+            checkPause(stopWhere, stop.pause);
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Start or end a tour (Y) - with several tours, the card asks which one first
+ */
+export function toggleTour(tank) {
+    if (isTourOpen(tank)) {
+        closeTour(tank);
+        return;
+    }
+    if (tank.sideScrollerMode || !tank.frog) return;
+
+    const tours = tank.tours || [createDefaultTour(tank)];
+    if (tours.length === 1) {
+        startTour(tank, tours[0]);
+        return;
+    }
+
+    getCard()?.classList.remove('hidden');
+    renderCard(tank);
+}
+
+/**
+ * Swim off on a tour from its first stop
+ */
+export function startTour(tank, tour) {
+    if (tank.tour) clearHighlights(tank);
+
+    tank.tour = { tour, index: 0, phase: 'swimming', guide: null, pauseStart: 0, pauseUntil: 0, lastUpdate: 0, highlights: [] };
+    getCard()?.classList.remove('hidden');
+    console.log(`Tour started: ${tour.name}`);
+
+    goToStop(tank, 0);
+}
+
+/**
+ * End the running tour, or close the tour picker
+ */
+export function closeTour(tank, reason = 'Tour ended') {
+    getCard()?.classList.add('hidden');
+    if (!tank.tour) return;
+
+    clearHighlights(tank);
+    if (tank.autopilot && tank.autopilot.guide === tank.tour.guide) {
+        tank.autopilot.guide = null;
+        tank.autopilot.active = false;
+    }
+    tank.tour = null;
+    console.log(reason);
+}
+
+/**
+ * Whether a tour is running or the tour picker is showing
+ */
+export function isTourOpen(tank) {
+    const card = getCard();
+    return Boolean(tank.tour) || (Boolean(card) && !card.classList.contains('hidden'));
+}
+
+/**
+ * Move the tour along - on to the next stop once the pause is over, and off
+ * when the player takes over
+ */
+export function updateTour(tank) {
+    const state = tank.tour;
+    if (!state) return;
+
+    if (tank.sideScrollerMode || hasMovementInput(tank)) {
+        closeTour(tank);
+        return;
+    }
+
+    // Something else sent the frog somewhere (a bookmark, a search result)
+    if (state.phase === 'swimming' && tank.autopilot?.guide !== state.guide) {
+        closeTour(tank);
+        return;
+    }
+
+    if (state.phase === 'paused') {
+        const now = Date.now();
+        // No idle wandering while the card is up
+        tank.autopilot.lastInputTime = now;
+
+        // Stay put while a file from the stop is being read
+        if (tank.previewWindows.length > 0) {
+            const held = now - state.lastUpdate;
+            state.pauseStart += held;
+            state.pauseUntil += held;
+        }
+        state.lastUpdate = now;
+
+        if (now >= state.pauseUntil) {
+            goToStop(tank, state.index + 1);
+            return;
+        }
+
+        const bar = getCard()?.querySelector('.tour-progress-fill');
+        if (bar) {
+            const progress = (now - state.pauseStart) / (state.pauseUntil - state.pauseStart);
+            bar.style.width = `${Math.min(100, progress * 100)}%`;
+        }
+    }
+
+    const pulse = 0.6 + Math.sin(tank.swimTime * 3) * 0.3;
+    state.highlights.forEach(({ object, ring }) => {
+        ring.visible = object.visible;
+        ring.position.copy(object.position);
+        ring.rotation.copy(object.rotation);
+        ring.scale.copy(object.scale).multiplyScalar(HIGHLIGHT_SCALE);
+        ring.children.forEach(line => { line.material.opacity = pulse; });
+    });
+}
+
+/**
+ * Head for stop `index` - past the last one, the tour is over
+ */
+function goToStop(tank, index) {
+    const state = tank.tour;
+    const stops = state.tour.stops;
+    clearHighlights(tank);
+
+    if (index >= stops.length) {
+        closeTour(tank, `Tour finished: ${state.tour.name}`);
+        return;
+    }
+
+    state.index = Math.max(0, index);
+    state.phase = 'swimming';
+
+    const stop = stops[state.index];
+    const area = tank.areaPositions[stop.area];
+    const point = getViewpoint(tank, area);
+
+    swimToPoint(tank, point, () => {
+        if (tank.tour === state && state.index === stops.indexOf(stop)) arriveAtStop(tank, stop);
+    });
+    state.guide = tank.autopilot?.guide || null;
+
+    console.log(`Tour stop ${state.index + 1}/${stops.length}: ${area.name}`);
+    renderCard(tank);
+}
+
+/**
+ * Face the landmark, ring the files worth a look and start the pause
+ */
+function arriveAtStop(tank, stop) {
+    const state = tank.tour;
+    const area = tank.areaPositions[stop.area];
+
+    tank.frog.rotation.y = Math.atan2(area.x - tank.frog.position.x, area.z - tank.frog.position.z);
+    realignCamera(tank);
+
+    state.phase = 'paused';
+    state.guide = null;
+    state.pauseStart = Date.now();
+    state.pauseUntil = state.pauseStart + stop.pause * 1000;
+    state.lastUpdate = state.pauseStart;
+    state.highlights = getStopFiles(tank, stop).map(object => {
+        const ring = createOutline(object, HIGHLIGHT_COLOR);
+        tank.scene.add(ring);
+        return { object, ring };
+    });
+
+    renderCard(tank);
+}
+
+/**
+ * Where to stop for an area - on the frog's side of the landmark, far enough
+ * back to see the files floating around it
+ */
+function getViewpoint(tank, area) {
+    const { floorY, ceilingY } = tank.config.tank;
+    const away = new THREE.Vector3(tank.frog.position.x - area.x, 0, tank.frog.position.z - area.z);
+    if (away.lengthSq() < 0.01) away.set(0, 0, 1);
+    away.setLength(VIEW_DISTANCE);
+
+    return {
+        x: area.x + away.x,
+        y: floorY + (ceilingY - floorY) * VIEW_HEIGHT,
+        z: area.z + away.z
+    };
+}
+
+/**
+ * The files a stop shows off - the ones the tour lists, or the area's most
+ * tagged and most recently changed (never private ones)
+ */
+function getStopFiles(tank, stop) {
+    if (stop.files) {
+        const byPath = new Map(tank.allObjects.map(object => [object.userData.path, object]));
+        const listed = stop.files.map(path => byPath.get(path)).filter(Boolean);
+        if (listed.length < stop.files.length) {
+            console.warn(`${TOURS_PATH}: ${stop.files.length - listed.length} file(s) at ${stop.area} are not in the tank`);
+        }
+        if (listed.length > 0) return listed;
+    }
+
+    return tank.allObjects
+        .filter(object => object.userData.area === stop.area && object.userData.type !== 'folder' && !object.userData.private)
+        .sort((a, b) =>
+            getTags(tank, b.userData).length - getTags(tank, a.userData).length ||
+            (b.userData.modified || '').localeCompare(a.userData.modified || ''))
+        .slice(0, MAX_HIGHLIGHTS);
+}
+
+/**
+ * Take the current stop's rings out of the scene
+ */
+function clearHighlights(tank) {
+    if (!tank.tour) return;
+    tank.tour.highlights.forEach(({ ring }) => disposeOutline(tank, ring));
+    tank.tour.highlights = [];
+}
+
+/**
+ * Every area in layout order, captioned with its description - the trash is skipped
+ */
+function createDefaultTour(tank) {
+    return {
+        key: 'areas',
+        name: 'Tank tour',
+        description: 'Every area in turn',
+        stops: Object.keys(tank.areaPositions)
+            .filter(key => key !== TRASH_AREA)
+            .map(area => ({ area, caption: null, files: null, pause: DEFAULT_PAUSE }))
+    };
+}
+
+/**
+ * The card element
+ */
+function getCard() {
+    return document.getElementById('tour-card');
+}
+
+/**
+ * Fill the card - the current stop while touring, otherwise the list of tours
+ */
+function renderCard(tank) {
+    const card = getCard();
+    if (!card) return;
+
+    const state = tank.tour;
+    if (!state) {
+        renderPicker(tank, card);
+        return;
+    }
+
+    const stops = state.tour.stops;
+    const stop = stops[state.index];
+    const area = tank.areaPositions[stop.area];
+    const caption = stop.caption || area.description;
+    const arrived = state.phase === 'paused';
+
+    card.innerHTML = `
+        <div class="file-actions-header">
+            <span class="file-actions-title">${escapeHtml(state.tour.name)}</span>
+            <button class="close-btn" data-action="close" title="End tour">&times;</button>
+        </div>
+        <div class="file-actions-body">
+            <div class="tour-stop">Stop ${state.index + 1} of ${stops.length}</div>
+            <div class="tour-area">${escapeHtml(area.name)}</div>
+            ${caption ? `<p class="tour-caption">${escapeHtml(caption)}</p>` : ''}
+            ${arrived ? state.highlights.map(({ object }, index) => `
+                <div class="panel-row">
+                    <button class="panel-row-name tour-file" data-file="${index}" title="Open ${escapeHtml(object.userData.path)}">
+                        ${escapeHtml(object.userData.name)}
+                    </button>
+                </div>
+            `).join('') : '<div class="file-actions-note">Swimming there&hellip;</div>'}
+            <div class="file-action-row">
+                <button class="file-action" data-action="previous"${state.index === 0 ? ' disabled' : ''}>Previous</button>
+                <button class="file-action" data-action="next">${state.index === stops.length - 1 ? 'Finish' : 'Next'}</button>
+            </div>
+            <div class="tour-progress"><div class="tour-progress-fill"></div></div>
+        </div>
+    `;
+
+    card.querySelector('[data-action="close"]').addEventListener('click', () => closeTour(tank));
+    card.querySelector('[data-action="previous"]').addEventListener('click', () => goToStop(tank, state.index - 1));
+    card.querySelector('[data-action="next"]').addEventListener('click', () => goToStop(tank, state.index + 1));
+    card.querySelectorAll('[data-file]').forEach(button => {
+        button.addEventListener('click', () => {
+            const { object } = state.highlights[Number(button.dataset.file)];
+            selectObject(tank, object);
+            openPreview(tank, object);
+        });
+    });
+}
+
+/**
+ * The list of tours to pick from
+ */
+function renderPicker(tank, card) {
+    const tours = tank.tours || [];
+
+    card.innerHTML = `
+        <div class="file-actions-header">
+            <span class="file-actions-title">Guided tours</span>
+            <button class="close-btn" data-action="close">&times;</button>
+        </div>
+        <div class="file-actions-body">
+            ${tours.map((tour, index) => `
+                <div class="panel-row">
+                    <span class="panel-row-name">
+                        ${escapeHtml(tour.name)}
+                        <span class="panel-row-detail">${escapeHtml(tour.description || `${tour.stops.length} stops`)}</span>
+                    </span>
+                    <button class="panel-row-btn" data-start="${index}">Start</button>
+                </div>
+            `).join('')}
+            <div class="file-actions-note">Swimming yourself ends a tour, and so do ${escapeHtml(getKeyLabel(tank, 'swim', 'tour'))} and ${escapeHtml(getKeyLabel(tank, 'swim', 'back'))}.</div>
+        </div>
+    `;
+
+    card.querySelector('[data-action="close"]').addEventListener('click', () => closeTour(tank));
+    card.querySelectorAll('[data-start]').forEach(button => {
+        button.addEventListener('click', () => startTour(tank, tours[Number(button.dataset.start)]));
+    });
+}
@@ -4,6 +4,23 @@
 import * as THREE from 'three';
 import { updateTankBounds } from './scene.js';
 import { enterSideScrollerMode } from './sidescroller.js';
+import { canWriteFile } from './fileapi.js';
+import { enableEditing, confirmDiscardEdits } from './editor.js';
+import { renderPreview, disposePreview } from './previews.js';
+import { getPdfPageCount } from './pdfviewer.js';
+import { renderTagRow } from './tags.js';
+import { isPrivateLocked, requestUnlock } from './privacy.js';
+import { escapeHtml } from './utils.js';
+
+/**
+ * Select a specific object (e.g. after swimming to it) instead of the best-scoring one
+ */
+export function selectObject(tank, object) {
+    tank.pinnedObject = object;
+    // A locked target moves along to it
+    if (tank.lockedObject) tank.lockedObject = object;
+    updateObjectSelection(tank);
+}
 
 /**
  * Update object selection based on proximity and camera direction
@@ -14,45 +31,20 @@ export function updateObjectSelection(tank) {
     const frogPosition = tank.frog.position;
     const selectionDistance = tank.config.world.selectionDistance;
 
-    let bestObject = null;
-    let bestScore = -Infinity;
-
-    tank.allObjects.forEach((object) => {
-        const distance = frogPosition.distanceTo(object.position);
-
-        if (distance > selectionDistance) return;
-
-        const objectScreenPos = object.position.clone().project(tank.camera);
-
-        if (objectScreenPos.z > 1) return;
-
-        const heightDifference = object.position.y - frogPosition.y;
-
-        if (heightDifference < -2.0) return;
-
-        const cameraDirection = new THREE.Vector3();
-        tank.camera.getWorldDirection(cameraDirection);
-
-        const frogToObject = object.position.clone().sub(frogPosition);
-        const dotProduct = frogToObject.dot(cameraDirection);
-
-        const distanceScore = (selectionDistance - distance) / selectionDistance;
-        const frontScore = Math.max(0, dotProduct / distance);
+    // A locked target stays selected wherever the frog swims - until it goes away
+    if (tank.lockedObject && (!tank.allObjects.includes(tank.lockedObject) || !tank.lockedObject.visible)) {
+        tank.lockedObject = null;
+    }
 
-        let heightScore;
-        if (heightDifference > 0) {
-            heightScore = Math.min(1.0, heightDifference / 5);
-        } else {
-            heightScore = Math.max(-2.0, heightDifference / 2);
-        }
+    // A pinned object stays selected until the frog swims out of range
+    if (tank.pinnedObject && (!tank.allObjects.includes(tank.pinnedObject) || !tank.pinnedObject.visible ||
+        frogPosition.distanceTo(tank.pinnedObject.position) > selectionDistance)) {
+        tank.pinnedObject = null;
+    }
 
-        const totalScore = distanceScore * 0.2 + frontScore * 0.3 + heightScore * 0.5;
+    tank.selectionCandidates = getSelectionCandidates(tank);
 
-        if (totalScore > bestScore) {
-            bestObject = object;
-            bestScore = totalScore;
-        }
-    });
+    const bestObject = tank.lockedObject || tank.pinnedObject || tank.selectionCandidates[0]?.object || null;
 
     if (bestObject !== tank.selectedObject) {
         removeSelectionBorder(tank);
@@ -103,22 +95,79 @@ export function updateObjectSelection(tank) {
     }
 }
 
+/**
+ * Objects in selection range, best first - scored by how close they are, how
+ * squarely the camera faces them and how far above the frog they float
+ */
+export function getSelectionCandidates(tank) {
+    const frogPosition = tank.frog.position;
+    const selectionDistance = tank.config.world.selectionDistance;
+    const cameraDirection = new THREE.Vector3();
+    tank.camera.getWorldDirection(cameraDirection);
+
+    const candidates = [];
+
+    tank.allObjects.forEach((object) => {
+        // Hidden by the tag filter
+        if (!object.visible) return;
+
+        const distance = frogPosition.distanceTo(object.position);
+
+        if (distance > selectionDistance) return;
+
+        const objectScreenPos = object.position.clone().project(tank.camera);
+
+        if (objectScreenPos.z > 1) return;
+
+        const heightDifference = object.position.y - frogPosition.y;
+
+        if (heightDifference < -2.0) return;
+
+        const frogToObject = object.position.clone().sub(frogPosition);
+        const dotProduct = frogToObject.dot(cameraDirection);
+
+        const distanceScore = (selectionDistance - distance) / selectionDistance;
+        const frontScore = Math.max(0, dotProduct / distance);
+
+        let heightScore;
+        if (heightDifference > 0) {
+            heightScore = Math.min(1.0, heightDifference / 5);
+        } else {
+            heightScore = Math.max(-2.0, heightDifference / 2);
+        }
+
+        const score = distanceScore * 0.2 + frontScore * 0.3 + heightScore * 0.5;
+        candidates.push({ object, score, distance });
+    });
+
+    return candidates.sort((a, b) => b.score - a.score);
+}
+
 /**
  * Create selection border
  */
 function createSelectionBorder(tank) {
     if (!tank.selectedObject) return;
 
-    tank.selectionBorder = new THREE.Group();
+    const borderColor = tank.selectedObject.userData.type === 'pdf' ? 0x00ffff : 0x00ff00;
+    tank.selectionBorder = createOutline(tank.selectedObject, borderColor);
+    tank.selectionBorder.scale.multiplyScalar(1.2);
 
-    tank.selectedObject.traverse((child) => {
+    tank.scene.add(tank.selectionBorder);
+}
+
+/**
+ * Edge outline of every mesh in an object, as a group placed over the object
+ */
+export function createOutline(object, color) {
+    const outline = new THREE.Group();
+
+    object.traverse((child) => {
         if (child.isMesh && child.geometry) {
             const edges = new THREE.EdgesGeometry(child.geometry);
 
-            const borderColor = tank.selectedObject.userData.type === 'pdf' ? 0x00ffff : 0x00ff00;
-
             const outlineMaterial = new THREE.LineBasicMaterial({
-                color: borderColor,
+                color,
                 transparent: true,
                 opacity: 1.0,
                 linewidth: 4
@@ -130,16 +179,27 @@ function createSelectionBorder(tank) {
             outlineWireframe.rotation.copy(child.rotation);
             outlineWireframe.scale.copy(child.scale);
 
-            tank.selectionBorder.add(outlineWireframe);
+            outline.add(outlineWireframe);
         }
     });
 
-    tank.selectionBorder.position.copy(tank.selectedObject.position);
-    tank.selectionBorder.rotation.copy(tank.selectedObject.rotation);
-    tank.selectionBorder.scale.copy(tank.selectedObject.scale);
-    tank.selectionBorder.scale.multiplyScalar(1.2);
+    outline.position.copy(object.position);
+    outline.rotation.copy(object.rotation);
+    outline.scale.copy(object.scale);
 
-    tank.scene.add(tank.selectionBorder);
+    return outline;
+}
+
+/**
+ * Take an outline out of the scene and free its geometry
+ */
+export function disposeOutline(tank, outline) {
+    outline.children.forEach(child => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+
+    tank.scene.remove(outline);
 }
 
 /**
@@ -147,12 +207,7 @@ function createSelectionBorder(tank) {
  */
 function removeSelectionBorder(tank) {
     if (tank.selectionBorder) {
-        tank.selectionBorder.children.forEach(child => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
-        });
-
-        tank.scene.remove(tank.selectionBorder);
+        disposeOutline(tank, tank.selectionBorder);
         tank.selectionBorder = null;
     }
 }
@@ -175,15 +230,23 @@ function showFileInfo(tank) {
     }
 
     const icon = fileData.type === 'pdf' ? '📄' : '📁';
-    const extraInfo = fileData.type === 'pdf' ?
-        `<div class="file-info-row">
+    let extraInfo = '';
+    if (fileData.type === 'pdf') {
+        extraInfo = `<div class="file-info-row">
             <span class="file-label">Pages:</span>
-            <span class="file-value">${fileData.pages}</span>
-        </div>` :
-        `<div class="file-info-row">
+            <span class="file-value pdf-pages">${fileData.pages ?? '…'}</span>
+        </div>`;
+    } else if (fileData.type === 'folder') {
+        extraInfo = `<div class="file-info-row">
             <span class="file-label">Files:</span>
             <span class="file-value">${fileData.files}</span>
         </div>`;
+    } else if (fileData.modified) {
+        extraInfo = `<div class="file-info-row">
+            <span class="file-label">Modified:</span>
+            <span class="file-value">${new Date(fileData.modified).toLocaleDateString()}</span>
+        </div>`;
+    }
 
     tank.fileInfoPanel.innerHTML = `
         <div class="file-info-header">
@@ -192,12 +255,28 @@ function showFileInfo(tank) {
         <div class="file-info-details">
             <div class="file-info-row">
                 <span class="file-label">Size:</span>
-                <span class="file-value">${fileData.size}</span>
+                <span class="file-value">${fileData.size || '—'}</span>
             </div>
             ${extraInfo}
         </div>
+        ${renderTagRow(tank, fileData)}
     `;
 
+    if (fileData.type === 'pdf' && fileData.pages === undefined) {
+        // Read from the document itself - fill it in if the file is still selected
+        getPdfPageCount(fileData)
+            .catch(error => {
+                console.warn(`Could not read page count of ${fileData.name}:`, error.message);
+                return '?';
+            })
+            .then(pages => {
+                if (tank.selectedObject?.userData === fileData) {
+                    const value = tank.fileInfoPanel.querySelector('.pdf-pages');
+                    if (value) value.textContent = pages;
+                }
+            });
+    }
+
     positionFileInfoNearObject(tank);
 
     tank.fileInfoPanel.style.display = 'block';
@@ -312,6 +391,37 @@ export function openPreview(tank, object) {
         return;
     }
 
+    if (isPrivateLocked(fileData)) {
+        // Ask for the passphrase first, then open it
+        requestUnlock(tank).then(unlocked => {
+            if (unlocked) openPreview(tank, object);
+        });
+        return;
+    }
+
+    const windowData = createPreviewWindow(tank, {
+        fileData,
+        meta: `Size: ${fileData.size || '—'} | Type: ${fileData.type}`
+    });
+    if (!windowData) return;
+
+    renderPreview(tank, fileData, windowData.content).then(loaded => {
+        if (loaded && canWriteFile(fileData)) {
+            enableEditing(tank, windowData, loaded);
+        }
+    });
+
+    const hint = document.getElementById('selection-hint');
+    if (hint) hint.classList.remove('visible');
+
+    console.log(`Opened preview for: ${fileData.name}`);
+}
+
+/**
+ * Create an empty preview window showing a loading placeholder - returns its
+ * window data, with the element to render into as `content`
+ */
+export function createPreviewWindow(tank, { fileData, icon = '📄', meta = '' }) {
     const MAX_PREVIEW_WINDOWS = 5;
     while (tank.previewWindows.length >= MAX_PREVIEW_WINDOWS) {
         closePreviewWindow(tank, tank.previewWindows[0].id);
@@ -319,7 +429,7 @@ export function openPreview(tank, object) {
 
     const windowId = 'preview-' + Date.now();
     const container = document.getElementById('preview-container');
-    if (!container) return;
+    if (!container) return null;
 
     const offset = tank.previewWindows.length * 30;
     const startX = 20 + offset;
@@ -335,8 +445,8 @@ export function openPreview(tank, object) {
     panel.innerHTML = `
         <div class="preview-header">
             <div class="preview-file-info">
-                <span class="preview-icon">📄</span>
-                <span class="preview-filename">${fileData.name}</span>
+                <span class="preview-icon">${icon}</span>
+                <span class="preview-filename">${escapeHtml(fileData.name)}</span>
             </div>
             <button class="close-btn" data-window-id="${windowId}">&times;</button>
         </div>
@@ -347,13 +457,15 @@ export function openPreview(tank, object) {
             </div>
         </div>
         <div class="preview-footer">
-            <span class="preview-meta">Size: ${fileData.size} | Type: ${fileData.type}</span>
+            <span class="preview-meta">${meta}</span>
         </div>
     `;
 
     container.appendChild(panel);
 
-    tank.previewWindows.push({ id: windowId, element: panel, fileData });
+    const content = panel.querySelector('.preview-content');
+    const windowData = { id: windowId, element: panel, content, fileData };
+    tank.previewWindows.push(windowData);
 
     const closeBtn = panel.querySelector('.close-btn');
     closeBtn.addEventListener('click', (e) => {
@@ -364,47 +476,22 @@ export function openPreview(tank, object) {
     const header = panel.querySelector('.preview-header');
     setupWindowDrag(panel, header);
 
-    panel.addEventListener('mousedown', () => {
+    panel.addEventListener('pointerdown', () => {
         focusPreviewWindow(tank, windowId);
     });
 
-    const content = panel.querySelector('.preview-content');
-
-    // Use actual file path if available, otherwise fall back to sample pools
-    if (fileData.path) {
-        loadPreviewContent({ type: 'text', url: fileData.path }, content);
-    } else {
-        const nameHash = fileData.name.split('').reduce((a, c) => a + c.charCodeAt(0), 0);
-
-        let poolType;
-        if (fileData.name.includes('Report') || fileData.name.includes('Contract') || fileData.name.includes('Policy')) {
-            poolType = 'doc';
-        } else if (fileData.name.includes('Photo') || fileData.name.includes('IMG') || fileData.name.includes('screenshot') || fileData.name.includes('Chart') || fileData.name.includes('Presentation')) {
-            poolType = 'image';
-        } else {
-            poolType = (nameHash % 3 === 0) ? 'image' : 'text';
-        }
-
-        const pool = tank.samplePools[poolType];
-        const sampleInfo = pool[nameHash % pool.length];
-        loadPreviewContent(sampleInfo, content);
-    }
-
-    const hint = document.getElementById('selection-hint');
-    if (hint) hint.classList.remove('visible');
-
-    console.log(`Opened preview for: ${fileData.name}`);
+    return windowData;
 }
 
 /**
- * Setup window drag functionality
+ * Setup window drag functionality - pointer events, so a finger drags it too
  */
 function setupWindowDrag(panel, header) {
     let isDragging = false;
     let startX, startY, initialX, initialY;
 
-    header.addEventListener('mousedown', (e) => {
-        if (e.target.classList.contains('close-btn')) return;
+    header.addEventListener('pointerdown', (e) => {
+        if (e.target.closest('button') || !e.isPrimary) return;
 
         isDragging = true;
         startX = e.clientX;
@@ -413,8 +500,9 @@ function setupWindowDrag(panel, header) {
         initialY = panel.offsetTop;
 
         panel.style.transition = 'none';
+        header.setPointerCapture(e.pointerId);
 
-        const onMouseMove = (e) => {
+        const onPointerMove = (e) => {
             if (!isDragging) return;
             const dx = e.clientX - startX;
             const dy = e.clientY - startY;
@@ -422,14 +510,16 @@ function setupWindowDrag(panel, header) {
             panel.style.top = (initialY + dy) + 'px';
         };
 
-        const onMouseUp = () => {
+        const onPointerUp = () => {
             isDragging = false;
-            document.removeEventListener('mousemove', onMouseMove);
-            document.removeEventListener('mouseup', onMouseUp);
+            header.removeEventListener('pointermove', onPointerMove);
+            header.removeEventListener('pointerup', onPointerUp);
+            header.removeEventListener('pointercancel', onPointerUp);
         };
 
-        document.addEventListener('mousemove', onMouseMove);
-        document.addEventListener('mouseup', onMouseUp);
+        header.addEventListener('pointermove', onPointerMove);
+        header.addEventListener('pointerup', onPointerUp);
+        header.addEventListener('pointercancel', onPointerUp);
     });
 }
 
@@ -446,12 +536,14 @@ function focusPreviewWindow(tank, windowId) {
 }
 
 /**
- * Close a specific preview window
+ * Close a specific preview window - with force, unsaved edits are dropped without asking
  */
-export function closePreviewWindow(tank, windowId) {
+export function closePreviewWindow(tank, windowId, force = false) {
     const index = tank.previewWindows.findIndex(w => w.id === windowId);
     if (index !== -1) {
         const windowData = tank.previewWindows[index];
+        if (!force && !confirmDiscardEdits(windowData)) return;
+        disposePreview(windowData.element.querySelector('.preview-content'));
         windowData.element.remove();
         tank.previewWindows.splice(index, 1);
         console.log(`Closed preview: ${windowData.fileData.name}`);
@@ -475,47 +567,6 @@ export function closePreview(tank) {
     }
 }
 
-/**
- * Load preview content
- */
-async function loadPreviewContent(sampleInfo, container) {
-    container.className = 'preview-content';
-
-    try {
-        if (sampleInfo.type === 'text') {
-            const response = await fetch(sampleInfo.url);
-            const text = await response.text();
-            container.className = 'preview-content text-preview';
-            container.textContent = text;
-
-        } else if (sampleInfo.type === 'image') {
-            container.className = 'preview-content image-preview';
-            container.innerHTML = `<img src="${sampleInfo.url}" alt="Preview" />`;
-
-        } else if (sampleInfo.type === 'doc') {
-            container.className = 'preview-content doc-preview';
-            container.innerHTML = `<iframe src="${sampleInfo.url}" title="Document Preview"></iframe>`;
-
-        } else {
-            container.innerHTML = `
-                <div class="pdf-placeholder">
-                    <div class="pdf-icon">❓</div>
-                    <p>Unknown file type</p>
-                </div>
-            `;
-        }
-    } catch (error) {
-        console.error('Error loading preview:', error);
-        container.innerHTML = `
-            <div class="pdf-placeholder">
-                <div class="pdf-icon">⚠️</div>
-                <p>Failed to load preview</p>
-                <p style="color: #666; font-size: 12px;">${error.message}</p>
-            </div>
-        `;
-    }
-}
-
 /**
  * Toggle light config panel
  */
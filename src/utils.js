@@ -99,3 +99,118 @@ export function parseSizeToMB(sizeString) {
         default: return 1;
     }
 }
+
+/**
+ * Format a byte count as a size string (e.g. "3.2 KB")
+ */
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+
+    const units = ['KB', 'MB', 'GB'];
+    let value = bytes / 1024;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+
+    return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Escape text for use inside innerHTML
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 32-bit FNV-1a hash of a string - stable seed for per-file randomness
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Seeded random number generator (mulberry32) - same seed, same sequence in [0, 1)
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Offer text as a file download
+ */
+export function downloadText(fileName, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * A JSON object kept in localStorage for each root (content/ or the opened local
+ * folder), under prefix + root. get(tank) reads the current root's once and
+ * caches it; update(tank, change) lets change() edit it and writes it back.
+ * `label` names it in warnings.
+ */
+export function createRootStore(prefix, label) {
+    const cache = new WeakMap();
+
+    /**
+     * The stored object for the tank's current root
+     */
+    function get(tank) {
+        const key = prefix + (tank.localRoot || 'content');
+        let stored = cache.get(tank);
+
+        if (!stored || stored.key !== key) {
+            let value = {};
+            try {
+                value = JSON.parse(localStorage.getItem(key)) || {};
+            } catch (error) {
+                console.warn(`Ignoring unreadable saved ${label}:`, error.message);
+            }
+            stored = { key, value };
+            cache.set(tank, stored);
+        }
+
+        return stored.value;
+    }
+
+    /**
+     * Change the stored object and write it back to localStorage
+     */
+    function update(tank, change) {
+        const value = get(tank);
+        change(value);
+
+        try {
+            localStorage.setItem(cache.get(tank).key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Could not save ${label}:`, error.message);
+        }
+    }
+
+    return { get, update };
+}
@@ -0,0 +1,46 @@
+/**
+ * Tests for src/clustering.js - run with npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTfIdfVectors, clusterVectors, embedInPlane, topTerms } from '../src/clustering.js';
+
+const DOCUMENTS = [
+    { id: 'guitar', name: 'guitar.txt', text: 'guitar chords practice guitar strings melody' },
+    { id: 'songs', name: 'songs.txt', text: 'melody chords songs practice singing' },
+    { id: 'report', name: 'report.txt', text: 'quarterly report budget meeting deadline' },
+    { id: 'meeting', name: 'meeting.txt', text: 'meeting notes budget deadline manager' },
+    { id: 'lyrics', name: 'lyrics.txt', text: 'song lyrics melody chords' },
+    { id: 'empty', name: '', text: 'the and of' }
+];
+
+test('TF-IDF vectors have unit length and skip stop words', () => {
+    const vectors = createTfIdfVectors(DOCUMENTS);
+    const guitar = vectors.get('guitar');
+
+    const length = Math.sqrt([...guitar.values()].reduce((total, weight) => total + weight * weight, 0));
+    assert.ok(Math.abs(length - 1) < 1e-9);
+    assert.equal(topTerms(guitar, 1)[0], 'guitar');
+    assert.equal(vectors.get('empty').size, 0);
+});
+
+test('clusterVectors keeps seeds and assigns the rest to the nearest cluster', () => {
+    const vectors = createTfIdfVectors(DOCUMENTS);
+    const seeds = new Map([['music', ['guitar', 'songs']], ['work', ['report', 'meeting']]]);
+    const { assignments, centroids } = clusterVectors(vectors, seeds);
+
+    assert.equal(assignments.get('lyrics').cluster, 'music');
+    assert.equal(assignments.get('guitar').cluster, 'music');
+    assert.equal(assignments.get('report').cluster, 'work');
+    assert.ok(assignments.get('lyrics').scores.music > assignments.get('lyrics').scores.work);
+    assert.equal(assignments.has('empty'), false);
+    assert.deepEqual([...centroids.keys()].sort(), ['music', 'work']);
+});
+
+test('embedInPlane lands near the best-scoring anchor', () => {
+    const anchors = { music: { x: 10, z: 0 }, work: { x: -10, z: 0 } };
+    const point = embedInPlane({ music: 0.8, work: 0.1 }, anchors);
+
+    assert.ok(point.x > 9.9);
+    assert.equal(embedInPlane({ elsewhere: 1 }, anchors), null);
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for src/diff.js - run with npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSequences, diffLines, countChanges, createUnifiedDiff } from '../src/diff.js';
+
+test('runs rebuild both sides', () => {
+    const a = ['a', 'b', 'c', 'a', 'b', 'b', 'a'];
+    const b = ['c', 'b', 'a', 'b', 'a', 'c'];
+    const runs = diffSequences(a, b);
+
+    assert.deepEqual(runs.filter(run => run.type !== 'insert').flatMap(run => run.items), a);
+    assert.deepEqual(runs.filter(run => run.type !== 'delete').flatMap(run => run.items), b);
+    // The shortest edit script for Myers' own example has five edits
+    assert.equal(runs.filter(run => run.type !== 'equal').reduce((sum, run) => sum + run.items.length, 0), 5);
+});
+
+test('maxEdits gives up on sequences that differ too much', () => {
+    const a = Array.from({ length: 500 }, (_, i) => `old ${i}`);
+    const b = Array.from({ length: 500 }, (_, i) => `new ${i}`);
+
+    assert.equal(diffSequences(a, b, 100), null);
+    assert.notEqual(diffSequences(a, [...a.slice(0, 250), 'extra', ...a.slice(250)], 1), null);
+});
+
+test('a missing final newline is a change of its own', () => {
+    const runs = diffLines('one\ntwo\n', 'one\ntwo');
+    assert.deepEqual(countChanges(runs), { added: 1, removed: 1 });
+    assert.equal(createUnifiedDiff('a', 'b', runs), [
+        '--- a', '+++ b', '@@ -1,2 +1,2 @@', ' one', '-two', '+two', '\\ No newline at end of file', ''
+    ].join('\n'));
+});
@@ -0,0 +1,49 @@
+/**
+ * Tests for src/encryption.js - run with npm test
+ */
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ENCRYPTED_HEADER, isEncryptedText, unlockSession, lockSession, isSessionUnlocked, openText, sealText
+} from '../src/encryption.js';
+
+afterEach(() => lockSession());
+
+test('sealed text opens again with the same passphrase', async () => {
+    unlockSession('correct horse battery');
+    const text = 'passwords\n\nemail: lilypad99 ✓\n';
+    const sealed = await sealText(text);
+
+    assert.ok(sealed.startsWith(`${ENCRYPTED_HEADER}\n`));
+    assert.ok(isEncryptedText(sealed));
+    assert.ok(!sealed.includes('lilypad99'));
+    assert.equal(await openText(sealed), text);
+});
+
+test('sealing the same text twice gives different envelopes', async () => {
+    unlockSession('correct horse battery');
+    assert.notEqual(await sealText('same'), await sealText('same'));
+});
+
+test('a wrong passphrase is rejected', async () => {
+    unlockSession('correct horse battery');
+    const sealed = await sealText('secret');
+
+    unlockSession('wrong horse battery');
+    await assert.rejects(openText(sealed), { code: 'wrong-passphrase' });
+});
+
+test('plain text passes through openText untouched', async () => {
+    assert.ok(!isEncryptedText('just a note'));
+    assert.equal(await openText('just a note'), 'just a note');
+});
+
+test('sealing or opening while locked fails', async () => {
+    unlockSession('correct horse battery');
+    const sealed = await sealText('secret');
+    lockSession();
+
+    assert.equal(isSessionUnlocked(), false);
+    await assert.rejects(sealText('secret'), { code: 'locked' });
+    await assert.rejects(openText(sealed), { code: 'locked' });
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for src/tagquery.js - run with npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTagQuery, normalizeTag, isValidTag } from '../src/tagquery.js';
+
+/**
+ * Tag lists a query matches, out of a few sample files
+ */
+function matching(query) {
+    const files = [['work'], ['work', 'done'], ['music'], ['music', '2023'], ['photos', '2023'], []];
+    const predicate = parseTagQuery(query);
+    return files.filter(tags => predicate(tags)).map(tags => tags.join('+'));
+}
+
+test('an empty query matches nothing in particular', () => {
+    assert.equal(parseTagQuery(''), null);
+    assert.equal(parseTagQuery('   '), null);
+});
+
+test('words next to each other are ANDed', () => {
+    assert.deepEqual(matching('work done'), ['work+done']);
+    assert.deepEqual(matching('work AND done'), ['work+done']);
+    assert.deepEqual(matching('work && done'), ['work+done']);
+});
+
+test('NOT binds tighter than AND, and AND tighter than OR', () => {
+    assert.deepEqual(matching('work AND NOT done'), ['work']);
+    assert.deepEqual(matching('work -done'), ['work']);
+    assert.deepEqual(matching('!work'), ['music', 'music+2023', 'photos+2023', '']);
+    assert.deepEqual(matching('music OR photos AND 2023'), ['music', 'music+2023', 'photos+2023']);
+    assert.deepEqual(matching('(music || photos) && 2023'), ['music+2023', 'photos+2023']);
+    assert.deepEqual(matching('NOT music OR work'), ['work', 'work+done', 'photos+2023', '']);
+});
+
+test('tags are matched case-insensitively', () => {
+    assert.deepEqual(matching('WORK and Done'), ['work+done']);
+    assert.equal(normalizeTag('  Road Trip '), 'road-trip');
+});
+
+test('malformed queries throw', () => {
+    assert.throws(() => parseTagQuery('work AND'), /ends too early/);
+    assert.throws(() => parseTagQuery('(work'), /Missing \)/);
+    assert.throws(() => parseTagQuery('work)'), /Unexpected "\)"/);
+    assert.throws(() => parseTagQuery('OR work'), /Unexpected "OR"/);
+});
+
+test('operator words are not valid tags', () => {
+    assert.equal(isValidTag('work'), true);
+    assert.equal(isValidTag('and'), false);
+    assert.equal(isValidTag('-draft'), false);
+    assert.equal(isValidTag('a|b'), false);
+});